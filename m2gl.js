@@ -6,10 +6,16 @@ const async = require('async');
 const colors = require('colors');
 const csv = require('csv');
 const superagent = require('superagent');
+const fs = require('fs');
+const readline = require('readline');
+const zlib = require('zlib');
+const crypto = require('crypto');
 const _ = require('lodash');
+const configSchema = require('./config.schema.json');
 const argv = require('optimist')
-    .demand(['i', 'c', 'g', 'p', 't', 's'])
+    .demand(['c'])
     .alias('i', 'input')
+    .alias('F', 'format')
     .alias('c', 'config')
     .alias('g', 'gitlaburl')
     .alias('p', 'project')
@@ -18,49 +24,337 @@ const argv = require('optimist')
     .alias('f', 'from')
     .alias('n', 'dryrun')
     .alias('v', 'verbose')
+    .alias('a', 'attachments')
+    .alias('j', 'journal')
+    .alias('r', 'resume')
+    .alias('b', 'rollback')
+    .alias('P', 'plan')
+    .alias('A', 'apply')
+    .alias('u', 'mapUsers')
+    .alias('U', 'mantisUsers')
+    .alias('m', 'createMissing')
+    .alias('V', 'versions')
+    .alias('H', 'history')
+    .alias('C', 'validate')
+    .alias('E', 'export')
+    .alias('T', 'target')
+    .alias('R', 'verify')
+    .alias('I', 'iids')
+    .alias('S', 'sync')
     .boolean('n')
     .boolean('v')
+    .boolean('r')
+    .boolean('m')
+    .boolean('C')
+    .boolean('S')
+    .string(['ids', 'status', 'category', 'reporter', 'handler', 'version', 'created', 'updated'])
     .boolean('v')
-    .describe('i', 'CSV file exported from Mantis (Example: issues.csv)')
+    .describe('i', 'CSV file or mysqldump exported from Mantis (Example: issues.csv)')
+    .describe('F', 'Format of the input: csv, mysqldump, xml or rest (Default: mysqldump for .sql, xml for .xml files, csv otherwise)')
     .describe('c', 'Configuration file (Example: config.json)')
-    .describe('g', 'GitLab URL hostname (Example: https://gitlab.com)')
+    .describe('g', 'GitLab (or Gitea/Forgejo) URL hostname (Example: https://gitlab.com)')
     .describe('p', 'GitLab project name including namespace (Example: mycorp/myproj)')
     .describe('t', 'An admin user\'s private token (Example: a2r33oczFyQzq53t23Vj)')
     .describe('s', 'The username performing the import (Example: bob)')
     .describe('f', 'The first issue # to import (Example: 123)')
     .describe('n', 'Dry run, just output actions that would be executed')
     .describe('v', 'Verbose output, print every step more detailed')
+    .describe('a', 'Directory with files attached to Mantis issues (Example: attachments)')
+    .describe('j', 'Journal file recording the progress of the migration (Default: journal.jsonl)')
+    .describe('r', 'Resume the migration, skip all steps finished according to the journal')
+    .describe('b', 'Undo the migration run with the given id from the journal, list runs if no id is given')
+    .describe('P', 'Dry run writing the planned changes to a JSON plan and a Markdown summary (Example: plan.json)')
+    .describe('A', 'Execute the changes of a plan written by --plan (Example: plan.json)')
+    .describe('u', 'Match Mantis users to GitLab users and write a draft "users" config section (Example: users.json)')
+    .describe('U', 'CSV file of Mantis users with username, realname and email to match by (Example: users.csv)')
+    .describe('m', 'Create GitLab milestones for Mantis versions and labels which do not exist yet')
+    .describe('V', 'CSV file of Mantis versions with version, description, released, obsolete and date (Example: versions.csv)')
+    .describe('H', 'CSV file of the Mantis issue history, instead of a History column in the input file (Example: history.csv)')
+    .describe('C', 'Check the config file against its schema and the Mantis export without connecting to GitLab')
+    .describe('E', 'Write a GitLab project export archive instead of importing through the API (Example: project.tar.gz)')
+    .describe('T', 'Target to import into: gitlab or gitea, for Gitea and Forgejo (Default: gitlab)')
+    .describe('R', 'Compare the migrated issues with the Mantis export and write a Markdown or HTML report and a JSON file (Example: report.md)')
+    .describe('I', 'Issue numbers: keep the Mantis Id, assign new numbers, or assign them creating placeholders for the gaps: keep, assign or placeholders (Default: keep, assign for gitea)')
+    .describe('S', 'Sync the issues changed in Mantis since their last import or sync: update the changed fields and add the new notes only')
+    .describe('ids', 'Only the issues with these ids or id ranges (Example: 12,15,20-30)')
+    .describe('idsFile', 'Only the issues listed in this file, ids or id ranges separated by spaces, commas or lines (Example: failed.txt)')
+    .describe('status', 'Only the issues with one of these statuses, by name or number (Example: new,assigned)')
+    .describe('category', 'Only the issues in one of these categories, by name or id (Example: Backend,12)')
+    .describe('reporter', 'Only the issues reported by one of these Mantis users (Example: alice,bob)')
+    .describe('handler', 'Only the issues assigned to one of these Mantis users (Example: alice,bob)')
+    .describe('version', 'Only the issues with one of these target or fixed in versions (Example: 1.0,1.1)')
+    .describe('created', 'Only the issues created within this date window, either end can be left out (Example: 2020-01-01..2020-12-31)')
+    .describe('updated', 'Only the issues last updated within this date window, either end can be left out (Example: 2023-01-01..)')
+    .describe('filter', 'Only the issues matching this expression over the CSV columns, may be repeated: Column=a,b Column!=a,b Column~regex Column!~regex Column>value Column<value (Example: "Severity>=major")')
+    .check(function (args) {
+        let missing = args.validate || args.export ? [] : _.filter(['g', 'p', 't', 's'], function (arg) {
+            return !args[arg];
+        });
+        if (!args.input && !args.rollback && !args.apply && args.format !== 'rest') {
+            missing.unshift('i');
+        }
+        if (missing.length) {
+            throw 'Missing required arguments: ' + missing.join(', ');
+        }
+        if (args.target && !_.includes(['gitlab', 'gitea'], args.target)) {
+            throw 'Unknown target: ' + args.target + ' (use gitlab or gitea)';
+        }
+        if (args.iids && !_.includes(['keep', 'assign', 'placeholders'], args.iids)) {
+            throw 'Unknown issue numbering: ' + args.iids + ' (use keep, assign or placeholders)';
+        }
+        if (args.iids === 'keep' && args.target === 'gitea') {
+            throw 'Gitea cannot keep the Mantis Id, use --iids assign or placeholders';
+        }
+        if (args.sync && args.export) {
+            throw 'A project export cannot be synced, import into ' + (args.target || 'gitlab') + ' instead';
+        }
+    })
     .argv;
 
 const inputFile = __dirname + '/' + argv.input;
+const inputFormat = argv.format || (/\.sql$/i.test(argv.input) ? 'mysqldump' : /\.xml$/i.test(argv.input) ? 'xml' : 'csv');
 const configFile = __dirname + '/' + argv.config;
 const fromIssueId = Number(argv.from || 0);
-const gitlabAPIURLBase = argv.gitlaburl + '/api/v4';
 const gitlabProjectName = argv.project;
 const gitlabAdminPrivateToken = argv.token;
 const gitlabSudo = argv.sudo;
 const removeSkipped = argv.rms;
-const dryRun = argv.dryrun;
+const planFile = argv.plan ? __dirname + '/' + argv.plan : null;
+const applyFile = argv.apply ? __dirname + '/' + argv.apply : null;
+const dryRun = argv.dryrun || !!planFile;
+const mapUsersFile = argv.mapUsers ? __dirname + '/' + argv.mapUsers : null;
+const mantisUsersFile = argv.mantisUsers ? __dirname + '/' + argv.mantisUsers : null;
+const createMissing = argv.createMissing;
+const validate = argv.validate;
+const exportFile = argv.export ? __dirname + '/' + argv.export : null;
+const verifyFile = argv.verify ? __dirname + '/' + argv.verify : null;
+const mantisVersionsFile = argv.versions ? __dirname + '/' + argv.versions : null;
+const mantisHistoryFile = argv.history ? __dirname + '/' + argv.history : null;
 const verbose = argv.verbose;
+const attachmentsDir = argv.attachments ? __dirname + '/' + argv.attachments : null;
+const journalFile = __dirname + '/' + (argv.journal || 'journal.jsonl');
+const resume = argv.resume;
+const sync = argv.sync;
+const rollbackRunId = argv.rollback;
+const runId = new Date().toISOString().replace(/[-:]/g, '');
+// Mantis relationship types with their default GitLab link type (null = add a note instead)
+const mantisRelationships = {
+    '0': {name: 'duplicate_of', title: 'Duplicate of', link_type: null},
+    '1': {name: 'related_to', title: 'Related to', link_type: 'relates_to'},
+    '2': {name: 'parent_of', title: 'Parent of', link_type: 'is_blocked_by'},
+    '3': {name: 'child_of', title: 'Child of', link_type: 'blocks'},
+    '4': {name: 'has_duplicate', title: 'Has duplicate', link_type: null}
+};
+// Names of the Mantis default enumeration values stored in the history, also matched by label rules
+const mantisEnums = {
+    status: {10: 'new', 20: 'feedback', 30: 'acknowledged', 40: 'confirmed', 50: 'assigned', 80: 'resolved', 90: 'closed'},
+    priority: {10: 'none', 20: 'low', 30: 'normal', 40: 'high', 50: 'urgent', 60: 'immediate'},
+    severity: {10: 'feature', 20: 'trivial', 30: 'text', 40: 'tweak', 50: 'minor', 60: 'major', 70: 'crash', 80: 'block'},
+    resolution: {10: 'open', 20: 'fixed', 30: 'reopened', 40: 'unable to reproduce', 50: 'not fixable', 60: 'duplicate',
+        70: 'no change required', 80: 'suspended', 90: 'won\'t fix'},
+    reproducibility: {10: 'always', 30: 'sometimes', 50: 'random', 70: 'have not tried', 90: 'unable to reproduce', 100: 'N/A'},
+    view_state: {10: 'public', 50: 'private'}
+};
+// Mantis history event types (mantis_bug_history_table.type) with their description, null = not added to the timeline
+const mantisHistoryTypes = {
+    '1': null, // issue created
+    '2': null, // note added, migrated as note
+    '3': 'Edited note %old%',
+    '4': 'Deleted note %old%',
+    '6': 'Updated description',
+    '7': 'Updated additional information',
+    '8': 'Updated steps to reproduce',
+    '9': 'Added file %old%',
+    '10': 'Deleted file %old%',
+    '11': 'Changed view state of note %old%',
+    '12': 'Started monitoring the issue',
+    '13': 'Stopped monitoring the issue',
+    '18': 'Added relationship: %relationship% #%new%',
+    '19': 'Removed relationship: %relationship% #%new%',
+    '20': 'Cloned to #%new%',
+    '21': 'Created from #%new%',
+    '25': 'Attached tag %old%',
+    '26': 'Detached tag %old%',
+    '27': 'Renamed tag %old% to %new%'
+};
+// Titles of the Mantis fields changed by history events of type 0
+const mantisHistoryFields = {
+    status: 'Status',
+    handler_id: 'Assigned to',
+    priority: 'Priority',
+    severity: 'Severity',
+    resolution: 'Resolution',
+    reproducibility: 'Reproducibility',
+    category: 'Category',
+    summary: 'Summary',
+    version: 'Product version',
+    target_version: 'Target version',
+    fixed_in_version: 'Fixed in version',
+    view_state: 'View status',
+    due_date: 'Due date'
+};
+// Readers of the input formats, all producing rows with the columns of the CSV export
+const mantisReaders = {
+    csv: readCsvIssues,
+    mysqldump: readMysqlDumpIssues,
+    xml: readXmlIssues,
+    rest: readRestIssues
+};
+// Backends of the systems to import into. Every backend gets and returns objects with the fields of the GitLab API;
+// getIssueLinks/addIssueLink and uploadFile/deleteUpload are optional. Only backends with keepsIids can create issues
+// with the number of the Mantis issue, only backends with hidesPrivate create confidential issues and internal notes.
+const targets = {
+    gitlab: {
+        title: 'GitLab',
+        apiPath: '/api/v4',
+        keepsIids: true,
+        hidesPrivate: true,
+        getProject: gitlabGetProject,
+        getMembers: gitlabGetMembers,
+        getMilestones: gitlabGetMilestones,
+        getLabels: gitlabGetLabels,
+        getIssues: gitlabGetIssues,
+        searchUsers: gitlabSearchUsers,
+        insertIssue: gitlabInsertIssue,
+        updateIssue: gitlabUpdateIssue,
+        deleteIssue: gitlabDeleteIssue,
+        insertMilestone: gitlabInsertMilestone,
+        closeMilestone: gitlabCloseMilestone,
+        deleteMilestone: gitlabDeleteMilestone,
+        insertLabel: gitlabInsertLabel,
+        deleteLabel: gitlabDeleteLabel,
+        getNotes: gitlabGetNotes,
+        addNote: gitlabAddNote,
+        updateNote: gitlabUpdateNote,
+        deleteNote: gitlabDeleteNote,
+        getIssueLinks: gitlabGetIssueLinks,
+        addIssueLink: gitlabAddIssueLink,
+        uploadFile: gitlabUploadFile,
+        deleteUpload: gitlabDeleteUpload,
+        getIssueUrl: gitlabGetIssueUrl
+    },
+    gitea: {
+        title: 'Gitea',
+        apiPath: '/api/v1',
+        keepsIids: false,
+        hidesPrivate: false,
+        getProject: giteaGetProject,
+        getMembers: giteaGetMembers,
+        getMilestones: giteaGetMilestones,
+        getLabels: giteaGetLabels,
+        getIssues: giteaGetIssues,
+        searchUsers: giteaSearchUsers,
+        insertIssue: giteaInsertIssue,
+        updateIssue: giteaUpdateIssue,
+        deleteIssue: giteaDeleteIssue,
+        insertMilestone: giteaInsertMilestone,
+        closeMilestone: giteaCloseMilestone,
+        deleteMilestone: giteaDeleteMilestone,
+        insertLabel: giteaInsertLabel,
+        deleteLabel: giteaDeleteLabel,
+        getNotes: giteaGetNotes,
+        addNote: giteaAddNote,
+        updateNote: giteaUpdateNote,
+        deleteNote: giteaDeleteNote,
+        getIssueUrl: giteaGetIssueUrl
+    }
+};
+const target = targets[argv.target || 'gitlab'];
+const gitlabAPIURLBase = argv.gitlaburl + target.apiPath;
+// keep: issues get the Mantis Id as number, assign: the target numbers them, placeholders: like assign, with closed
+// placeholder issues taking the numbers missing in Mantis. The export archive always keeps the Mantis Id.
+const iidMode = exportFile ? 'keep' : argv.iids || (target.keepsIids ? 'keep' : 'assign');
+// Hidden marker in the description of every migrated issue, finds the issue migrated from a Mantis issue on re-runs
+const mantisIdMarker = /<!-- mantis-id: (\d+) -->/;
+// Hidden marker at the end of every migrated note, identifies the notes of the migration whatever template is used
+const mantisNoteMarker = /<!-- mantis-note(?:: (\d+))? -->/;
+// Hidden marker at the end of every history note, finds the history notes of earlier runs without journal
+const mantisHistoryMarker = /<!-- mantis-history -->/;
+// Templates of the migrated issues and notes, see config.templates
+const defaultTemplates = {
+    title: '{Summary}',
+    description: '_{attributes}_\n\n{fields}\n----\n{description}\n\n{info_section}{attachments_section}',
+    note: '_via Mantis:_ {text}{attachments_section}',
+    original_author: '_Originally by {author_name}_\n\n'
+};
 let config = {};
 
-let gitLab = {};
-let promise = getConfig()
+// Module state; unresolvedReferences counts the references converted before their issue or note was migrated
+let gitLab = {unresolvedReferences: 0};
+let promise = validate ? getConfig()
+    .then(readMantisIssues)
+    .then(readMantisUsers)
+    .then(readMantisHistory)
+    .then(validateConfig)
+: exportFile ? getConfig()
+    .then(readMantisIssues)
+    .then(readMantisUsers)
+    .then(readMantisVersions)
+    .then(readMantisHistory)
+    .then(writeExportArchive)
+    .then(reportPrivateContent)
+: rollbackRunId ? getConfig()
+    .then(getGitLabProject)
+    .then(getGitLabProjectIssues)
+    .then(readJournal)
+    .then(rollbackMigration)
+: mapUsersFile ? getConfig()
+    .then(readMantisIssues)
+    .then(readMantisHistory)
+    .then(readMantisUsers)
+    .then(getGitLabProject)
+    .then(mapMantisUsers)
+: verifyFile ? getConfig()
+    .then(readMantisIssues)
+    .then(getGitLabProject)
+    .then(getGitLabProjectMembers)
+    .then(mapGitLabUserIds)
+    .then(getGitLabProjectMilestones)
+    .then(readJournal)
+    .then(readMantisVersions)
+    .then(mapGitLabMilestoneIds)
+    .then(getGitLabProjectIssues)
+    .then(verifyMigration)
+: applyFile ? getConfig()
+    .then(getGitLabProject)
+    .then(getGitLabProjectMembers)
+    .then(mapGitLabUserIds)
+    .then(getGitLabProjectIssues)
+    .then(readJournal)
+    .then(readUploadCache)
+    .then(applyPlan)
+    .then(recordGitLabUpdates)
+    .then(writeRedirects)
+: getConfig()
     .then(readMantisIssues)
     .then(getGitLabProject)
     .then(getGitLabProjectMembers)
     .then(mapGitLabUserIds)
     .then(getGitLabProjectMilestones)
+    .then(readJournal)
+    .then(readMantisVersions)
+    .then(readMantisHistory)
+    .then(createMissingMilestones)
     .then(mapGitLabMilestoneIds)
     .then(validateMantisIssues)
     .then(getGitLabProjectIssues)
+    .then(createMissingLabels)
+    .then(readUploadCache)
     .then(importGitLabIssues)
+    .then(updateReferences)
+    .then(linkGitLabIssues)
+    .then(recordGitLabUpdates)
+    .then(writeRedirects)
+    .then(reportSkippedAttachments)
+    .then(reportPrivateContent)
+    .then(writePlan)
 ;
 
 promise.then(function () {
     console.log((" Done! ").bold.white.bgGreen);
 }, function (err) {
     console.error(err);
+    process.exitCode = 1;
 });
 
 /**
@@ -75,743 +369,6579 @@ function getConfig() {
     verbose ? log_verbose('Read from file ' + configFile) : log_progress("Reading configuration...");
     return FS.read(configFile, {encoding: 'utf8'})
         .then(function (data) {
-            let config = JSON.parse(data);
+            return JSON.parse(data);
+        })
+        .then(function (cfg) {
+            config = cfg;
+        }, function (error) {
+            throw new Error('Cannot read config file: ' + configFile + ' - ' + error.message);
+        })
+        .then(function () {
+            gitLab.configErrors = getSchemaErrors(config, configSchema, 'config');
+            gitLab.labelRules = getLabelRules();
+            if (gitLab.configErrors.length && !validate) {
+                throw new Error('Invalid config file ' + configFile + ' (run with --validate for details):\n  '
+                    + gitLab.configErrors.join('\n  '));
+            }
+
+            // Sections the import relies on
+            _.forEach(['category_labels', 'priority_labels', 'severity_labels', 'closed_statuses', 'version_milestones'], function (section) {
+                config[section] = _.isPlainObject(config[section]) ? config[section] : {};
+            });
             config.users = _.extend({
                 "": {
                     name: "Unknown",
                     gl_username: gitlabSudo
                 }
             }, config.users);
-            return config;
-        }).then(function (cfg) {
-            config = cfg;
-        }, function () {
-            throw new Error('Cannot read config file: ' + configFile);
         });
 }
 
 /**
- * Read and parse import.csv file - assigns gitLab.mantisIssues
- * @return {object}
+ * Validate value against JSON schema (subset: type, enum, pattern, minimum, properties, additionalProperties, items,
+ * $ref to definitions)
+ * @param {*} value
+ * @param {object} schema
+ * @param {string} path name of value used in the messages
+ * @param {object} root (optional) schema to resolve $ref in, defaults to schema
+ * @return {string[]} the errors found
  */
-function readMantisIssues() {
-    verbose ? log_verbose("Reading Mantis export file from " + inputFile) : log_progress("Reading Mantis export file...");
-    return FS.read(inputFile, {encoding: 'utf8'}).then(function (data) {
-        var rows = [];
-        var dfd = Q.defer();
+function getSchemaErrors(value, schema, path, root) {
+    root = root || schema;
+    if (schema.$ref) {
+        schema = _.reduce(schema.$ref.replace(/^#\//, '').split('/'), function (schema, key) {
+            return schema[key];
+        }, root);
+    }
 
-        csv().from(data, {delimiter: ',', escape: '"', columns: true})
-            .on('record', function (row, index) {
-                rows.push(row)
-            })
-            .on('end', function (error, data) {
-                dfd.resolve(rows);
-            });
+    let type = null === value ? 'null' : _.isArray(value) ? 'array' : typeof value;
+    let types = [].concat(schema.type || []);
+    let matchesType = function (expected) {
+        return expected === type || (expected === 'integer' && type === 'number' && value % 1 === 0);
+    };
+    if (types.length && !_.some(types, matchesType)) {
+        return [path + ' must be of type ' + types.join(' or ') + ', found ' + type];
+    }
+    if (schema.enum && schema.enum.indexOf(value) === -1) {
+        return [path + ' must be one of ' + schema.enum.join(', ') + ', found ' + JSON.stringify(value)];
+    }
+    if (schema.pattern && type === 'string' && !new RegExp(schema.pattern).test(value)) {
+        return [path + ' must match ' + schema.pattern + ', found ' + JSON.stringify(value)];
+    }
+    if (undefined !== schema.minimum && type === 'number' && value < schema.minimum) {
+        return [path + ' must be at least ' + schema.minimum + ', found ' + value];
+    }
 
-        return dfd.promise
-            .then(function (rows) {
-                _.forEach(rows, function (row) {
-                    row.Id = Number(row.Id);
-                });
+    let errors = [];
+    if (type === 'object') {
+        _.forEach(value, function (propertyValue, property) {
+            let propertyPath = path + '.' + property;
+            if (schema.properties && schema.properties.hasOwnProperty(property)) {
+                errors = errors.concat(getSchemaErrors(propertyValue, schema.properties[property], propertyPath, root));
+            } else if (false === schema.additionalProperties) {
+                errors.push(propertyPath + ' is not supported');
+            } else if (_.isPlainObject(schema.additionalProperties)) {
+                errors = errors.concat(getSchemaErrors(propertyValue, schema.additionalProperties, propertyPath, root));
+            }
+        });
+        _.forEach(schema.required, function (property) {
+            if (!value.hasOwnProperty(property)) {
+                errors.push(path + '.' + property + ' is required');
+            }
+        });
+    }
+    if (type === 'array' && schema.items) {
+        _.forEach(value, function (item, index) {
+            errors = errors.concat(getSchemaErrors(item, schema.items, path + '[' + index + ']', root));
+        });
+    }
+    return errors;
+}
 
-                if (fromIssueId) {
-                    rows = _.filter(rows, function (row) {
-                        return row.Id >= fromIssueId;
-                    })
-                }
+/**
+ * Read the Mantis issues with the reader of the input format - assigns gitLab.mantisIssues
+ * @return {object}
+ */
+function readMantisIssues() {
+    let reader = mantisReaders[inputFormat];
+    let source = inputFormat === 'rest' ? (config.mantis_api || {}).url : inputFile;
+    if (!reader) {
+        throw new Error('Unknown input format "' + inputFormat + '", use one of: ' + _.keys(mantisReaders).join(', '));
+    }
 
-                return gitLab.mantisIssues = _.sortBy(rows, "Id");
-            }, function (error) {
-                throw new Error('Cannot read input file: ' + inputFile + " - " + error);
-            });
+    verbose ? log_verbose("Reading Mantis issues from " + source + " (" + inputFormat + ")") : log_progress("Reading Mantis issues...");
+    return Q.fcall(reader).then(function (rows) {
+        _.forEach(rows, function (row) {
+            row.Id = Number(row.Id);
+        });
+        indexMantisIssues(rows);
+        return _.sortBy(rows, "Id");
+    }, function (error) {
+        throw new Error('Cannot read Mantis issues from ' + source + " - " + error);
+    }).then(function (rows) {
+        return getIssueSelection().then(function (filters) {
+            return gitLab.mantisIssues = skipPrivateIssues(selectMantisIssues(rows, filters));
+        });
     });
 }
 
 /**
- * Fetch project info from GitLab - assigns gitLab.project
- * @return {Promise<unknown | void>}
+ * Compile the selection options (--from, --ids, --idsFile, --status, --category, --reporter, --handler, --version, --created,
+ * --updated and --filter) into filters
+ * @return {Promise<{option: string, value: string, test: function}[]>}
  */
-function getGitLabProject() {
-    const url = gitlabAPIURLBase + '/projects';
-    let queryString = 'per_page=100';
-    verbose ? log_verbose('Fetching project from GitLab: ' + url) : log_progress("Fetching project from GitLab...");
+function getIssueSelection() {
+    let filters = [];
+    let list = function (value) {
+        return _.compact(_.map(String(value).split(','), _.trim));
+    };
+    let add = function (option, value, test) {
+        filters.push({option: option, value: String(value), test: test});
+    };
 
-    return superagent
-        .get(url)
-        .query(queryString)
-        .set({'PRIVATE-TOKEN': gitlabAdminPrivateToken, 'Sudo': gitlabSudo, accept: 'json'})
-        .then((result) => {
-            gitLab.project = _.find(result.body, {path_with_namespace: gitlabProjectName}) || null;
-            if (!gitLab.project) {
-                throw new Error('Cannot find project "' + gitlabProjectName + '" at GitLab');
-            }
-            return gitLab.project;
-        })
-        .catch((error) => {
-                if (error.status !== '404') {
-                    throw new Error('Cannot get list of projects from gitlab: ' + url + ' (error code: ' + error.status + ')');
-                }
-            }
-        );
+    fromIssueId ? add('from', fromIssueId, function (row) {
+        return row.Id >= fromIssueId;
+    }) : null;
+    argv.ids ? add('ids', argv.ids, getIdListTest(argv.ids, '--ids')) : null;
+    _.forEach({status: ['Status'], category: ['Category', 'CategoryId'], reporter: ['Reporter'],
+        handler: ['Assigned To'], version: ['TargetVersion', 'FixedInVersion']}, function (columns, option) {
+        if (!argv[option]) {
+            return;
+        }
+        let values = list(argv[option]);
+        add(option, argv[option], function (row) {
+            return _.some(columns, function (column) {
+                return _.intersection(getColumnValues(row, column), values).length > 0;
+            });
+        });
+    });
+    _.forEach({created: 'Created', updated: 'Updated'}, function (column, option) {
+        argv[option] ? add(option, argv[option], getDateWindowTest(column, argv[option], '--' + option)) : null;
+    });
+    _.forEach(argv.filter ? [].concat(argv.filter) : [], function (expression) {
+        add('filter', expression, getFilterTest(String(expression)));
+    });
+
+    if (!argv.idsFile) {
+        return Q(filters);
+    }
+    let idsFile = __dirname + '/' + argv.idsFile;
+    return FS.read(idsFile, {encoding: 'utf8'}).then(function (data) {
+        let ids = _.compact(data.replace(/#/g, '').split(/[\s,]+/)).join(',');
+        add('idsFile', argv.idsFile, getIdListTest(ids, idsFile));
+        return filters;
+    }, function (error) {
+        throw new Error('Cannot read issue ids from ' + idsFile + ' - ' + error.message);
+    });
 }
 
 /**
- * Fetch project members from GitLab - assigns gitLab.gitlabUsers
- * @return {Promise<unknown | void>}
+ * Keep the rows passing all filters - assigns gitLab.selection, the filters and the selected ids, recorded with the run
+ * @param {object[]} rows
+ * @param {object[]} filters
+ * @return {object[]}
  */
-function getGitLabProjectMembers() {
-    const url = gitlabAPIURLBase + '/projects/' + gitLab.project.id + "/members/all";
-    let queryString = 'per_page=100';
-    verbose ? log_verbose('Fetching project members from GitLab (max. 100): ' + url) : log_progress("Fetching project members from GitLab (max. 100)...");
-    return superagent
-        .get(url)
-        .query(queryString)
-        .set({'PRIVATE-TOKEN': gitlabAdminPrivateToken, 'Sudo': gitlabSudo, accept: 'json'})
-        .then((result) => {
-            gitLab.gitlabUsers = result.body;
-            if (!gitLab.gitlabUsers) {
-                log_verbose('Found no users at Gitlab project.')
-            }
-            return gitLab.gitlabUsers;
-        })
-        .catch((error) => {
-                if (error) {
-                    throw new Error('Cannot get list of users from gitlab: ' + url + ' (error code: ' + error.status + ')');
-                }
-            }
-        );
+function selectMantisIssues(rows, filters) {
+    if (!filters.length) {
+        gitLab.selection = null;
+        return rows;
+    }
+
+    let selected = _.filter(rows, function (row) {
+        return _.every(filters, function (filter) {
+            return filter.test(row);
+        });
+    });
+    gitLab.selection = {
+        filters: _.map(filters, function (filter) {
+            return '--' + filter.option + ' ' + filter.value;
+        }),
+        ids: _.pluck(selected, 'Id')
+    };
+
+    log_progress('Selected ' + selected.length + ' of ' + rows.length + ' Mantis issue(s): ' + gitLab.selection.filters.join(' '));
+    if (dryRun || verbose) {
+        log_progress('Selected issues: ' + (selected.length ? '#' + gitLab.selection.ids.join(', #') : 'none'));
+    }
+    return selected;
 }
 
 /**
- * Sets "config.users[].gl_id" based on matching user from gitLab.gitlabUsers
- * @return {object}
+ * Leave out the private issues if config.private.issues is "skip" - assigns gitLab.skippedPrivateIssues
+ * @param {object[]} rows
+ * @return {object[]}
  */
-function mapGitLabUserIds() {
-    let users = config.users,
-        gitlabUsers = gitLab.gitlabUsers;
-    _.forEach(users, function (user) {
-        user.gl_id = (_.find(gitlabUsers, {username: user.gl_username}) || {}).id;
+function skipPrivateIssues(rows) {
+    let skipped = _.filter(rows, function (row) {
+        return getPrivateHandling(row) === 'skip';
     });
-    return config;
+    gitLab.skippedPrivateIssues = _.pluck(skipped, 'Id');
+    if (skipped.length) {
+        verbose ? log_verbose('Skipped private issues: #' + gitLab.skippedPrivateIssues.join(', #')) : null;
+        return _.difference(rows, skipped);
+    }
+    return rows;
 }
 
 /**
- * Fetch project's milestones from GitLab - assigns gitLab.gitlabMilestones
- * @return {Promise<unknown | void>}
+ * Get the values of column of Mantis data row to compare with: the value itself and, for enumerations, its name or
+ * number
+ * @param {object} row
+ * @param {string} column
+ * @return {string[]}
  */
-function getGitLabProjectMilestones() {
-    const url = gitlabAPIURLBase + '/projects/' + gitLab.project.id + "/milestones";
-    let data = {per_page: 100};
-    verbose ? log_verbose('Fetching project milestones from GitLab: ' + url) : log_progress("Fetching project milestones from GitLab...");
-    return superagent
-        .get(url)
-        .set({'PRIVATE-TOKEN': gitlabAdminPrivateToken, 'Sudo': gitlabSudo, accept: 'json'})
-        .send(data)
-        .then((result) => {
-            gitLab.gitlabMilestones = result.body;
-            if (!gitLab.gitlabMilestones) {
-                log_verbose('Found no milestones at Gitlab project.')
-            }
-            return gitLab.gitlabMilestones;
-        })
-        .catch((error) => {
-                if (error) {
-                    throw new Error('Cannot get list of milestones from gitlab: ' + url + ' (error code: ' + error.status + ')');
-                }
-            }
-        );
+function getColumnValues(row, column) {
+    let value = row[column];
+    if (null === value || undefined === value || value === 'NULL') {
+        return [''];
+    }
+    return getEnumKeys(column, value);
 }
 
 /**
- * Sets config.version_milestones[].gl_milestone_id based gitLab.gitlabMilestones
- * @return {{}}
+ * Get the keys of a value of a Mantis enumeration column (status, priority, severity...) in config sections: the
+ * mysqldump reader gives the number, the CSV, XML and REST readers give the name
+ * @param {string} column
+ * @param {string} value
+ * @return {string[]} the value followed by its name or number, the value only for other columns and unknown values
  */
-function mapGitLabMilestoneIds() {
-    let versionMilestones = config.version_milestones,
-        gitlabMilestones = gitLab.gitlabMilestones;
-    _.forEach(versionMilestones, function (milestone) {
-        milestone.gl_id = (_.find(gitlabMilestones, {title: milestone}) || {}).id;
+function getEnumKeys(column, value) {
+    value = null === value || undefined === value ? '' : String(value);
+    let enumeration = mantisEnums[String(column).toLowerCase()] || {};
+    let other = enumeration[value] || _.findKey(enumeration, function (name) {
+        return name.toLowerCase() === value.toLowerCase();
     });
-    return config;
+    return other ? [value, other] : [value];
 }
 
 /**
- * Ensure that Mantis' usernames in gitLab.mantisIssues have corresponding GitLab user mapping
- * @return void
+ * Get test of the Mantis Id for list of ids and id ranges separated by commas
+ * @param {string} value e.g. "12,15,20-30"
+ * @param {string} source option or file name, for the error message
+ * @return {function}
  */
-function validateMantisIssues() {
-    log_progress("Validating Mantis users...");
-
-    let mantisIssues = gitLab.mantisIssues;
-    let missingUsernames = [];
-
-    log_verbose("Check if users from Mantis export have corresponding Gitlab user...");
-    log_verbose("Check assignee");
-    for (let i = 0; i < mantisIssues.length; i++) {
-        let assignee = mantisIssues[i]["Assigned To"];
+function getIdListTest(value, source) {
+    let ranges = _.map(_.compact(_.map(String(value).split(','), _.trim)), function (item) {
+        let matches = item.match(/^(\d+)(?:-(\d+))?$/);
+        if (!matches) {
+            throw new Error('Invalid issue id "' + item + '" in ' + source + ', use ids or ranges like 12,15,20-30');
+        }
+        return [Number(matches[1]), Number(matches[2] || matches[1])];
+    });
+    return function (row) {
+        return _.some(ranges, function (range) {
+            return row.Id >= range[0] && row.Id <= range[1];
+        });
+    };
+}
 
-        if (!getUserByMantisUsername(assignee) && missingUsernames.indexOf(assignee) === -1)
-            missingUsernames.push(assignee);
+/**
+ * Get test of date window "from..to" on column, either end may be left out. An end given as day includes the whole
+ * day.
+ * @param {string} column
+ * @param {string} value e.g. "2020-01-01..2020-12-31"
+ * @param {string} option for the error message
+ * @return {function}
+ */
+function getDateWindowTest(column, value, option) {
+    let ends = String(value).split('..');
+    let from = ends[0] ? Date.parse(ends[0]) : -Infinity;
+    let to = ends[1] ? Date.parse(ends[1]) + (/^\d{4}-\d\d-\d\d$/.test(ends[1]) ? 86400000 : 1) : Infinity;
+    if (ends.length !== 2 || isNaN(from) || isNaN(to)) {
+        throw new Error('Invalid date window "' + value + '" for ' + option + ', use from..to like 2020-01-01..2020-12-31');
     }
+    return function (row) {
+        let date = Date.parse(row[column]);
+        return date >= from && date < to;
+    };
+}
 
-    log_verbose("Check reporter");
-    for (let i = 0; i < mantisIssues.length; i++) {
-        let reporter = mantisIssues[i]['Reporter'];
-
-        if (!getUserByMantisUsername(reporter) && missingUsernames.indexOf(reporter) === -1)
-            missingUsernames.push(reporter);
+/**
+ * Get test of filter expression: Column=a,b, Column!=a,b, Column~regex, Column!~regex or a comparison with >, >=, <
+ * or <=, which compares numbers, dates and the levels of priority, severity, status, resolution and reproducibility
+ * @param {string} expression
+ * @return {function}
+ */
+function getFilterTest(expression) {
+    let matches = expression.match(/^\s*([^=!~<>]+?)\s*(!=|=|!~|~|>=|<=|>|<)\s*(.*)$/);
+    if (!matches) {
+        throw new Error('Invalid filter "' + expression + '", use Column=a,b Column!=a,b Column~regex Column!~regex Column>value or Column<value');
     }
+    let column = matches[1];
+    let operator = matches[2];
+    let value = matches[3];
+    let negate = operator.charAt(0) === '!';
 
-    if (missingUsernames.length > 0) {
-        for (let i = 0; i < missingUsernames.length; i++)
-            console.error('Error: Cannot map Mantis user with username: ' + missingUsernames[i]);
-
-        throw new Error("User validation failed");
+    if (operator === '=' || operator === '!=') {
+        let values = _.map(value.split(','), _.trim);
+        return function (row) {
+            return negate !== (_.intersection(getColumnValues(row, column), values).length > 0);
+        };
     }
+    if (operator === '~' || operator === '!~') {
+        let regexp;
+        try {
+            regexp = new RegExp(value, 'i');
+        } catch (error) {
+            throw new Error('Invalid filter "' + expression + '": ' + error.message);
+        }
+        return function (row) {
+            return negate !== _.some(getColumnValues(row, column), function (columnValue) {
+                return regexp.test(columnValue);
+            });
+        };
+    }
+
+    // Enumerations compare by their number, given by name or number
+    let levels = _.invert(mantisEnums[column.toLowerCase()] || {});
+    let comparable = function (value) {
+        value = String(null === value || undefined === value ? '' : value);
+        if (levels[value]) {
+            return Number(levels[value]);
+        }
+        return /^-?\d+(\.\d+)?$/.test(value) ? Number(value) : isNaN(Date.parse(value)) ? value : Date.parse(value);
+    };
+    let wanted = comparable(value);
+    return function (row) {
+        let actual = comparable(row[column]);
+        if (typeof actual !== typeof wanted) {
+            return false;
+        }
+        return {'>': actual > wanted, '>=': actual >= wanted, '<': actual < wanted, '<=': actual <= wanted}[operator];
+    };
 }
 
 /**
- * Import gitLab.mantisIssues into GitLab
- * @return {Promise<void>|*}
+ * Read the issues of a CSV export with the columns described in the README, the comma separated Tags column is
+ * split into tags
+ * @return {Promise<object[]>}
  */
-function importGitLabIssues() {
-    if (removeSkipped) {
-        return Promise.resolve();
-    }
-
-    log_progress("Importing Mantis issues into GitLab from #" + fromIssueId + " ...");
-    return _.reduce(gitLab.mantisIssues, function (p, mantisIssue) {
-        return p.then(function () {
-            return importIssue(mantisIssue);
+function readCsvIssues() {
+    return FS.read(inputFile, {encoding: 'utf8'}).then(parseCsv).then(function (rows) {
+        _.forEach(rows, function (row) {
+            row.tags = _.compact(_.map((row.Tags || '').split(','), _.trim));
         });
-    }, Q());
-
+        return rows;
+    });
 }
 
-function importIssue(mantisIssue) {
-    let issueId = mantisIssue.Id;
-    let title = mantisIssue.Summary;
-    let description = getDescription(mantisIssue);
-    let createdAt = mantisIssue["Created"];
-    let assignee = getUserByMantisUsername(mantisIssue["Assigned To"]);
-    let milestoneId = getMilestoneId(mantisIssue['TargetVersion']);
-    let labels = getLabels(mantisIssue);
-    let author = getUserByMantisUsername(mantisIssue['Reporter']);
-
-    let data = {
-        iid: issueId,
-        title: title,
-        description: description,
-        assignee_id: assignee && assignee.gl_id,
-        milestone_id: milestoneId,
-        created_at: createdAt,
-        labels: labels,
-        author: author
+/**
+ * Rebuild the issues from the INSERT statements of a mysqldump of the Mantis database (config.mysqldump: project,
+ * table_prefix, table_suffix). Notes, attachments, relationships, history, tags and custom fields are kept as lists instead of
+ * the "$$$$" separated columns of the CSV export; the Mantis users and versions are assigned to gitLab.mantisUsers and
+ * gitLab.mantisVersions.
+ * @return {Promise<object[]>}
+ */
+function readMysqlDumpIssues() {
+    let settings = _.extend({project: null, table_prefix: 'mantis_', table_suffix: '_table'}, config.mysqldump);
+    let tableNames = ['bug', 'bug_text', 'bugnote', 'bugnote_text', 'user', 'category', 'project', 'project_version',
+        'tag', 'bug_tag', 'bug_relationship', 'bug_file', 'bug_history', 'custom_field', 'custom_field_string'];
+    let table = function (name) {
+        return settings.table_prefix + name + settings.table_suffix;
     };
 
-    log_progress('Importing: #' + issueId + ' - "' + title + '" ...');
-    verbose ? log_verbose(data) : null;
-
+    return parseMysqlDump(inputFile, _.map(tableNames, table)).then(function (dump) {
+        let rowsOf = function (name) {
+            return dump[table(name)] || [];
+        };
+        let text = function (value) {
+            return null === value || undefined === value ? '' : Buffer.from(String(value), 'latin1').toString('utf8');
+        };
+        let users = _.indexBy(rowsOf('user'), 'id');
+        let username = function (userId) {
+            return users[userId] ? text(users[userId].username) : null;
+        };
+        let bugs = rowsOf('bug');
 
-    return getIssue(gitLab.project.id, issueId)
-        .then(function (gitLabIssue) {
-            if (gitLabIssue) {
-                return updateIssue(gitLab.project.id, gitLabIssue.iid, _.extend({
-                    state_event: isClosed(mantisIssue) ? 'close' : 'reopen'
-                }, data))
-                    .then(function () {
-                        log_progress("#" + issueId + ": Updated successfully.");
-                        return replaceIssueNotes(gitLabIssue.iid, mantisIssue).then((result) => {
-                            return result;
-                        });
-                    });
-            } else {
-                return insertIssue(gitLab.project.id, data).then(function (issue) {
-                    gitLab.gitlabIssues[issue.iid] = issue;
-                    if (isClosed(mantisIssue)) {
-                        return closeIssue(issue, {}).then(
-                            function () {
-                                log_progress(issueId + ': Inserted and closed successfully. #' + issue.iid);
-                            }, function (error) {
-                                console.warn((issueId + ': Inserted successfully but failed to close. #' + issue.iid).yellow);
-                            });
-                    }
-                    log_progress(issueId + ': Inserted successfully. #' + issue.iid);
-                    return replaceIssueNotes(issue.iid, mantisIssue)
-                        .then((result) => {
-                            return result;
-                        });
-                }, function (error) {
-                    console.error((issueId + ': Failed to insert.').red, error);
-                });
+        if (settings.project) {
+            let project = _.find(rowsOf('project'), function (project) {
+                return text(project.name) === settings.project;
+            });
+            if (!project) {
+                throw new Error('Cannot find Mantis project "' + settings.project + '" in dump');
             }
+            bugs = _.filter(bugs, {project_id: project.id});
+        } else if (_.uniq(_.pluck(bugs, 'project_id')).length > 1) {
+            throw new Error('The dump has the issues of several Mantis projects (' + _.map(_.uniq(_.pluck(bugs, 'project_id')), function (projectId) {
+                let project = _.find(rowsOf('project'), {id: projectId});
+                return project ? text(project.name) : projectId;
+            }).join(', ') + '), select the one to migrate with mysqldump.project in the config file');
+        }
+
+        let bugTexts = _.indexBy(rowsOf('bug_text'), 'id');
+        let noteTexts = _.indexBy(rowsOf('bugnote_text'), 'id');
+        let categories = _.indexBy(rowsOf('category'), 'id');
+        let tags = _.indexBy(rowsOf('tag'), 'id');
+        let notes = _.groupBy(_.sortByAll(rowsOf('bugnote'), ['date_submitted', 'id']), 'bug_id');
+        let files = _.groupBy(_.sortBy(rowsOf('bug_file'), 'id'), 'bug_id');
+        let relationships = _.groupBy(_.sortBy(rowsOf('bug_relationship'), 'id'), 'source_bug_id');
+        let history = _.groupBy(_.sortByAll(rowsOf('bug_history'), ['date_modified', 'id']), 'bug_id');
+        let bugTags = _.groupBy(rowsOf('bug_tag'), 'bug_id');
+        let customFields = _.indexBy(rowsOf('custom_field'), 'id');
+        let customFieldValues = _.groupBy(rowsOf('custom_field_string'), 'bug_id');
+
+        gitLab.mantisUsers = _.indexBy(_.map(users, function (user) {
+            return {username: text(user.username), realname: text(user.realname), email: text(user.email)};
+        }), 'username');
+        gitLab.mantisVersions = _.indexBy(_.map(rowsOf('project_version'), function (version) {
+            return {
+                version: text(version.version),
+                description: text(version.description),
+                released: String(version.released),
+                obsolete: String(version.obsolete),
+                date: getMantisDate(version.date_order)
+            };
+        }), 'version');
+
+        return _.map(bugs, function (bug) {
+            let bugText = bugTexts[bug.bug_text_id] || {};
+            let category = categories[bug.category_id];
+            return {
+                Id: bug.id,
+                CategoryId: bug.category_id ? String(bug.category_id) : null,
+                Category: category ? text(category.name) : null,
+                Summary: text(bug.summary),
+                Priority: String(bug.priority),
+                Severity: String(bug.severity),
+                Status: String(bug.status),
+                Resolution: String(bug.resolution),
+                ViewState: String(bug.view_state),
+                Created: getMantisDate(bug.date_submitted),
+                Updated: getMantisDate(bug.last_updated),
+                TargetVersion: text(bug.target_version) || null,
+                FixedInVersion: text(bug.fixed_in_version) || null,
+                Reporter: username(bug.reporter_id),
+                "Assigned To": username(bug.handler_id),
+                Description: text(bugText.description),
+                Info: text(bugText.additional_information) || null,
+                Notes: _.map(notes[bug.id], function (note) {
+                    return {
+                        mantis_id: note.id,
+                        created_at: getMantisDate(note.date_submitted),
+                        updated_at: getMantisDate(note.last_modified),
+                        author: username(note.reporter_id),
+                        view_state: String(note.view_state),
+                        text: text((noteTexts[note.bugnote_text_id] || {}).note)
+                    };
+                }),
+                Attachments: _.map(files[bug.id], function (file) {
+                    return {
+                        mantis_id: file.id,
+                        note_id: file.bugnote_id || null,
+                        size: file.filesize,
+                        diskfile: text(file.diskfile),
+                        filename: text(file.filename),
+                        // Files stored in the database instead of on disk
+                        content: file.content ? Buffer.from(file.content, 'latin1') : null
+                    };
+                }),
+                Relationships: _.filter(_.map(relationships[bug.id], function (relationship) {
+                    return {type: String(relationship.relationship_type), target: relationship.destination_bug_id};
+                }), function (relationship) {
+                    return mantisRelationships[relationship.type];
+                }),
+                History: _.map(history[bug.id], function (event) {
+                    let handler = event.field_name === 'handler_id';
+                    return {
+                        date: getMantisDate(event.date_modified),
+                        username: username(event.user_id),
+                        type: String(event.type),
+                        field: text(event.field_name),
+                        old_value: handler ? username(event.old_value) || '' : text(event.old_value),
+                        new_value: handler ? username(event.new_value) || '' : text(event.new_value)
+                    };
+                }),
+                tags: _.compact(_.map(bugTags[bug.id], function (bugTag) {
+                    return tags[bugTag.tag_id] ? text(tags[bugTag.tag_id].name) : null;
+                })),
+                custom_fields: _.zipObject(_.compact(_.map(customFieldValues[bug.id], function (fieldValue) {
+                    let field = customFields[fieldValue.field_id];
+                    // Textarea fields keep their value in the text column
+                    return field ? [text(field.name), text(fieldValue.value) || text(fieldValue.text)] : null;
+                })))
+            };
         });
+    });
 }
 
 /**
- * Fetch all existing project issues from GitLab - assigns gitLab.gitlabIssues
- * @return {any}
+ * Convert a Mantis date (UNIX timestamp, DATETIME of Mantis < 1.2 or ISO 8601 with offset) to ISO 8601 in UTC
+ * @param {int|string} value
+ * @return {string|null}
  */
-function getGitLabProjectIssues() {
-    return getRemainingGitLabProjectIssues(0, 100)
-        .then(function (result) {
-            log_progress("Fetched " + result.length + " GitLab issues.");
-            let issues = _.indexBy(result, 'iid');
-            return gitLab.gitlabIssues = issues;
-        });
+function getMantisDate(value) {
+    if (!value || String(value) === '1' || value === '1970-01-01 00:00:01') {
+        return null;
+    }
+    if (/^\d+$/.test(value)) {
+        return new Date(Number(value) * 1000).toISOString().replace('.000Z', 'Z');
+    }
+    if (/^\d{4}-\d\d-\d\d \d\d:\d\d:\d\d$/.test(value)) {
+        return value.replace(' ', 'T') + 'Z';
+    }
+    let date = new Date(value);
+    return isNaN(date) ? String(value) : date.toISOString().replace('.000Z', 'Z');
 }
 
 /**
- * Recursively fetch the remaining issues in the project
- * @param {int} page
- * @param {int} per_page
- * @return {Promise<unknown | void>}
+ * Read the issues of a file written by the Mantis XML import/export plugin
+ * @return {Promise<object[]>}
  */
-function getRemainingGitLabProjectIssues(page, per_page) {
-    let from = page * per_page;
-    let url = gitlabAPIURLBase + '/projects/' + gitLab.project.id + "/issues";
-    verbose ? log_verbose('Fetching project issues from GitLab: ' + url + ' [' + (from + 1) + '-' + (from + per_page) + ']...') : log_progress("Fetching project issues from GitLab [" + (from + 1) + "-" + (from + per_page) + "]...");
+function readXmlIssues() {
+    return FS.read(inputFile, {encoding: 'utf8'}).then(function (data) {
+        let root = parseXml(data);
+        if (root.name !== 'mantis') {
+            throw new Error('Not a Mantis XML export, found <' + root.name + '>');
+        }
+        let child = function (element, name) {
+            return _.find(element.children, {name: name}) || {name: name, attributes: {}, children: [], text: ''};
+        };
+        let children = function (element, list, name) {
+            return _.filter(child(element, list).children, {name: name});
+        };
+        let value = function (element, name) {
+            return child(element, name).text;
+        };
 
+        gitLab.mantisUsers = {};
+        return _.map(_.filter(root.children, {name: 'issue'}), function (issue) {
+            let username = function (element) {
+                let name = element.text || null;
+                name ? gitLab.mantisUsers[name] = gitLab.mantisUsers[name] || {username: name} : null;
+                return name;
+            };
 
-    let queryString = 'scope=all&page='+page+'&per_page='+per_page+'&order_by=created_at';
-    return superagent
-        .get(url)
-        .query(queryString)
-        .set({'PRIVATE-TOKEN': gitlabAdminPrivateToken, 'Sudo': gitlabSudo, accept: 'json'})
-        .then((result) => {
-            let issues = result.body;
+            return {
+                Id: Number(value(issue, 'id')),
+                CategoryId: child(issue, 'category').attributes.id || null,
+                Category: value(issue, 'category') || null,
+                Summary: value(issue, 'summary'),
+                Priority: value(issue, 'priority'),
+                Severity: value(issue, 'severity'),
+                Status: value(issue, 'status'),
+                Resolution: value(issue, 'resolution') || null,
+                ViewState: value(issue, 'view_state') || null,
+                Created: getMantisDate(value(issue, 'date_submitted')),
+                Updated: getMantisDate(value(issue, 'last_updated')),
+                TargetVersion: value(issue, 'target_version') || null,
+                FixedInVersion: value(issue, 'fixed_in_version') || null,
+                Reporter: username(child(issue, 'reporter')),
+                "Assigned To": username(child(issue, 'handler')),
+                Description: value(issue, 'description'),
+                Info: value(issue, 'additional_information') || null,
+                Notes: _.map(children(issue, 'bugnotes', 'bugnote'), function (note) {
+                    return {
+                        mantis_id: Number(value(note, 'id')),
+                        created_at: getMantisDate(value(note, 'date_submitted')),
+                        updated_at: getMantisDate(value(note, 'last_modified')),
+                        author: username(child(note, 'reporter')),
+                        view_state: value(note, 'view_state') || null,
+                        text: value(note, 'note')
+                    };
+                }),
+                Attachments: _.map(children(issue, 'attachments', 'attachment'), function (attachment) {
+                    let content = value(attachment, 'content');
+                    return {
+                        mantis_id: Number(value(attachment, 'id')) || null,
+                        note_id: null,
+                        size: Number(value(attachment, 'size')) || null,
+                        diskfile: null,
+                        filename: value(attachment, 'filename'),
+                        content: content ? Buffer.from(content, 'base64') : null
+                    };
+                }),
+                tags: _.pluck(children(issue, 'tags', 'tag'), 'text'),
+                custom_fields: _.zipObject(_.map(children(issue, 'custom_fields', 'custom_field'), function (field) {
+                    return [value(field, 'name'), value(field, 'value')];
+                }))
+            };
+        });
+    });
+}
 
-            if (issues.length < per_page) {
-                return issues;
+/**
+ * Parse XML into a tree of elements. Supports what the Mantis XML export uses: elements, attributes, text, entities,
+ * CDATA sections and comments; namespaces and DTDs are ignored.
+ * @param {string} data
+ * @return {{name: string, attributes: object, children: object[], text: string}} the root element
+ */
+function parseXml(data) {
+    let entities = {lt: '<', gt: '>', amp: '&', quot: '"', apos: "'"};
+    let decode = function (text) {
+        return text.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, function (entity, name) {
+            if (name.charAt(0) === '#') {
+                return String.fromCodePoint(name.charAt(1).toLowerCase() === 'x' ? parseInt(name.substr(2), 16) : Number(name.substr(1)));
             }
-            return getRemainingGitLabProjectIssues(page + 1, per_page)
-                .then(function (remainingIssues) {
-                    return issues.concat(remainingIssues);
-                });
-        })
-        .catch((error) => {
-                if (error) {
-                    throw new Error('Cannot get list of issues from gitlab: ' + url + " page=" + page);
-                }
+            return entities.hasOwnProperty(name) ? entities[name] : entity;
+        });
+    };
+    let tokens = /<!\[CDATA\[([\s\S]*?)]]>|<!--[\s\S]*?-->|<[?!][\s\S]*?>|<(\/?)([^\s/>]+)([^>]*?)(\/?)>|([^<]+)/g;
+    let root = {name: null, attributes: {}, children: [], text: ''};
+    let stack = [root];
+    let token;
+
+    while ((token = tokens.exec(data))) {
+        let current = stack[stack.length - 1];
+        if (undefined !== token[1]) {
+            current.text += token[1];
+        } else if (undefined !== token[6]) {
+            current.text += decode(token[6]);
+        } else if (token[2] === '/') {
+            if (stack.length < 2 || current.name !== token[3]) {
+                throw new Error('Unexpected </' + token[3] + '> in XML');
             }
-        );
+            current.text = current.children.length ? current.text.trim() : current.text;
+            stack.pop();
+        } else if (token[3]) {
+            let element = {name: token[3], attributes: {}, children: [], text: ''};
+            token[4].replace(/([^\s=]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g, function (attribute, name, doubleQuoted, singleQuoted) {
+                element.attributes[name] = decode(undefined !== doubleQuoted ? doubleQuoted : singleQuoted);
+            });
+            current.children.push(element);
+            if (!token[5]) {
+                stack.push(element);
+            }
+        }
+    }
+    if (stack.length > 1 || !root.children.length) {
+        throw new Error('Incomplete XML document');
+    }
+    return root.children[0];
+}
+
+/**
+ * Read the issues of a project page by page through the Mantis REST API (config.mantis_api: url, token, project,
+ * page_size). Files are downloaded with their issue; the users and versions are assigned to gitLab.mantisUsers and
+ * gitLab.mantisVersions.
+ * @return {Promise<object[]>}
+ */
+function readRestIssues() {
+    let settings = _.extend({page_size: 50, token: process.env.MANTIS_API_TOKEN}, config.mantis_api);
+    if (!settings.url || !settings.token || !settings.project) {
+        throw new Error('Reading from the Mantis REST API needs "url", "token" and "project" in config.mantis_api');
+    }
+
+    let baseUrl = settings.url.replace(/\/$/, '') + '/api/rest';
+    let get = function (path, query) {
+        return sendRequest('get', baseUrl + path, {headers: {Authorization: settings.token, accept: 'json'}, query: query})
+            .then(function (result) {
+                return result.body;
+            });
+    };
+    let username = function (user) {
+        if (!user || !user.name) {
+            return null;
+        }
+        gitLab.mantisUsers[user.name] = {username: user.name, realname: user.real_name || '', email: user.email || ''};
+        return user.name;
+    };
+    let readPage = function (projectId, page) {
+        verbose ? log_verbose('Fetching Mantis issues [page ' + page + ']...') : null;
+        return get('/issues', {project_id: projectId, page_size: settings.page_size, page: page}).then(function (body) {
+            let issues = body.issues || [];
+            if (issues.length < settings.page_size) {
+                return issues;
+            }
+            return readPage(projectId, page + 1).then(function (remainingIssues) {
+                return issues.concat(remainingIssues);
+            });
+        });
+    };
+
+    gitLab.mantisUsers = {};
+    return get('/projects').then(function (body) {
+        let project = _.find(body.projects, function (project) {
+            return project.name === settings.project || String(project.id) === String(settings.project);
+        });
+        if (!project) {
+            throw new Error('Cannot find Mantis project "' + settings.project + '", available: ' + _.pluck(body.projects, 'name').join(', '));
+        }
+        gitLab.mantisVersions = _.indexBy(_.map(project.versions, function (version) {
+            return {
+                version: version.name,
+                description: version.description || '',
+                released: String(!!version.released),
+                obsolete: String(!!version.obsolete),
+                date: getMantisDate(version.timestamp)
+            };
+        }), 'version');
+        return readPage(project.id, 1);
+    }).then(function (issues) {
+        return _.reduce(issues, function (p, issue) {
+            return p.then(function (rows) {
+                let noteFiles = _.flatten(_.map(issue.notes, function (note) {
+                    return _.map(note.attachments, function (attachment) {
+                        return _.extend({note_id: note.id}, attachment);
+                    });
+                }));
+                let files = (issue.attachments || []).concat(noteFiles);
+                let contents = files.length ? get('/issues/' + issue.id + '/files') : Q({files: []});
+
+                return contents.then(function (body) {
+                    let content = _.indexBy(body.files, 'id');
+                    return rows.concat(getRestIssueRow(issue, files, content, username));
+                });
+            });
+        }, Q([]));
+    });
+}
+
+/**
+ * Convert an issue of the Mantis REST API to a row of the internal model
+ * @param {object} issue
+ * @param {object[]} files the attachments of the issue and its notes
+ * @param {object} content downloaded files by id
+ * @param {function} username returns the username of a user object
+ * @return {object}
+ */
+function getRestIssueRow(issue, files, content, username) {
+    let name = function (value) {
+        return value ? value.name : null;
+    };
+
+    return {
+        Id: issue.id,
+        CategoryId: issue.category ? String(issue.category.id) : null,
+        Category: name(issue.category),
+        Summary: issue.summary,
+        Priority: name(issue.priority),
+        Severity: name(issue.severity),
+        Status: name(issue.status),
+        Resolution: name(issue.resolution),
+        ViewState: name(issue.view_state),
+        Created: getMantisDate(issue.created_at),
+        Updated: getMantisDate(issue.updated_at),
+        TargetVersion: name(issue.target_version),
+        FixedInVersion: name(issue.fixed_in_version),
+        Reporter: username(issue.reporter),
+        "Assigned To": username(issue.handler),
+        Description: issue.description || '',
+        Info: issue.additional_information || null,
+        Notes: _.map(issue.notes, function (note) {
+            return {
+                mantis_id: note.id,
+                created_at: getMantisDate(note.created_at),
+                updated_at: getMantisDate(note.updated_at),
+                author: username(note.reporter),
+                view_state: name(note.view_state),
+                text: note.text || ''
+            };
+        }),
+        Attachments: _.map(files, function (file) {
+            let downloaded = content[file.id];
+            return {
+                mantis_id: file.id,
+                note_id: file.note_id || null,
+                size: file.size || null,
+                diskfile: null,
+                filename: file.filename,
+                content: downloaded && downloaded.content ? Buffer.from(downloaded.content, 'base64') : null
+            };
+        }),
+        Relationships: _.filter(_.map(issue.relationships, function (relationship) {
+            return {type: String(relationship.type.id), target: relationship.issue.id};
+        }), function (relationship) {
+            return mantisRelationships[relationship.type];
+        }),
+        History: _.map(issue.history, function (event) {
+            let field = event.field ? event.field.name : '';
+            let value = function (value) {
+                if (value && 'object' === typeof value) {
+                    return field === 'handler' ? username(value) || '' : String(undefined !== value.id ? value.id : value.name);
+                }
+                return null === value || undefined === value ? '' : String(value);
+            };
+            return {
+                date: getMantisDate(event.created_at),
+                username: username(event.user),
+                type: String(event.type ? event.type.id : 0),
+                field: field === 'handler' ? 'handler_id' : field,
+                old_value: value(event.old_value),
+                new_value: value(event.new_value)
+            };
+        }),
+        tags: _.pluck(issue.tags, 'name'),
+        custom_fields: _.zipObject(_.map(issue.custom_fields, function (customField) {
+            return [customField.field.name, customField.value];
+        }))
+    };
+}
+
+/**
+ * Parse the CREATE TABLE and INSERT statements of the given tables in a mysqldump. The file is read line by line, so
+ * only the rows of these tables are kept in memory. Characters are read byte by byte, text columns are decoded as
+ * UTF-8 when used, file contents are kept as they are.
+ * @param {string} file
+ * @param {string[]} tables
+ * @return {Promise<object>} rows by table name
+ */
+function parseMysqlDump(file, tables) {
+    let columns = {};
+    let rows = {};
+    let created = null;
+    let dfd = Q.defer();
+    let input = fs.createReadStream(file, {encoding: 'latin1'});
+    let lines = readline.createInterface({input: input, crlfDelay: Infinity});
+
+    let parseLine = function (line) {
+        if (created) {
+            // Column definitions of the CREATE TABLE statement until its closing line
+            let column = line.match(/^\s*`([^`]+)`/);
+            if (line.charAt(0) === ')') {
+                created = null;
+            } else if (column) {
+                columns[created].push(column[1]);
+            }
+            return;
+        }
+
+        let matches = line.match(/^(CREATE TABLE|INSERT INTO) `([^`]+)`/);
+        if (!matches || tables.indexOf(matches[2]) === -1) {
+            return;
+        }
+
+        let table = matches[2];
+        if (matches[1] === 'CREATE TABLE') {
+            columns[table] = [];
+            created = table;
+            return;
+        }
+
+        // Column names are listed if dumped with --complete-insert
+        let insert = line.match(/^INSERT INTO `[^`]+`\s*(?:\(([^)]*)\)\s*)?VALUES\s*/);
+        let names = insert[1] ? insert[1].replace(/[`\s]/g, '').split(',') : columns[table];
+        if (!names) {
+            throw new Error('Missing CREATE TABLE statement of ' + table + ' before its INSERT statements');
+        }
+        rows[table] = rows[table] || [];
+        _.forEach(parseSqlValues(line, insert[0].length), function (values) {
+            rows[table].push(_.zipObject(names, values));
+        });
+    };
+
+    lines.on('line', function (line) {
+        try {
+            parseLine(line);
+        } catch (error) {
+            dfd.reject(error);
+            lines.close();
+            input.destroy();
+        }
+    });
+    lines.on('close', function () {
+        dfd.resolve(rows);
+    });
+    lines.on('error', dfd.reject);
+
+    return dfd.promise;
+}
+
+/**
+ * Parse the value lists "(1,'a',NULL),(2,'b\'c',0x00)" of an INSERT statement
+ * @param {string} statement
+ * @param {int} index position of the first value list
+ * @return {Array[]} strings, numbers and null per row
+ */
+function parseSqlValues(statement, index) {
+    let escapes = {'0': '\0', 'b': '\b', 'n': '\n', 'r': '\r', 't': '\t', 'Z': '\x1a'};
+    let special = /['\\]/g;
+    let tokens = /(_\w+\s*)?([^,)'\s]+)?/y;
+    let rows = [];
+    let values = [];
+
+    while (index < statement.length) {
+        let char = statement.charAt(index);
+        if (char === "'") {
+            let value = '';
+            let start = index + 1;
+            for (;;) {
+                special.lastIndex = start;
+                let match = special.exec(statement);
+                if (!match) {
+                    throw new Error('Unterminated string in INSERT statement');
+                }
+                value += statement.slice(start, match.index);
+                let next = statement.charAt(match.index + 1);
+                if (match[0] === '\\') {
+                    value += escapes.hasOwnProperty(next) ? escapes[next] : next;
+                } else if (next === "'") {
+                    value += "'";
+                } else {
+                    index = match.index + 1;
+                    break;
+                }
+                start = match.index + 2;
+            }
+            values.push(value);
+        } else if (char === '(') {
+            values = [];
+            index++;
+        } else if (char === ')') {
+            rows.push(values);
+            index++;
+        } else if (char === ';') {
+            break;
+        } else if (char === ',' || /\s/.test(char)) {
+            index++;
+        } else {
+            tokens.lastIndex = index;
+            let token = tokens.exec(statement);
+            if (!token[0]) {
+                throw new Error('Unexpected "' + char + '" in INSERT statement');
+            }
+            index += token[0].length;
+            if (!token[2]) {
+                // Character set introducer like _binary, the string follows
+                continue;
+            }
+            let value = token[2];
+            values.push(value === 'NULL' ? null
+                : /^0x/i.test(value) ? Buffer.from(value.substr(2), 'hex').toString('latin1')
+                : isNaN(value) ? value : Number(value));
+        }
+    }
+    return rows;
+}
+
+/**
+ * Parse CSV data (delimiter "," and escape '"') with column names in the first line
+ * @param {string} data
+ * @return {Promise<object[]>}
+ */
+function parseCsv(data) {
+    var rows = [];
+    var dfd = Q.defer();
+
+    csv().from(data, {delimiter: ',', escape: '"', columns: true})
+        .on('record', function (row, index) {
+            rows.push(row)
+        })
+        .on('end', function (error, data) {
+            dfd.resolve(rows);
+        })
+        .on('error', function (error) {
+            dfd.reject(error);
+        });
+
+    return dfd.promise;
+}
+
+/**
+ * Read the optional CSV export of Mantis users (columns username, realname, email), replacing the users of a
+ * mysqldump - assigns gitLab.mantisUsers
+ * @return {Promise<object>}
+ */
+function readMantisUsers() {
+    gitLab.mantisUsers = gitLab.mantisUsers || {};
+    if (!mantisUsersFile) {
+        return Q(gitLab.mantisUsers);
+    }
+
+    verbose ? log_verbose("Reading Mantis users from " + mantisUsersFile) : log_progress("Reading Mantis users...");
+    return FS.read(mantisUsersFile, {encoding: 'utf8'}).then(parseCsv).then(function (rows) {
+        return gitLab.mantisUsers = _.indexBy(rows, 'username');
+    }, function (error) {
+        throw new Error('Cannot read Mantis users file: ' + mantisUsersFile + ' - ' + error);
+    });
+}
+
+/**
+ * Report the schema errors of the config file, every category, priority, severity, status, version and user of the
+ * export without mapping and every mapping entry the export does not use (--validate). Mapped users without email are
+ * reported too, as --export maps project members by email only. Fails on schema errors only.
+ * @return {void}
+ */
+function validateConfig() {
+    let rows = gitLab.mantisIssues;
+    let valuesOf = function (fn) {
+        return _.uniq(_.filter(_.flatten(_.map(rows, fn)), function (value) {
+            return value && value !== 'NULL';
+        })).sort();
+    };
+    let checks = [
+        {title: 'categories', section: 'category_labels', values: valuesOf(function (row) { return row.CategoryId; })},
+        {title: 'priorities', section: 'priority_labels', column: 'priority', values: valuesOf(function (row) { return row.Priority; })},
+        {title: 'severities', section: 'severity_labels', column: 'severity', values: valuesOf(function (row) { return row.Severity; })},
+        {title: 'statuses', section: 'closed_statuses', column: 'status', values: valuesOf(function (row) { return row.Status; }),
+            note: 'issues stay open'},
+        {title: 'versions', section: 'version_milestones', values: valuesOf(function (row) { return [row.TargetVersion, row.FixedInVersion]; }),
+            note: 'matched by milestone title'},
+        {title: 'users', section: 'users', values: getMantisUsernames(rows), note: 'mapped to the "" user or --sudo'},
+        {title: 'custom fields', section: 'custom_fields', values: valuesOf(function (row) { return _.keys(row.custom_fields); }),
+            note: 'not migrated'}
+    ];
+
+    log_progress('Validating ' + configFile + ' against ' + rows.length + ' Mantis issue(s)...');
+    _.forEach(gitLab.configErrors, function (error) {
+        console.error(('Error: ' + error).red);
+    });
+
+    let warnings = 0;
+    _.forEach(checks, function (check) {
+        let mapping = _.omit(config[check.section], function (value, key) {
+            return key === '';
+        });
+        // Enumeration values are mapped by number or by name
+        let keys = _.flatten(_.map(check.values, function (value) {
+            return getEnumKeys(check.column || '', value);
+        }));
+        let unmapped = _.reject(check.values, function (value) {
+            return _.some(getEnumKeys(check.column || '', value), function (key) {
+                return mapping.hasOwnProperty(key);
+            });
+        });
+        let unused = _.difference(_.keys(mapping), keys);
+
+        if (unmapped.length) {
+            console.warn(('Unmapped ' + check.title + ' (' + unmapped.length + (check.note ? ', ' + check.note : '') + '): '
+                + unmapped.join(', ')).yellow);
+        }
+        if (unused.length) {
+            console.warn(('Unused ' + check.section + ' entries (' + unused.length + '): ' + unused.join(', ')).yellow);
+        }
+        verbose ? log_verbose(check.values.length + ' ' + check.title + ' in export, ' + _.size(mapping) + ' in config') : null;
+        warnings += unmapped.length + unused.length;
+    });
+
+    // The export archive has no user ids, GitLab finds the member's user by email
+    let withoutEmail = _.filter(getMantisUsernames(rows), function (username) {
+        let user = config.users[username];
+        return user && user.gl_username && !user.email && !(gitLab.mantisUsers[username] || {}).email;
+    });
+    if (withoutEmail.length) {
+        console.warn(('Users without email (' + withoutEmail.length + ', --export attributes them to the importing user): '
+            + withoutEmail.join(', ')).yellow);
+    }
+    warnings += withoutEmail.length;
+
+    if (_.isArray(config.label_rules)) {
+        let offset = gitLab.labelRules.length - config.label_rules.length;
+        let unmatched = _.filter(_.range(config.label_rules.length), function (index) {
+            return !_.some(rows, function (row) {
+                return matchLabelRule(gitLab.labelRules[offset + index], row).length;
+            });
+        });
+        if (unmatched.length) {
+            console.warn(('Label rules matching no issue (' + unmatched.length + '): label_rules[' + unmatched.join('], label_rules[') + ']').yellow);
+        }
+        warnings += unmatched.length;
+    }
+
+    log_progress('Found ' + gitLab.configErrors.length + ' error(s) and ' + warnings + ' warning(s).');
+    if (gitLab.configErrors.length) {
+        throw new Error('Config validation failed');
+    }
+}
+
+/**
+ * Fetch project info from the target - assigns gitLab.project
+ * @return {Promise<unknown | void>}
+ */
+function getGitLabProject() {
+    verbose ? log_verbose('Fetching project ' + gitlabProjectName + ' from ' + target.title) : log_progress("Fetching project from " + target.title + "...");
+
+    return target.getProject(gitlabProjectName)
+        .then((project) => {
+            return gitLab.project = project;
+        })
+        .catch((error) => {
+                if (404 === error.status) {
+                    throw new Error('Cannot find project "' + gitlabProjectName + '" at ' + target.title);
+                }
+                throw new Error('Cannot get project from ' + target.title + ' (error code: ' + error.status + ')');
+            }
+        );
+}
+
+/**
+ * Fetch project members from GitLab - assigns gitLab.gitlabUsers
+ * @return {Promise<unknown | void>}
+ */
+function getGitLabProjectMembers() {
+    log_progress("Fetching project members from " + target.title + "...");
+    return target.getMembers()
+        .then((members) => {
+            gitLab.gitlabUsers = members;
+            if (!gitLab.gitlabUsers.length) {
+                log_verbose('Found no users at Gitlab project.')
+            }
+            return gitLab.gitlabUsers;
+        })
+        .catch((error) => {
+                if (error) {
+                    throw new Error('Cannot get list of users from ' + target.title + ' (error code: ' + error.status + ')');
+                }
+            }
+        );
+}
+
+/**
+ * Sets "config.users[].gl_id" based on matching user from gitLab.gitlabUsers
+ * @return {object}
+ */
+function mapGitLabUserIds() {
+    let users = config.users,
+        gitlabUsers = gitLab.gitlabUsers;
+    _.forEach(users, function (user) {
+        user.gl_id = (_.find(gitlabUsers, {username: user.gl_username}) || {}).id;
+    });
+    return config;
+}
+
+/**
+ * Fetch project's milestones from GitLab - assigns gitLab.gitlabMilestones
+ * @return {Promise<unknown | void>}
+ */
+function getGitLabProjectMilestones() {
+    log_progress("Fetching project milestones from " + target.title + "...");
+    return target.getMilestones()
+        .then((milestones) => {
+            gitLab.gitlabMilestones = milestones;
+            if (!gitLab.gitlabMilestones.length) {
+                log_verbose('Found no milestones at Gitlab project.')
+            }
+            return gitLab.gitlabMilestones;
+        })
+        .catch((error) => {
+                if (error) {
+                    throw new Error('Cannot get list of milestones from ' + target.title + ' (error code: ' + error.status + ')');
+                }
+            }
+        );
+}
+
+/**
+ * Map Mantis versions to GitLab milestone ids - assigns gitLab.versionMilestones. Versions in
+ * config.version_milestones map to the configured milestone id (or title), all other versions to the GitLab
+ * milestone with the version as title.
+ * @return {object}
+ */
+function mapGitLabMilestoneIds() {
+    let versionMilestones = config.version_milestones || {},
+        gitlabMilestones = gitLab.gitlabMilestones;
+
+    gitLab.versionMilestones = {};
+    _.forEach(gitlabMilestones, function (milestone) {
+        gitLab.versionMilestones[milestone.title] = milestone.id;
+    });
+    _.forEach(versionMilestones, function (milestone, version) {
+        gitLab.versionMilestones[version] = 'number' === typeof milestone
+            ? milestone
+            : (_.find(gitlabMilestones, {title: milestone}) || {}).id;
+    });
+    return config;
+}
+
+/**
+ * Read the optional CSV export of Mantis versions, replacing the versions of a mysqldump - assigns gitLab.mantisVersions
+ * @return {Promise<object>}
+ */
+function readMantisVersions() {
+    gitLab.mantisVersions = gitLab.mantisVersions || {};
+    if (!mantisVersionsFile) {
+        return Q(gitLab.mantisVersions);
+    }
+
+    verbose ? log_verbose("Reading Mantis versions from " + mantisVersionsFile) : log_progress("Reading Mantis versions...");
+    return FS.read(mantisVersionsFile, {encoding: 'utf8'}).then(parseCsv).then(function (rows) {
+        return gitLab.mantisVersions = _.indexBy(rows, 'version');
+    }, function (error) {
+        throw new Error('Cannot read Mantis versions file: ' + mantisVersionsFile + ' - ' + error);
+    });
+}
+
+/**
+ * Read the optional CSV export of the Mantis issue history (columns bug_id, date, username, type, field, old_value and
+ * new_value) - assigns gitLab.mantisHistory
+ * @return {Promise<object>}
+ */
+function readMantisHistory() {
+    gitLab.mantisHistory = {};
+    if (!mantisHistoryFile) {
+        return Q(gitLab.mantisHistory);
+    }
+
+    verbose ? log_verbose("Reading Mantis history from " + mantisHistoryFile) : log_progress("Reading Mantis history...");
+    return FS.read(mantisHistoryFile, {encoding: 'utf8'}).then(parseCsv).then(function (rows) {
+        return gitLab.mantisHistory = _.groupBy(rows, function (row) {
+            return Number(row.bug_id);
+        });
+    }, function (error) {
+        throw new Error('Cannot read Mantis history file: ' + mantisHistoryFile + ' - ' + error);
+    });
+}
+
+/**
+ * Create a GitLab milestone for every target and fixed-in version of the export which is neither mapped in
+ * config.version_milestones nor exists in GitLab (only with --createMissing). In dry run mode the planned issues refer
+ * to the milestones by placeholder ids.
+ * @return {Promise<void>}
+ */
+function createMissingMilestones() {
+    if (!createMissing) {
+        return Q();
+    }
+
+    let versions = _.uniq(_.filter(_.flatten(_.map(gitLab.mantisIssues, function (row) {
+        return [row.TargetVersion, row.FixedInVersion];
+    })), function (version) {
+        return version && version !== 'NULL'
+            && !(config.version_milestones || {}).hasOwnProperty(version)
+            && !_.find(gitLab.gitlabMilestones, {title: version});
+    })).sort();
+
+    log_progress('Creating ' + versions.length + ' missing milestone(s)...');
+    return _.reduce(versions, function (p, version) {
+        return p.then(function () {
+            let mantisVersion = gitLab.mantisVersions[version] || {};
+            let data = {title: version};
+            if (mantisVersion.description && mantisVersion.description !== 'NULL') {
+                data.description = mantisVersion.description;
+            }
+            // Mantis stores 1 (1970-01-01) as date of versions without date
+            if (mantisVersion.date && mantisVersion.date > '1970-01-02') {
+                data.due_date = mantisVersion.date.substr(0, 10);
+            }
+
+            return insertMilestone(data).then(function (result) {
+                let milestone = result.dryRun ? {id: result.id, title: version} : result;
+                gitLab.gitlabMilestones.push(milestone);
+                return (result.dryRun ? Q() : writeJournal({milestone: milestone.id})).then(function () {
+                    if (isTrue(mantisVersion.released) || isTrue(mantisVersion.obsolete)) {
+                        return closeMilestone(milestone);
+                    }
+                });
+            });
+        });
+    }, Q());
+}
+
+/**
+ * Create every label getLabels produces for the export which does not exist in GitLab (only with --createMissing)
+ * @return {Promise<void>}
+ */
+function createMissingLabels() {
+    if (!createMissing) {
+        return Q();
+    }
+
+    log_progress("Fetching project labels from " + target.title + "...");
+    return target.getLabels().then(function (gitlabLabels) {
+        let existing = _.indexBy(gitlabLabels, 'name');
+        let labels = _.uniq(_.filter(_.flatten(_.map(gitLab.mantisIssues, function (row) {
+            return getLabels(row).split(',');
+        })), function (label) {
+            return label && !existing[label];
+        })).sort();
+
+        log_progress('Creating ' + labels.length + ' missing label(s)...');
+        return _.reduce(labels, function (p, label) {
+            return p.then(function () {
+                return insertLabel(_.extend({name: label}, getLabelSettings(label))).then(function (result) {
+                    return result.dryRun ? null : writeJournal({label: label});
+                });
+            });
+        }, Q());
+    }, function (error) {
+        throw new Error('Cannot get list of labels from ' + target.title + ' (error code: ' + error.status + ')');
+    });
+}
+
+/**
+ * Get color and description for label from config.label_settings. Keys are label names, or prefixes ending
+ * with "*"; the longest matching prefix wins.
+ * @param {string} label
+ * @return {{color: string, description: string}}
+ */
+function getLabelSettings(label) {
+    let settings = config.label_settings || {};
+    let pattern = _.findLast(_.sortBy(_.keys(settings), 'length'), function (key) {
+        return key === label || (key.slice(-1) === '*' && label.indexOf(key.slice(0, -1)) === 0);
+    });
+    return _.extend({color: '#428BCA'}, pattern ? _.pick(settings[pattern], 'color', 'description') : {});
+}
+
+/**
+ * Returns if value of a Mantis boolean column is set
+ * @param {string} value
+ * @return {boolean}
+ */
+function isTrue(value) {
+    return value === '1' || value === 'true' || value === true;
+}
+
+/**
+ * Get the usernames of every Mantis user of the export: reporters, handlers, note authors and users of the history
+ * @param {object[]} rows
+ * @return {string[]} sorted
+ */
+function getMantisUsernames(rows) {
+    let usernames = {};
+    _.forEach(rows, function (row) {
+        let history = getHistory(row);
+        let handlers = _.pluck(_.filter(history, {type: '0', field: 'handler_id'}), 'new_value');
+        _.forEach([row.Reporter, row['Assigned To']].concat(_.pluck(getNoteRows(row) || [], 'author'), _.pluck(history, 'user'), handlers), function (username) {
+            if (username && username !== 'NULL') {
+                usernames[username] = true;
+            }
+        });
+    });
+    return _.keys(usernames).sort();
+}
+
+/**
+ * Match every Mantis user of the export (reporters, handlers, note authors, history) to a GitLab user by username, email or
+ * display name and write a draft "users" config section to mapUsersFile
+ * @return {Promise<void>}
+ */
+function mapMantisUsers() {
+    let usernames = getMantisUsernames(gitLab.mantisIssues);
+
+    let users = {};
+    log_progress('Matching ' + usernames.length + ' Mantis user(s) to ' + target.title + ' users...');
+    return _.reduce(usernames, function (p, username) {
+        return p.then(function () {
+            if (config.users[username] && config.users[username].gl_username) {
+                users[username] = _.extend({}, config.users[username], {matched_by: 'config'});
+                return;
+            }
+            return findGitLabUser(_.extend({username: username}, gitLab.mantisUsers[username])).then(function (user) {
+                users[username] = user;
+            });
+        });
+    }, Q()).then(function () {
+        let unmatched = _.filter(_.keys(users), function (username) {
+            return !users[username].gl_username;
+        });
+
+        _.forEach(unmatched, function (username) {
+            let user = users[username];
+            console.warn(('Cannot map Mantis user ' + username + (user.candidates.length ? ', ambiguous: ' + user.candidates.join(', ') : '')).yellow);
+        });
+        log_progress('Matched ' + (_.size(users) - unmatched.length) + ' of ' + _.size(users) + ' user(s), writing ' + mapUsersFile + '...');
+        return FS.write(mapUsersFile, JSON.stringify({users: users}, null, 2));
+    });
+}
+
+/**
+ * Find the GitLab user matching mantisUser by username, email or display name (in that order)
+ * @param {{username: string, realname: string, email: string}} mantisUser
+ * @return {Promise<{gl_username: string|null, name: string, matched_by: string, candidates: string[]}>}
+ */
+function findGitLabUser(mantisUser) {
+    let name = mantisUser.realname || mantisUser.username;
+    let match = function (users, by) {
+        return users.length === 1
+            ? {gl_username: users[0].username, name: name, matched_by: by, candidates: []}
+            : null;
+    };
+    let equals = function (a, b) {
+        return !!a && !!b && a.toLowerCase() === b.toLowerCase();
+    };
+
+    verbose ? log_verbose('Searching ' + target.title + ' user for Mantis user ' + mantisUser.username) : null;
+    return target.searchUsers({username: mantisUser.username}).then(function (users) {
+        if (users.length || !mantisUser.email) {
+            return match(users, 'username');
+        }
+        return target.searchUsers({search: mantisUser.email}).then(function (users) {
+            return match(_.filter(users, function (user) {
+                return equals(user.email, mantisUser.email) || equals(user.public_email, mantisUser.email);
+            }), 'email');
+        });
+    }).then(function (user) {
+        if (user || !mantisUser.realname) {
+            return user || {gl_username: null, name: name, matched_by: null, candidates: []};
+        }
+        return target.searchUsers({search: mantisUser.realname}).then(function (users) {
+            let sameName = _.filter(users, function (user) {
+                return equals(user.name, mantisUser.realname);
+            });
+            return match(sameName, 'name')
+                || {gl_username: null, name: name, matched_by: null, candidates: _.pluck(sameName.length ? sameName : users, 'username').slice(0, 5)};
+        });
+    }).catch(function (error) {
+        throw new Error('Cannot search users at ' + target.title + ' (error code: ' + error.status + ')');
+    });
+}
+
+/**
+ * Ensure that Mantis' usernames in gitLab.mantisIssues have corresponding GitLab user mapping
+ * @return void
+ */
+function validateMantisIssues() {
+    log_progress("Validating Mantis users...");
+
+    let mantisIssues = gitLab.mantisIssues;
+    let missingUsernames = [];
+
+    log_verbose("Check if users from Mantis export have corresponding Gitlab user...");
+    log_verbose("Check assignee");
+    for (let i = 0; i < mantisIssues.length; i++) {
+        let assignee = mantisIssues[i]["Assigned To"];
+
+        if (!getUserByMantisUsername(assignee) && missingUsernames.indexOf(assignee) === -1)
+            missingUsernames.push(assignee);
+    }
+
+    log_verbose("Check reporter");
+    for (let i = 0; i < mantisIssues.length; i++) {
+        let reporter = mantisIssues[i]['Reporter'];
+
+        if (!getUserByMantisUsername(reporter) && missingUsernames.indexOf(reporter) === -1)
+            missingUsernames.push(reporter);
+    }
+
+    if (missingUsernames.length > 0) {
+        for (let i = 0; i < missingUsernames.length; i++)
+            console.error('Error: Cannot map Mantis user with username: ' + missingUsernames[i]);
+
+        throw new Error("User validation failed");
+    }
+}
+
+/**
+ * Import gitLab.mantisIssues into GitLab
+ * @return {Promise<void>|*}
+ */
+function importGitLabIssues() {
+    if (removeSkipped) {
+        return Promise.resolve();
+    }
+    checkPrivateContent();
+
+    // The plan collects the operations of one issue at a time
+    let concurrency = planFile ? 1 : getHttpSettings().concurrency;
+    // Issues are created in the order of their Mantis ids, even if several are imported at once
+    let previousCreated = Q();
+
+    gitLab.failedIssues = [];
+    gitLab.syncedIssues = [];
+    gitLab.syncConflicts = [];
+    gitLab.pendingReferences = {};
+    log_progress((sync ? "Syncing" : "Importing") + " Mantis issues into " + target.title + " from #" + fromIssueId
+        + (resume ? " (resuming)" : "") + " ...");
+    // The selection is recorded with the run
+    return (gitLab.selection ? writeJournal({selection: gitLab.selection}) : Q()).then(function () {
+        return runConcurrently(gitLab.mantisIssues, concurrency, function (mantisIssue) {
+            let created = Q.defer();
+            let afterPrevious = previousCreated;
+            previousCreated = created.promise;
+
+            return (sync ? syncIssue : importIssue)(mantisIssue, function (createIssue) {
+                return afterPrevious.then(createIssue).fin(created.resolve);
+            }).fin(created.resolve);
+        });
+    }).then(function () {
+        if (gitLab.failedIssues.length) {
+            console.warn(('Failed to import ' + gitLab.failedIssues.length + ' issue(s): #' + gitLab.failedIssues.join(', #')
+                + ' - re-run with --resume to retry').yellow);
+        }
+        if (gitLab.syncConflicts.length) {
+            console.warn(('Skipped ' + gitLab.syncConflicts.length + ' issue(s) changed in ' + target.title + ' since their last sync: #'
+                + gitLab.syncConflicts.join(', #') + ' - import them without --sync to overwrite the changes').yellow);
+        }
+    });
+
+}
+
+/**
+ * Import single Mantis issue step by step: upload its attachments, create or update the corresponding GitLab issue,
+ * replace its notes, replay its history and close it. Every finished step is recorded in the journal; on --resume the
+ * steps finished by a previous run are skipped. The close comes last, it sets the date of the last update back to the
+ * one in Mantis, which every note added afterwards would change again.
+ * @param {object} mantisIssue
+ * @param {function} inOrder runs the passed function creating the issue once the previous issue is created
+ * @return {Promise<unknown | void>}
+ */
+function importIssue(mantisIssue, inOrder) {
+    let issueId = mantisIssue.Id;
+    let entry = getJournalEntry(issueId);
+    let finished = resume ? entry.steps : {};
+    let journaled = !!entry.iid;
+
+    startPlanIssue(mantisIssue, 'import');
+
+    if (resume && isIssueImported(mantisIssue, entry)) {
+        verbose ? log_verbose('#' + issueId + ': Already imported, skipped.') : null;
+        return Q();
+    }
+
+    return (_.isEmpty(finished) ? writeJournal({issue: issueId, step: 'started'}) : Q())
+        .then(function () {
+            return uploadIssueAttachments(mantisIssue);
+        })
+        .then(function (attachments) {
+            mantisIssue.attachments = attachments;
+            return writeJournal({issue: issueId, step: 'attachments'});
+        })
+        .then(function () {
+            if (finished.created) {
+                verbose ? log_verbose('#' + issueId + ': Already created as #' + entry.iid) : null;
+                return gitLab.gitlabIssues[entry.iid] || {iid: entry.iid, project_id: gitLab.project.id};
+            }
+            return inOrder(function () {
+                return importIssueData(mantisIssue);
+            });
+        })
+        .then(function (issue) {
+            if (finished.notes) {
+                return issue;
+            }
+            return replaceIssueNotes(issue.iid, mantisIssue, journaled).then(function () {
+                return writeJournal({issue: issueId, step: 'notes'});
+            }).then(function () {
+                return issue;
+            });
+        })
+        .then(function (issue) {
+            if (finished.history) {
+                return issue;
+            }
+            return replayHistory(issue, mantisIssue, journaled).then(function (issue) {
+                return writeJournal({issue: issueId, step: 'history'}).then(function () {
+                    return issue;
+                });
+            });
+        })
+        .then(function (issue) {
+            if (!isClosed(mantisIssue) || finished.closed) {
+                return;
+            }
+            return (issue.state === 'closed' ? Q() : closeIssue(issue, getClosing(mantisIssue)))
+                .then(function () {
+                    log_progress(issueId + ': Closed successfully. #' + issue.iid);
+                    return writeJournal({issue: issueId, step: 'closed'});
+                });
+        })
+        .catch(function (error) {
+            console.error((issueId + ': Failed to import.').red, error.message);
+            gitLab.failedIssues.push(issueId);
+            return writeJournal({issue: issueId, failed: error.message});
+        });
+}
+
+/**
+ * Bring the issue migrated from mantisIssue up to date with the changes made in Mantis since it was last imported or
+ * synced (--sync): only the differing fields are updated, only new notes and history events are added and the notes
+ * edited since then are updated. Issues which are not migrated yet are imported; issues changed in GitLab since then
+ * are reported as conflict and skipped.
+ * @param {object} mantisIssue
+ * @param {function} inOrder runs the passed function creating the issue once the previous issue is created
+ * @return {Promise<void>}
+ */
+function syncIssue(mantisIssue, inOrder) {
+    let issueId = mantisIssue.Id;
+    let entry = getJournalEntry(issueId);
+    let iid = getGitLabIid(issueId);
+    let gitLabIssue = iid ? gitLab.gitlabIssues[iid] : null;
+    // The last step finished for the issue, steps are recorded with their time
+    let synced = _.values(entry.steps).sort().pop();
+
+    if (!gitLabIssue || !entry.steps.notes) {
+        gitLab.syncedIssues.push(mantisIssue);
+        return importIssue(mantisIssue, inOrder);
+    }
+    if (!hasMantisChanges(mantisIssue, synced)) {
+        verbose ? log_verbose('#' + issueId + ': Unchanged since ' + synced + ', skipped.') : null;
+        return Q();
+    }
+    if (isChangedInGitLab(gitLabIssue, entry)) {
+        console.warn(('#' + issueId + ': Changed in Mantis and in ' + target.title + ' (#' + iid + ', ' + gitLabIssue.updated_at
+            + ') since ' + synced + ', skipped.').yellow);
+        gitLab.syncConflicts.push(issueId);
+        return Q();
+    }
+
+    gitLab.syncedIssues.push(mantisIssue);
+    startPlanIssue(mantisIssue, 'import');
+    log_progress('Syncing: #' + issueId + ' - "' + mantisIssue.Summary + '" ...');
+
+    return uploadIssueAttachments(mantisIssue)
+        .then(function (attachments) {
+            mantisIssue.attachments = attachments;
+            let notes = _.filter(getNotes(mantisIssue) || [], function (note) {
+                return note.mantis_id ? !_.find(entry.notes, {mantis_id: note.mantis_id}) : Date.parse(note.created_at) > Date.parse(synced);
+            });
+            let events = _.filter(getHistory(mantisIssue), function (event) {
+                return Date.parse(event.date) > Date.parse(synced) && getHistoryNote(mantisIssue, event);
+            });
+            // Notes migrated before and edited in Mantis since then
+            let edited = _.filter(getNoteRows(mantisIssue) || [], function (noteRow) {
+                return noteRow.mantis_id && Date.parse(noteRow.updated_at) > Date.parse(synced)
+                    && _.find(entry.notes, {mantis_id: noteRow.mantis_id, kind: 'note'});
+            });
+            verbose ? log_verbose('#' + issueId + ': Add ' + notes.length + ' note(s) and ' + events.length + ' history event(s), update '
+                + edited.length + ' note(s)') : null;
+
+            let added = _.reduce(_.sortBy(notes.concat(_.map(events, _.partial(getHistoryNote, mantisIssue))), 'created_at'), function (p, note) {
+                return p.then(function () {
+                    return addMantisNote(iid, mantisIssue, note);
+                });
+            }, Q());
+            return _.reduce(edited, function (p, noteRow) {
+                return p.then(function () {
+                    return updateMantisNote(iid, mantisIssue, _.find(entry.notes, {mantis_id: noteRow.mantis_id, kind: 'note'}).id, noteRow);
+                });
+            }, added);
+        })
+        .then(function () {
+            // After the notes, which change the date of the last update, the update sets it back to the Mantis one
+            let unresolved = gitLab.unresolvedReferences;
+            let update = getIssueUpdate(gitLabIssue, mantisIssue);
+            if (gitLab.unresolvedReferences > unresolved) {
+                getPendingReferences(issueId).description = getDescription(mantisIssue);
+            }
+            let updated = Date.parse(mantisIssue.Updated);
+            !_.isEmpty(update) && !isNaN(updated) ? update.updated_at = new Date(updated).toISOString() : null;
+            return _.isEmpty(update) ? Q() : updateIssue(gitLab.project.id, iid, update);
+        })
+        .then(function () {
+            log_progress('#' + issueId + ': Synced successfully. #' + iid);
+            return writeJournal({issue: issueId, step: 'synced'});
+        })
+        .catch(function (error) {
+            console.error((issueId + ': Failed to sync.').red, error.message);
+            gitLab.failedIssues.push(issueId);
+            return writeJournal({issue: issueId, failed: error.message});
+        });
+}
+
+/**
+ * Returns if mantisIssue, its notes or its history changed after since, notes also by their last edit if it is known
+ * @param {object} mantisIssue
+ * @param {string} since ISO date
+ * @return {boolean}
+ */
+function hasMantisChanges(mantisIssue, since) {
+    let updated = Date.parse(mantisIssue.Updated);
+    let isNewer = function (date) {
+        return Date.parse(date) > Date.parse(since);
+    };
+    // Without update time every issue is synced
+    return isNaN(updated) || isNewer(mantisIssue.Updated)
+        || _.some(getNoteRows(mantisIssue) || [], function (note) {
+            return isNewer(note.created_at) || isNewer(note.updated_at);
+        })
+        || _.some(getHistory(mantisIssue), function (event) {
+            return isNewer(event.date);
+        });
+}
+
+/**
+ * Get the fields of the issue data of mantisIssue which differ from the GitLab issue, including the state change
+ * @param {object} gitLabIssue
+ * @param {object} mantisIssue
+ * @return {object} empty if nothing differs
+ */
+function getIssueUpdate(gitLabIssue, mantisIssue) {
+    let data = _.extend(getIssueData(mantisIssue), {state_event: isClosed(mantisIssue) ? 'close' : 'reopen'});
+    let changes = getIssueChanges(gitLabIssue, data);
+    let update = _.pick(data, _.intersection(_.keys(changes), ['title', 'description', 'labels', 'assignee_id', 'milestone_id']));
+
+    changes.state ? update.state_event = data.state_event : null;
+    if (data.due_date && data.due_date !== gitLabIssue.due_date) {
+        update.due_date = data.due_date;
+    }
+    if (undefined !== data.weight && data.weight !== gitLabIssue.weight) {
+        update.weight = data.weight;
+    }
+    if (target.hidesPrivate && !!data.confidential !== !!gitLabIssue.confidential) {
+        update.confidential = !!data.confidential;
+    }
+    return update;
+}
+
+/**
+ * Create or update the GitLab issue corresponding to mantisIssue
+ * @param {object} mantisIssue
+ * @return {Promise<object>} the GitLab issue
+ */
+function importIssueData(mantisIssue) {
+    let issueId = mantisIssue.Id;
+    let unresolved = gitLab.unresolvedReferences;
+    let data = getIssueData(mantisIssue);
+
+    if (gitLab.unresolvedReferences > unresolved) {
+        getPendingReferences(issueId).description = data.description;
+    }
+
+    log_progress('Importing: #' + issueId + ' - "' + data.title + '" ...');
+    verbose ? log_verbose(data) : null;
+
+
+    return getIssue(gitLab.project.id, getGitLabIid(issueId))
+        .then(function (gitLabIssue) {
+            if (gitLabIssue) {
+                return updateIssue(gitLab.project.id, gitLabIssue.iid, _.extend({
+                    state_event: isClosed(mantisIssue) ? 'close' : 'reopen'
+                }, data))
+                    .then(function () {
+                        log_progress("#" + issueId + ": Updated successfully.");
+                        return writeJournal({issue: issueId, step: 'created', iid: gitLabIssue.iid});
+                    })
+                    .then(function () {
+                        return _.extend({}, gitLabIssue, {state: isClosed(mantisIssue) ? 'closed' : 'opened'});
+                    });
+            } else {
+                return createPlaceholderIssues(issueId).then(function () {
+                    return insertIssue(gitLab.project.id, data);
+                }).then(function (issue) {
+                    gitLab.gitlabIssues[issue.iid] = issue;
+                    gitLab.nextIid = Math.max(gitLab.nextIid, (issue.iid || gitLab.nextIid) + 1);
+                    issue.iid ? gitLab.markedIssues[issueId] = issue.iid : null;
+                    log_progress(issueId + ': Inserted successfully. #' + issue.iid);
+                    if (iidMode === 'placeholders' && issue.iid && issue.iid !== issueId) {
+                        console.warn(('#' + issueId + ': Number ' + issueId + ' is taken already, created as #' + issue.iid).yellow);
+                    }
+                    return writeJournal({issue: issueId, step: 'created', iid: issue.iid, inserted: true}).then(function () {
+                        return issue;
+                    });
+                });
+            }
+        });
+}
+
+/**
+ * Assemble the GitLab issue data of mantisIssue: title, description, assignee, milestone, creation date, labels,
+ * author and the custom field values
+ * @param {object} mantisIssue
+ * @return {object}
+ */
+function getIssueData(mantisIssue) {
+    let issueId = mantisIssue.Id;
+    let title = getTitle(mantisIssue);
+    let description = getDescription(mantisIssue);
+    let createdAt = mantisIssue["Created"];
+    let assignee = getUserByMantisUsername(mantisIssue["Assigned To"]);
+    let milestoneId = getMilestoneId(mantisIssue['TargetVersion'] || mantisIssue['FixedInVersion']);
+    let labels = getLabels(mantisIssue);
+    let author = getImpersonatedUsername(mantisIssue['Reporter']);
+    let customFields = getCustomFields(mantisIssue);
+
+    let data = {
+        iid: iidMode === 'keep' ? issueId : undefined,
+        title: title,
+        description: description,
+        assignee_id: assignee && assignee.gl_id,
+        milestone_id: milestoneId,
+        created_at: createdAt,
+        labels: labels
+    };
+    // Created by the importing user if the reporter cannot be impersonated
+    author ? data.author = {gl_username: author} : null;
+    getPrivateHandling(mantisIssue) === 'confidential' ? data.confidential = true : null;
+    customFields.due_date ? data.due_date = customFields.due_date : null;
+    undefined !== customFields.weight ? data.weight = customFields.weight : null;
+
+    return data;
+}
+
+/**
+ * Fetch all existing project issues from GitLab - assigns gitLab.gitlabIssues, gitLab.markedIssues (the iid of every
+ * issue with a Mantis Id marker, by Mantis Id) and gitLab.nextIid (an estimate of the number of the next issue)
+ * @return {any}
+ */
+function getGitLabProjectIssues() {
+    log_progress("Fetching project issues from " + target.title + "...");
+
+    return target.getIssues({})
+        .then(function (result) {
+            log_progress("Fetched " + result.length + " " + target.title + " issues.");
+            gitLab.markedIssues = {};
+            gitLab.nextIid = 1;
+            _.forEach(result, function (issue) {
+                let matches = mantisIdMarker.exec(issue.description || '');
+                matches ? gitLab.markedIssues[matches[1]] = issue.iid : null;
+                gitLab.nextIid = Math.max(gitLab.nextIid, issue.iid + 1);
+            });
+            let issues = _.indexBy(result, 'iid');
+            return gitLab.gitlabIssues = issues;
+        }, function (error) {
+            throw new Error('Cannot get list of issues from ' + target.title + ' (error code: ' + error.status + ')');
+        });
+}
+
+/**
+ * Get the settings of the GitLab client (config "http" section merged with the defaults)
+ * @return {{retries: int, retry_delay: int, max_retry_delay: int, timeout: int, concurrency: int}}
+ */
+function getHttpSettings() {
+    return _.extend({
+        retries: 5,
+        retry_delay: 1000,
+        max_retry_delay: 60000,
+        timeout: 60000,
+        concurrency: 1
+    }, config.http);
+}
+
+/**
+ * Send a request to the GitLab API
+ * @param {string} method get, post, put or delete
+ * @param {string} url
+ * @param {object} options (optional) query, data, attach {field, content, filename} and sudo (defaults to gitlabSudo)
+ * @return {Promise<object>} the response
+ */
+function gitlabRequest(method, url, options) {
+    options = options || {};
+    return sendRequest(method, url, _.extend({
+        headers: {'PRIVATE-TOKEN': gitlabAdminPrivateToken, 'Sudo': options.sudo || gitlabSudo, accept: 'json'}
+    }, options));
+}
+
+/**
+ * Send a HTTP request. Transient errors (connection errors, 429 and 502-504) are retried with exponential backoff,
+ * honoring the Retry-After header; while GitLab's rate limit is exhausted further requests wait for the reset
+ * announced in the RateLimit-* headers.
+ * @param {string} method get, post, put or delete
+ * @param {string} url
+ * @param {object} options headers, query, data and attach {field, content, filename}
+ * @param {int} attempt (optional) defaults to 1
+ * @return {Promise<object>} the response
+ */
+function sendRequest(method, url, options, attempt) {
+    let settings = getHttpSettings();
+    attempt = attempt || 1;
+
+    return waitForRateLimit().then(function () {
+        let started = Date.now();
+        let request = superagent[method](url)
+            .set(options.headers)
+            .timeout({response: settings.timeout});
+        options.query ? request.query(options.query) : null;
+        options.data ? request.send(options.data) : null;
+        options.attach ? request.attach(options.attach.field, options.attach.content, options.attach.filename) : null;
+
+        return request.then((result) => {
+            logRequest(method, url, result.status, started);
+            updateRateLimit(result);
+            return result;
+        }, (error) => {
+            logRequest(method, url, error.status || error.code, started);
+            error.response ? updateRateLimit(error.response) : null;
+            if (attempt > settings.retries || !isTransientError(method, error)) {
+                throw error;
+            }
+            let delay = getRetryDelay(error, attempt);
+            console.warn((method.toUpperCase() + ' ' + url + ' failed (' + (error.status || error.code || error.message)
+                + '), retrying in ' + Math.round(delay / 1000) + 's [' + attempt + '/' + settings.retries + ']').yellow);
+            return Q.delay(delay).then(function () {
+                return sendRequest(method, url, options, attempt + 1);
+            });
+        });
+    });
+}
+
+/**
+ * Check whether a failed request may succeed if sent again. Requests which change data are only retried if GitLab
+ * cannot have processed them (429, 503, connection refused), otherwise a retry may create a duplicate.
+ * @param {string} method
+ * @param {Error} error
+ * @return {boolean}
+ */
+function isTransientError(method, error) {
+    if (method !== 'get') {
+        return _.includes([429, 503], error.status) || error.code === 'ECONNREFUSED';
+    }
+    if (error.status) {
+        return _.includes([429, 502, 503, 504], error.status);
+    }
+    if (error.timeout) {
+        return true;
+    }
+    return _.includes(['ECONNRESET', 'ECONNREFUSED', 'EPIPE', 'EAI_AGAIN', 'ETIMEDOUT'], error.code);
+}
+
+/**
+ * Get the time to wait before the next attempt: the Retry-After header if given, exponential backoff otherwise
+ * @param {Error} error
+ * @param {int} attempt
+ * @return {int} milliseconds
+ */
+function getRetryDelay(error, attempt) {
+    let settings = getHttpSettings();
+    let retryAfter = error.response && error.response.header['retry-after'];
+    if (retryAfter) {
+        // Either seconds or a HTTP date
+        let delay = isNaN(retryAfter) ? Date.parse(retryAfter) - Date.now() : Number(retryAfter) * 1000;
+        if (!isNaN(delay)) {
+            return Math.max(delay, 0);
+        }
+    }
+    return Math.min(settings.retry_delay * Math.pow(2, attempt - 1), settings.max_retry_delay);
+}
+
+/**
+ * Remember when GitLab's rate limit resets if the response reports it as exhausted - assigns gitLab.rateLimitReset
+ * @param {object} response
+ */
+function updateRateLimit(response) {
+    let remaining = response.header['ratelimit-remaining'];
+    let reset = response.header['ratelimit-reset'];
+    if (undefined !== remaining && Number(remaining) <= 0 && reset) {
+        gitLab.rateLimitReset = Number(reset) * 1000;
+    }
+}
+
+/**
+ * Wait until GitLab's rate limit resets, if it is exhausted
+ * @return {Promise<void>}
+ */
+function waitForRateLimit() {
+    let delay = (gitLab.rateLimitReset || 0) - Date.now();
+    if (delay <= 0) {
+        return Q();
+    }
+    verbose ? log_verbose('Rate limit exhausted, waiting ' + Math.ceil(delay / 1000) + 's...') : null;
+    return Q.delay(delay);
+}
+
+/**
+ * Print method, URL, status and duration of a request in verbose mode
+ * @param {string} method
+ * @param {string} url
+ * @param {int|string} status
+ * @param {int} started timestamp
+ */
+function logRequest(method, url, status, started) {
+    verbose ? log_verbose(method.toUpperCase() + ' ' + url + ' ' + status + ' (' + (Date.now() - started) + 'ms)') : null;
+}
+
+/**
+ * Call fn for every item with at most limit calls running at once, starting them in list order
+ * @param {Array} items
+ * @param {int} limit
+ * @param {function} fn returning a promise which should not be rejected
+ * @return {Promise<void>}
+ */
+function runConcurrently(items, limit, fn) {
+    let index = 0;
+    let next = function () {
+        if (index >= items.length) {
+            return Q();
+        }
+        return Q(fn(items[index++])).then(next);
+    };
+    return Q.all(_.times(Math.max(1, Math.min(limit, items.length)), next)).then(_.noop);
+}
+
+/**
+ * Recursively fetch all pages of a GitLab list following the pagination headers
+ * @param {string} url
+ * @param {object} query
+ * @param {int} page (optional) defaults to 1
+ * @return {Promise<object[]>}
+ */
+function getAllPages(url, query, page) {
+    const perPage = 100;
+    page = page || 1;
+    verbose ? log_verbose('Fetching ' + url + ' [page ' + page + ']...') : null;
+
+    return gitlabRequest('get', url, {query: _.extend({}, query, {page: page, per_page: perPage})})
+        .then((result) => {
+            let items = result.body;
+            let nextPage = result.header['x-next-page'];
+
+            // Without pagination headers continue as long as pages are full
+            if (undefined === nextPage) {
+                nextPage = items.length === perPage ? page + 1 : null;
+            }
+            if (!nextPage) {
+                return items;
+            }
+            return getAllPages(url, query, Number(nextPage))
+                .then(function (remainingItems) {
+                    return items.concat(remainingItems);
+                });
+        });
+}
+
+/**
+ * Fetch the GitLab project with the given name including namespace
+ * @param {string} name
+ * @return {Promise<object>}
+ */
+function gitlabGetProject(name) {
+    return gitlabRequest('get', gitlabAPIURLBase + '/projects/' + encodeURIComponent(name))
+        .then((result) => {
+            return result.body;
+        });
+}
+
+/**
+ * Fetch the members of the GitLab project, including inherited members
+ * @return {Promise<object[]>}
+ */
+function gitlabGetMembers() {
+    return getAllPages(gitlabAPIURLBase + '/projects/' + gitLab.project.id + '/members/all', {});
+}
+
+/**
+ * Fetch the milestones of the GitLab project
+ * @return {Promise<object[]>}
+ */
+function gitlabGetMilestones() {
+    return getAllPages(gitlabAPIURLBase + '/projects/' + gitLab.project.id + '/milestones', {});
+}
+
+/**
+ * Fetch the labels of the GitLab project, including the labels of its groups
+ * @return {Promise<object[]>}
+ */
+function gitlabGetLabels() {
+    return getAllPages(gitlabAPIURLBase + '/projects/' + gitLab.project.id + '/labels', {include_ancestor_groups: true});
+}
+
+/**
+ * Fetch the issues of the GitLab project
+ * @param {object} query labels (comma separated) and/or milestone_id
+ * @return {Promise<object[]>}
+ */
+function gitlabGetIssues(query) {
+    if (query.milestone_id) {
+        return getAllPages(gitlabAPIURLBase + '/projects/' + gitLab.project.id + '/milestones/' + query.milestone_id + '/issues', {});
+    }
+    return getAllPages(gitlabAPIURLBase + '/projects/' + gitLab.project.id + '/issues', _.extend({scope: 'all', order_by: 'created_at'}, query));
+}
+
+/**
+ * Search GitLab users
+ * @param {object} query username or search (email or name)
+ * @return {Promise<object[]>}
+ */
+function gitlabSearchUsers(query) {
+    return getAllPages(gitlabAPIURLBase + '/users', query);
+}
+
+/**
+ * Create GitLab issue
+ * @param {object} data
+ * @param {string} sudo GitLab username creating the issue
+ * @return {Promise<object>}
+ */
+function gitlabInsertIssue(data, sudo) {
+    return gitlabRequest('post', gitlabAPIURLBase + '/projects/' + gitLab.project.id + '/issues', {data: data, sudo: sudo})
+        .then((result) => {
+            return result.body;
+        });
+}
+
+/**
+ * Update GitLab issue
+ * @param {int} issueIid
+ * @param {object} data
+ * @param {string} sudo (optional) GitLab username performing the update
+ * @return {Promise<object>}
+ */
+function gitlabUpdateIssue(issueIid, data, sudo) {
+    return gitlabRequest('put', gitlabAPIURLBase + '/projects/' + gitLab.project.id + '/issues/' + issueIid, {data: data, sudo: sudo})
+        .then((result) => {
+            return result.body;
+        });
+}
+
+/**
+ * Delete GitLab issue
+ * @param {int} issueIid
+ * @return {Promise<object>}
+ */
+function gitlabDeleteIssue(issueIid) {
+    return gitlabRequest('delete', gitlabAPIURLBase + '/projects/' + gitLab.project.id + '/issues/' + issueIid)
+        .then((result) => {
+            return result.body;
+        });
+}
+
+/**
+ * Create GitLab milestone
+ * @param {object} data
+ * @return {Promise<object>}
+ */
+function gitlabInsertMilestone(data) {
+    return gitlabRequest('post', gitlabAPIURLBase + '/projects/' + gitLab.project.id + '/milestones', {data: data})
+        .then((result) => {
+            return result.body;
+        });
+}
+
+/**
+ * Close GitLab milestone
+ * @param {object} milestone
+ * @return {Promise<object>}
+ */
+function gitlabCloseMilestone(milestone) {
+    return gitlabRequest('put', gitlabAPIURLBase + '/projects/' + gitLab.project.id + '/milestones/' + milestone.id, {data: {state_event: 'close'}})
+        .then((result) => {
+            return result.body;
+        });
+}
+
+/**
+ * Delete GitLab milestone
+ * @param {int} milestoneId
+ * @return {Promise<int>} the response status
+ */
+function gitlabDeleteMilestone(milestoneId) {
+    return gitlabRequest('delete', gitlabAPIURLBase + '/projects/' + gitLab.project.id + '/milestones/' + milestoneId)
+        .then((result) => {
+            return result.status;
+        });
+}
+
+/**
+ * Create GitLab label
+ * @param {object} data name, color and description
+ * @return {Promise<object>}
+ */
+function gitlabInsertLabel(data) {
+    return gitlabRequest('post', gitlabAPIURLBase + '/projects/' + gitLab.project.id + '/labels', {data: data})
+        .then((result) => {
+            return result.body;
+        });
+}
+
+/**
+ * Delete GitLab label
+ * @param {string} label name
+ * @return {Promise<int>} the response status
+ */
+function gitlabDeleteLabel(label) {
+    return gitlabRequest('delete', gitlabAPIURLBase + '/projects/' + gitLab.project.id + '/labels/' + encodeURIComponent(label))
+        .then((result) => {
+            return result.status;
+        });
+}
+
+/**
+ * Fetch the notes of GitLab issue
+ * @param {int} issueIid
+ * @return {Promise<object[]>}
+ */
+function gitlabGetNotes(issueIid) {
+    return getAllPages(gitlabAPIURLBase + '/projects/' + gitLab.project.id + '/issues/' + issueIid + '/notes', {});
+}
+
+/**
+ * Add note to GitLab issue
+ * @param {int} issueIid
+ * @param {object} data body and created_at
+ * @param {string} sudo GitLab username adding the note
+ * @return {Promise<object>}
+ */
+function gitlabAddNote(issueIid, data, sudo) {
+    return gitlabRequest('post', gitlabAPIURLBase + '/projects/' + gitLab.project.id + '/issues/' + issueIid + '/notes', {data: data, sudo: sudo})
+        .then((result) => {
+            return result.body;
+        });
+}
+
+/**
+ * Change the body of a note of GitLab issue
+ * @param {int} issueIid
+ * @param {int} noteId
+ * @param {object} data body
+ * @param {string} sudo GitLab username changing the note
+ * @return {Promise<object>}
+ */
+function gitlabUpdateNote(issueIid, noteId, data, sudo) {
+    return gitlabRequest('put', gitlabAPIURLBase + '/projects/' + gitLab.project.id + '/issues/' + issueIid + '/notes/' + noteId,
+        {data: _.pick(data, 'body'), sudo: sudo})
+        .then((result) => {
+            return result.body;
+        });
+}
+
+/**
+ * Delete note of GitLab issue
+ * @param {int} issueIid
+ * @param {int} noteId
+ * @return {Promise<int>} the response status
+ */
+function gitlabDeleteNote(issueIid, noteId) {
+    return gitlabRequest('delete', gitlabAPIURLBase + '/projects/' + gitLab.project.id + '/issues/' + issueIid + '/notes/' + noteId)
+        .then((result) => {
+            return result.status;
+        });
+}
+
+/**
+ * Fetch the issues linked to GitLab issue
+ * @param {int} issueIid
+ * @return {Promise<object[]>}
+ */
+function gitlabGetIssueLinks(issueIid) {
+    return gitlabRequest('get', gitlabAPIURLBase + '/projects/' + gitLab.project.id + '/issues/' + issueIid + '/links')
+        .then((result) => {
+            return result.body;
+        });
+}
+
+/**
+ * Link GitLab issue to another issue of the project
+ * @param {int} issueIid
+ * @param {int} targetIid
+ * @param {string} linkType relates_to, blocks or is_blocked_by
+ * @return {Promise<object>}
+ */
+function gitlabAddIssueLink(issueIid, targetIid, linkType) {
+    let data = {
+        target_project_id: gitLab.project.id,
+        target_issue_iid: targetIid,
+        link_type: linkType
+    };
+    return gitlabRequest('post', gitlabAPIURLBase + '/projects/' + gitLab.project.id + '/issues/' + issueIid + '/links', {data: data})
+        .then((result) => {
+            return result.body;
+        });
+}
+
+/**
+ * Upload file to the GitLab project
+ * @param {string} filename
+ * @param {Buffer} content
+ * @return {Promise<{url: string, markdown: string}>}
+ */
+function gitlabUploadFile(filename, content) {
+    return gitlabRequest('post', gitlabAPIURLBase + '/projects/' + gitLab.project.id + '/uploads', {attach: {field: 'file', content: content, filename: filename}})
+        .then((result) => {
+            return result.body;
+        });
+}
+
+/**
+ * Delete file uploaded to the GitLab project
+ * @param {string} uploadUrl url returned by the upload
+ * @return {Promise<int>} the response status
+ */
+function gitlabDeleteUpload(uploadUrl) {
+    return gitlabRequest('delete', gitlabAPIURLBase + '/projects/' + gitLab.project.id + uploadUrl)
+        .then((result) => {
+            return result.status;
+        });
+}
+
+/**
+ * Web URL of GitLab issue, or of one of its notes
+ * @param {int} issueIid
+ * @param {int} noteId (optional)
+ * @return {string}
+ */
+function gitlabGetIssueUrl(issueIid, noteId) {
+    return gitLab.project.web_url + '/-/issues/' + issueIid + (noteId ? '#note_' + noteId : '');
+}
+
+/**
+ * Send a request to the Gitea/Forgejo API
+ * @param {string} method get, post, put, patch or delete
+ * @param {string} url
+ * @param {object} options (optional) query, data and sudo (defaults to gitlabSudo)
+ * @return {Promise<object>} the response
+ */
+function giteaRequest(method, url, options) {
+    options = options || {};
+    return sendRequest(method, url, _.extend({
+        headers: {'Authorization': 'token ' + gitlabAdminPrivateToken, 'Sudo': options.sudo || gitlabSudo, accept: 'json'}
+    }, options));
+}
+
+/**
+ * Recursively fetch all pages of a Gitea list, up to its X-Total-Count or else until a page comes back empty. The
+ * server caps the limit at its MAX_RESPONSE_ITEMS, so a short page is not necessarily the last one.
+ * @param {string} url
+ * @param {object} query
+ * @param {int} page (optional) defaults to 1
+ * @param {int} fetched (optional) number of items on the previous pages
+ * @return {Promise<object[]>}
+ */
+function giteaGetAllPages(url, query, page, fetched) {
+    const limit = 50;
+    page = page || 1;
+    fetched = fetched || 0;
+    verbose ? log_verbose('Fetching ' + url + ' [page ' + page + ']...') : null;
+
+    return giteaRequest('get', url, {query: _.extend({}, query, {page: page, limit: limit})})
+        .then((result) => {
+            let items = result.body;
+            let total = parseInt(result.headers['x-total-count'], 10);
+            fetched += items.length;
+            if (!items.length || fetched >= total) {
+                return items;
+            }
+            return giteaGetAllPages(url, query, page + 1, fetched)
+                .then(function (remainingItems) {
+                    return items.concat(remainingItems);
+                });
+        });
+}
+
+/**
+ * API URL of the Gitea repository gitLab.project
+ * @return {string}
+ */
+function giteaRepoURL() {
+    return gitlabAPIURLBase + '/repos/' + gitLab.project.full_name;
+}
+
+/**
+ * Convert Gitea user to the fields of a GitLab user
+ * @param {object} user
+ * @return {{id: int, username: string, name: string, email: string}}
+ */
+function giteaUser(user) {
+    return {id: user.id, username: user.login, name: user.full_name || user.login, email: user.email};
+}
+
+/**
+ * Convert Gitea milestone to the fields of a GitLab milestone
+ * @param {object} milestone
+ * @return {{id: int, title: string, description: string, state: string, due_date: string|null}}
+ */
+function giteaMilestone(milestone) {
+    return {
+        id: milestone.id,
+        title: milestone.title,
+        description: milestone.description,
+        state: milestone.state === 'open' ? 'active' : 'closed',
+        due_date: milestone.due_on ? milestone.due_on.substr(0, 10) : null
+    };
+}
+
+/**
+ * Convert Gitea issue to the fields of a GitLab issue
+ * @param {object} issue
+ * @return {object}
+ */
+function giteaIssue(issue) {
+    let assignees = _.map(issue.assignees || [], giteaUser);
+    return {
+        id: issue.id,
+        iid: issue.number,
+        project_id: gitLab.project.id,
+        title: issue.title,
+        description: issue.body,
+        state: issue.state === 'open' ? 'opened' : 'closed',
+        labels: _.pluck(issue.labels || [], 'name'),
+        milestone: issue.milestone ? giteaMilestone(issue.milestone) : null,
+        assignee: assignees[0] || null,
+        assignees: assignees,
+        author: issue.user ? giteaUser(issue.user) : null,
+        due_date: issue.due_date ? issue.due_date.substr(0, 10) : null,
+        created_at: issue.created_at,
+        updated_at: issue.updated_at,
+        closed_at: issue.closed_at,
+        web_url: issue.html_url
+    };
+}
+
+/**
+ * Convert Gitea comment to the fields of a GitLab note
+ * @param {object} comment
+ * @return {{id: int, body: string, author: object, system: boolean, created_at: string}}
+ */
+function giteaNote(comment) {
+    return {
+        id: comment.id,
+        body: comment.body,
+        author: comment.user ? giteaUser(comment.user) : null,
+        system: false,
+        created_at: comment.created_at
+    };
+}
+
+/**
+ * Fetch the Gitea repository with the given name including owner
+ * @param {string} name
+ * @return {Promise<object>} the repository with the fields of a GitLab project
+ */
+function giteaGetProject(name) {
+    let url = gitlabAPIURLBase + '/repos/' + _.map(name.split('/'), encodeURIComponent).join('/');
+    return giteaRequest('get', url)
+        .then((result) => {
+            let repo = result.body;
+            return {
+                id: repo.id,
+                name: repo.name,
+                full_name: repo.full_name,
+                path_with_namespace: repo.full_name,
+                web_url: repo.html_url
+            };
+        });
+}
+
+/**
+ * Fetch the users issues of the Gitea repository can be assigned to
+ * @return {Promise<object[]>}
+ */
+function giteaGetMembers() {
+    return giteaRequest('get', giteaRepoURL() + '/assignees')
+        .then((result) => {
+            return _.map(result.body, giteaUser);
+        });
+}
+
+/**
+ * Fetch the open and closed milestones of the Gitea repository
+ * @return {Promise<object[]>}
+ */
+function giteaGetMilestones() {
+    return giteaGetAllPages(giteaRepoURL() + '/milestones', {state: 'all'})
+        .then((milestones) => {
+            return _.map(milestones, giteaMilestone);
+        });
+}
+
+/**
+ * Fetch the labels of the Gitea repository - assigns gitLab.giteaLabels
+ * @return {Promise<object[]>}
+ */
+function giteaGetLabels() {
+    return giteaGetAllPages(giteaRepoURL() + '/labels', {})
+        .then((labels) => {
+            gitLab.giteaLabels = _.indexBy(labels, 'name');
+            return labels;
+        });
+}
+
+/**
+ * Get the ids of the Gitea labels, creating the labels which do not exist yet like GitLab does
+ * @param {string|string[]} labels names, comma separated or as list
+ * @return {Promise<int[]>}
+ */
+function giteaGetLabelIds(labels) {
+    let names = _.compact(_.isArray(labels) ? labels : String(labels).split(','));
+
+    return (gitLab.giteaLabels ? Q() : giteaGetLabels()).then(function () {
+        return _.reduce(names, function (p, name) {
+            return p.then(function (ids) {
+                if (gitLab.giteaLabels[name]) {
+                    return ids.concat(gitLab.giteaLabels[name].id);
+                }
+                return giteaInsertLabel(_.extend({name: name}, getLabelSettings(name))).then(function (label) {
+                    return ids.concat(label.id);
+                });
+            });
+        }, Q([]));
+    });
+}
+
+/**
+ * Get the Gitea issue options for the fields of GitLab issue data
+ * @param {object} data
+ * @return {Promise<object>}
+ */
+function giteaIssueOptions(data) {
+    let options = _.pick({
+        title: data.title,
+        body: data.description,
+        milestone: data.milestone_id,
+        due_date: data.due_date ? data.due_date + 'T00:00:00Z' : undefined,
+        updated_at: data.updated_at
+    }, _.negate(_.isUndefined));
+
+    if (undefined !== data.assignee_id) {
+        // Gitea assigns by username, the ids are those of the repository's assignees
+        let assignee = _.find(gitLab.gitlabUsers, {id: Number(data.assignee_id)});
+        if (data.assignee_id && !assignee) {
+            console.warn(('User ' + data.assignee_id + ' cannot be assigned to issues of the repository, issue "' + data.title
+                + '" is left unassigned').yellow);
+        }
+        options.assignees = assignee ? [assignee.username] : [];
+    }
+    if (data.state_event) {
+        options.state = data.state_event === 'close' ? 'closed' : 'open';
+    }
+    if (undefined === data.labels) {
+        return Q(options);
+    }
+    return giteaGetLabelIds(data.labels).then(function (ids) {
+        options.labels = ids;
+        return options;
+    });
+}
+
+/**
+ * Fetch the issues of the Gitea repository
+ * @param {object} query labels (comma separated) and/or milestone_id
+ * @return {Promise<object[]>}
+ */
+function giteaGetIssues(query) {
+    let filter = {state: 'all', type: 'issues'};
+    query.labels ? filter.labels = query.labels : null;
+    query.milestone_id ? filter.milestones = query.milestone_id : null;
+
+    return giteaGetAllPages(giteaRepoURL() + '/issues', filter)
+        .then((issues) => {
+            return _.map(issues, giteaIssue);
+        });
+}
+
+/**
+ * Search Gitea users
+ * @param {object} query username or search (email or name)
+ * @return {Promise<object[]>}
+ */
+function giteaSearchUsers(query) {
+    return giteaRequest('get', gitlabAPIURLBase + '/users/search', {query: {q: query.username || query.search, limit: 50}})
+        .then((result) => {
+            let users = _.map(result.body.data, giteaUser);
+            if (query.username) {
+                return _.filter(users, function (user) {
+                    return user.username.toLowerCase() === query.username.toLowerCase();
+                });
+            }
+            return users;
+        });
+}
+
+/**
+ * Create Gitea issue. Gitea assigns the next issue number, the creation date cannot be set.
+ * @param {object} data GitLab issue data
+ * @param {string} sudo Gitea username creating the issue
+ * @return {Promise<object>}
+ */
+function giteaInsertIssue(data, sudo) {
+    return giteaIssueOptions(data)
+        .then(function (options) {
+            return giteaRequest('post', giteaRepoURL() + '/issues', {data: options, sudo: sudo});
+        })
+        .then((result) => {
+            return giteaIssue(result.body);
+        });
+}
+
+/**
+ * Update Gitea issue, its labels are replaced separately
+ * @param {int} issueIid issue number
+ * @param {object} data GitLab issue data
+ * @param {string} sudo (optional) Gitea username performing the update
+ * @return {Promise<object>}
+ */
+function giteaUpdateIssue(issueIid, data, sudo) {
+    let url = giteaRepoURL() + '/issues/' + issueIid;
+
+    return giteaIssueOptions(data)
+        .then(function (options) {
+            let labels = options.labels ? giteaRequest('put', url + '/labels', {data: {labels: options.labels}, sudo: sudo}) : Q();
+            return labels.then(function () {
+                return giteaRequest('patch', url, {data: _.omit(options, 'labels'), sudo: sudo});
+            });
+        })
+        .then((result) => {
+            return giteaIssue(result.body);
+        });
+}
+
+/**
+ * Delete Gitea issue
+ * @param {int} issueIid issue number
+ * @return {Promise<int>} the response status
+ */
+function giteaDeleteIssue(issueIid) {
+    return giteaRequest('delete', giteaRepoURL() + '/issues/' + issueIid)
+        .then((result) => {
+            return result.status;
+        });
+}
+
+/**
+ * Create Gitea milestone
+ * @param {object} data GitLab milestone data
+ * @return {Promise<object>}
+ */
+function giteaInsertMilestone(data) {
+    let options = {title: data.title, description: data.description};
+    data.due_date ? options.due_on = data.due_date + 'T00:00:00Z' : null;
+
+    return giteaRequest('post', giteaRepoURL() + '/milestones', {data: options})
+        .then((result) => {
+            return giteaMilestone(result.body);
+        });
+}
+
+/**
+ * Close Gitea milestone
+ * @param {object} milestone
+ * @return {Promise<object>}
+ */
+function giteaCloseMilestone(milestone) {
+    return giteaRequest('patch', giteaRepoURL() + '/milestones/' + milestone.id, {data: {state: 'closed'}})
+        .then((result) => {
+            return giteaMilestone(result.body);
+        });
+}
+
+/**
+ * Delete Gitea milestone
+ * @param {int} milestoneId
+ * @return {Promise<int>} the response status
+ */
+function giteaDeleteMilestone(milestoneId) {
+    return giteaRequest('delete', giteaRepoURL() + '/milestones/' + milestoneId)
+        .then((result) => {
+            return result.status;
+        });
+}
+
+/**
+ * Create Gitea label
+ * @param {object} data name, color and description
+ * @return {Promise<object>}
+ */
+function giteaInsertLabel(data) {
+    return giteaRequest('post', giteaRepoURL() + '/labels', {data: _.pick(data, 'name', 'color', 'description')})
+        .then((result) => {
+            gitLab.giteaLabels ? gitLab.giteaLabels[result.body.name] = result.body : null;
+            return result.body;
+        });
+}
+
+/**
+ * Delete Gitea label, which is addressed by id
+ * @param {string} label name
+ * @return {Promise<int>} the response status
+ */
+function giteaDeleteLabel(label) {
+    return giteaGetLabels()
+        .then(function (labels) {
+            let existing = _.find(labels, {name: label});
+            if (!existing) {
+                let error = new Error('Label ' + label + ' not found');
+                error.status = 404;
+                throw error;
+            }
+            return giteaRequest('delete', giteaRepoURL() + '/labels/' + existing.id);
+        })
+        .then((result) => {
+            delete gitLab.giteaLabels[label];
+            return result.status;
+        });
+}
+
+/**
+ * Fetch the comments of Gitea issue
+ * @param {int} issueIid issue number
+ * @return {Promise<object[]>}
+ */
+function giteaGetNotes(issueIid) {
+    return giteaGetAllPages(giteaRepoURL() + '/issues/' + issueIid + '/comments', {})
+        .then((comments) => {
+            return _.map(comments, giteaNote);
+        });
+}
+
+/**
+ * Add comment to Gitea issue. Gitea cannot backdate comments, the original date is appended to the body instead.
+ * @param {int} issueIid issue number
+ * @param {object} data body and created_at
+ * @param {string} sudo Gitea username adding the comment
+ * @return {Promise<object>}
+ */
+function giteaAddNote(issueIid, data, sudo) {
+    let body = data.created_at ? data.body + "\n\n_" + data.created_at + "_" : data.body;
+
+    return giteaRequest('post', giteaRepoURL() + '/issues/' + issueIid + '/comments', {data: {body: body}, sudo: sudo})
+        .then((result) => {
+            return giteaNote(result.body);
+        });
+}
+
+/**
+ * Change the body of a comment of Gitea issue, with the original date appended like giteaAddNote does
+ * @param {int} issueIid issue number
+ * @param {int} noteId
+ * @param {object} data body and created_at
+ * @param {string} sudo Gitea username changing the comment
+ * @return {Promise<object>}
+ */
+function giteaUpdateNote(issueIid, noteId, data, sudo) {
+    let body = data.created_at ? data.body + "\n\n_" + data.created_at + "_" : data.body;
+
+    return giteaRequest('patch', giteaRepoURL() + '/issues/comments/' + noteId, {data: {body: body}, sudo: sudo})
+        .then((result) => {
+            return giteaNote(result.body);
+        });
+}
+
+/**
+ * Delete comment of Gitea issue, comments are addressed by id only
+ * @param {int} issueIid issue number
+ * @param {int} noteId
+ * @return {Promise<int>} the response status
+ */
+function giteaDeleteNote(issueIid, noteId) {
+    return giteaRequest('delete', giteaRepoURL() + '/issues/comments/' + noteId)
+        .then((result) => {
+            return result.status;
+        });
+}
+
+/**
+ * Web URL of Gitea issue, or of one of its comments
+ * @param {int} issueIid issue number
+ * @param {int} noteId (optional)
+ * @return {string}
+ */
+function giteaGetIssueUrl(issueIid, noteId) {
+    return gitLab.project.web_url + '/issues/' + issueIid + (noteId ? '#issuecomment-' + noteId : '');
 }
 
 /**
  * Get corresponding GitLab username to passed username from Mantis
  * @param {string} username
- * @return {{name: string, gl_username: string}|null}
+ * @return {{name: string, gl_username: string}|null}
+ */
+function getUserByMantisUsername(username) {
+    return (username && config.users[username]) || config.users[""] || null;
+}
+
+/**
+ * Get the GitLab username to impersonate (Sudo) for Mantis user username: the GitLab user mapped in config.users, if
+ * it is an active member of the project
+ * @param {string} username
+ * @return {string|null} null if the user is not mapped, no member or blocked
+ */
+function getImpersonatedUsername(username) {
+    let user = username ? config.users[username] : null;
+    if (!user || !user.gl_username) {
+        return null;
+    }
+    if (!gitLab.gitlabUsers) {
+        return user.gl_username;
+    }
+    let member = _.find(gitLab.gitlabUsers, {username: user.gl_username});
+    return member && (!member.state || member.state === 'active') ? user.gl_username : null;
+}
+
+/**
+ * Get the line naming the original author of a text added as someone else, with config.templates.original_author
+ * @param {string} username Mantis username
+ * @return {string} empty if the author can be impersonated
+ */
+function getOriginalAuthorLine(username) {
+    if (!username || username === 'NULL' || getImpersonatedUsername(username)) {
+        return '';
+    }
+    return fillTemplate(getTemplate('original_author'), getUserTemplateValues('author', username));
+}
+
+/**
+ * Compose issue body/description from Mantis' key data (URL, reporter, date created) and  actual description with
+ * config.templates.description
+ * @param {object} row
+ * @return {string}
+ */
+function getDescription(row) {
+    let attributes = [];
+    let issueId = row.Id;
+
+    if (getPrivateHandling(row) === 'redact') {
+        return getPrivateSettings().redacted_text + "\n\n<!-- mantis-id: " + issueId + " -->";
+    }
+
+    let values = getTemplateValues(row);
+
+    attributes.push(values.mantis_link);
+
+    if (row.hasOwnProperty('Reporter') && row.Reporter && row.Reporter !== 'NULL') {
+        attributes.push("Reported By: @" + row.Reporter);
+    }
+
+    if (row.hasOwnProperty('Assigned To') && row["Assigned To"] && row["Assigned To"] !== 'NULL') {
+        attributes.push("Assigned To: @" + row["Assigned To"]);
+    }
+
+    if (row.hasOwnProperty('Created') && row.Created && row.Created !== 'NULL') {
+        attributes.push("Created: " + row.Created);
+    }
+
+    if (row.hasOwnProperty('Updated') && row.Updated && row.Updated !== 'NULL') {
+        attributes.push("Updated: " + row.Updated);
+    }
+
+    values.attributes = attributes.join(", ");
+
+    let table = getCustomFields(row).table;
+    values.fields = table.length ? "| Field | Value |\n| --- | --- |\n" + _.map(table, function (tableRow) {
+        return '| ' + _.map(tableRow, function (cell) {
+            return String(cell).replace(/\|/g, '\\|').replace(/\r?\n/g, ' ');
+        }).join(' | ') + ' |';
+    }).join("\n") + "\n\n" : '';
+
+    values.description = convertMantisText(row.Description);
+
+    values.info = row.hasOwnProperty('Info') && row.Info && row.Info !== 'NULL' ? convertMantisText(row.Info) : '';
+    values.info_section = values.info ? "\n\n----\n_Info:_\n" + values.info : '';
+
+    let attachments = _.filter(row.attachments, function (attachment) {
+        return !attachment.note_id || !_.find(getNotes(row), {mantis_id: attachment.note_id});
+    });
+    values.attachments = attachments.length ? getAttachmentLinks(attachments) : '';
+    values.attachments_section = values.attachments ? "\n\n----\n_Attachments:_\n" + values.attachments : '';
+
+    return getOriginalAuthorLine(row.Reporter) + fillTemplate(getTemplate('description'), values)
+        + "\n\n<!-- mantis-id: " + issueId + " -->";
+}
+
+/**
+ * Get the title of the issue migrated from Mantis data row with config.templates.title
+ * @param {object} row
+ * @return {string}
+ */
+function getTitle(row) {
+    if (getPrivateHandling(row) === 'redact') {
+        return fillTemplate(getPrivateSettings().redacted_title, getTemplateValues(row));
+    }
+    return fillTemplate(getTemplate('title'), getTemplateValues(row)).trim() || String(row.Summary);
+}
+
+/**
+ * Get template of config.templates or its default
+ * @param {string} name title, description or note
+ * @return {string}
+ */
+function getTemplate(name) {
+    let template = (config.templates || {})[name];
+    return 'string' === typeof template ? template : defaultTemplates[name];
+}
+
+/**
+ * Get the values of the placeholders of the templates for Mantis data row: every column, the link to the Mantis
+ * issue and the reporter and assignee as Mantis username, name, mapped GitLab username and @mention of it
+ * @param {object} row
+ * @return {object}
+ */
+function getTemplateValues(row) {
+    let values = _.mapValues(_.pick(row, function (value) {
+        return _.isString(value) || _.isNumber(value);
+    }), function (value) {
+        return value === 'NULL' ? '' : value;
+    });
+    let mantisUrl = config.mantisUrl ? config.mantisUrl + "/view.php?id=" + row.Id : '';
+
+    values.id = row.Id;
+    values.mantis_url = mantisUrl;
+    values.mantis_link = mantisUrl ? "[Mantis Issue " + row.Id + "](" + mantisUrl + ")" : "Mantis Issue " + row.Id;
+    _.extend(values, getUserTemplateValues('reporter', row.Reporter), getUserTemplateValues('assignee', row["Assigned To"]));
+    return values;
+}
+
+/**
+ * Get the placeholder values of Mantis user username: {prefix} the Mantis username, {prefix_name} the name,
+ * {prefix_username} the mapped GitLab username (or the Mantis username) and {prefix_mention} the @mention of it
+ * @param {string} prefix
+ * @param {string} username
+ * @return {object}
+ */
+function getUserTemplateValues(prefix, username) {
+    let values = {};
+    username = username && username !== 'NULL' ? username : '';
+    let user = username ? config.users[username] : null;
+    let glUsername = (user && user.gl_username) || username;
+
+    values[prefix] = username;
+    values[prefix + '_name'] = (user && user.name) || username;
+    values[prefix + '_username'] = glUsername;
+    values[prefix + '_mention'] = glUsername ? '@' + glUsername : '';
+    return values;
+}
+
+/**
+ * Map the custom fields of Mantis data row to their targets in config.custom_fields: label (template "label" with
+ * {name} and {value}), scoped_label ("scope"::value), description (row "title" of the metadata table), due_date,
+ * weight or none. The values pass the field's "transform" steps first.
+ * @param {object} row
+ * @return {{labels: string[], table: string[][], due_date: string|undefined, weight: int|undefined}}
+ */
+function getCustomFields(row) {
+    let result = {labels: [], table: []};
+
+    _.forEach(config.custom_fields, function (field, name) {
+        let value = row.custom_fields && row.custom_fields.hasOwnProperty(name) ? row.custom_fields[name] : row[name];
+        let values = _.reject(transformCustomFieldValue(value, field.transform), function (value) {
+            return null === value || undefined === value || value === '' || value === 'NULL';
+        });
+        if (!values.length) {
+            return;
+        }
+
+        switch (field.target) {
+            case 'label':
+                _.forEach(values, function (value) {
+                    // Commas separate the labels sent to GitLab
+                    result.labels.push(fillTemplate(field.label || '{value}', {name: name, value: value}).replace(/,/g, ' '));
+                });
+                break;
+            case 'scoped_label':
+                // GitLab allows one label per scope
+                result.labels.push(((field.scope || name) + '::' + values[0]).replace(/,/g, ' '));
+                break;
+            case 'description':
+                result.table.push([field.title || name, values.join(', ')]);
+                break;
+            case 'due_date': {
+                let date = /^\d+$/.test(values[0]) ? new Date(Number(values[0]) * 1000) : new Date(values[0]);
+                isNaN(date) ? log_verbose('#' + row.Id + ': Cannot use "' + values[0] + '" of ' + name + ' as due date')
+                    : result.due_date = date.toISOString().substr(0, 10);
+                break;
+            }
+            case 'weight': {
+                let weight = Number(values[0]);
+                weight >= 0 && weight % 1 === 0 ? result.weight = weight
+                    : log_verbose('#' + row.Id + ': Cannot use "' + values[0] + '" of ' + name + ' as weight');
+                break;
+            }
+        }
+    });
+
+    return result;
+}
+
+/**
+ * Apply the transform steps of a custom field to its value: map (values, unmapped "keep" or "drop"), replace
+ * (pattern, with), split (separator), trim, lowercase and uppercase
+ * @param {string} value
+ * @param {object[]} steps
+ * @return {string[]} the resulting values
+ */
+function transformCustomFieldValue(value, steps) {
+    return _.reduce(steps, function (values, step) {
+        return _.flatten(_.map(values, function (value) {
+            value = null === value || undefined === value ? '' : String(value);
+            switch (step.type) {
+                case 'map':
+                    return step.values.hasOwnProperty(value) ? step.values[value] : step.unmapped === 'drop' ? [] : value;
+                case 'replace':
+                    return value.replace(new RegExp(step.pattern, 'g'), step.with || '');
+                case 'split':
+                    return value.split(step.separator);
+                case 'trim':
+                    return value.trim();
+                case 'lowercase':
+                    return value.toLowerCase();
+                case 'uppercase':
+                    return value.toUpperCase();
+                default:
+                    throw new Error('Unknown custom field transform: ' + step.type);
+            }
+        }));
+    }, [value]);
+}
+
+/**
+ * Replace the {placeholders} in template by values
+ * @param {string} template
+ * @param {object} values
+ * @return {string}
+ */
+function fillTemplate(template, values) {
+    return template.replace(/\{([^{}]+)}/g, function (placeholder, name) {
+        return values.hasOwnProperty(name) && null !== values[name] && undefined !== values[name] ? values[name] : '';
+    });
+}
+
+/**
+ * Extract individual notes from Mantis data row. Private notes are internal, redacted or left out, see config.private.
+ * @param {object} row
+ * @return {*[]|null}
+ */
+function getNotes(row)
+{
+    let noteRows = getNoteRows(row);
+    if (!noteRows) {
+        return null;
+    }
+
+    return _.compact(_.map(noteRows, function (noteRow) {
+        return getNote(row, noteRow);
+    }));
+}
+
+/**
+ * Convert single note of Mantis data row. The references to other notes are linked to the notes migrated so far, so
+ * the notes are converted right before they are added.
+ * @param {object} row
+ * @param {object} noteRow see getNoteRows
+ * @return {{mantis_id: int|null, created_at: string, author: string, body: string, internal: boolean}|null} null if
+ *         the note is left out
+ */
+function getNote(row, noteRow)
+{
+    let handling = getPrivateHandling(row, noteRow);
+    if (handling === 'skip') {
+        return null;
+    }
+    let noteAttachments = noteRow.mantis_id ? _.filter(row.attachments, {note_id: noteRow.mantis_id}) : [];
+    let values = _.extend(getTemplateValues(row), getUserTemplateValues('author', noteRow.author), {
+        note_id: noteRow.mantis_id || '',
+        created_at: noteRow.created_at,
+        text: handling === 'redact' ? getPrivateSettings().redacted_text : convertMantisText(noteRow.text),
+        attachments: noteAttachments.length ? getAttachmentLinks(noteAttachments) : ''
+    });
+    values.attachments_section = values.attachments ? "\n\n" + values.attachments : '';
+
+    let note = {
+        mantis_id: noteRow.mantis_id,
+        created_at: noteRow.created_at,
+        author: noteRow.author,
+        body: fillTemplate(getTemplate('note'), values)
+            + "\n\n<!-- mantis-note" + (noteRow.mantis_id ? ': ' + noteRow.mantis_id : '') + " -->"
+    };
+    handling === 'internal' ? note.internal = true : null;
+    return note;
+}
+
+/**
+ * Extract the unconverted notes of the Notes column of Mantis data row
+ * @param {object} row
+ * @return {{mantis_id: int|null, created_at: string, updated_at: string|undefined, author: string,
+ *           view_state: string|null, text: string}[]|null} updated_at, the time of the last edit, is not in CSV exports
+ */
+function getNoteRows(row)
+{
+    if (!row.hasOwnProperty('Notes') || !row.Notes || row.Notes === 'NULL') {
+        return null;
+    }
+    if (_.isArray(row.Notes)) {
+        return row.Notes;
+    }
+
+    let regexp = /^(?:(\d+)]\[)?([\dTZ:-]+)(]\[)([^\]]+)(]\[)(?:(10|50|public|private)]\[)?((.|\n)*)/;
+    return _.map(row.Notes.split("$$$$"), function (noteRow) {
+        let matches = noteRow.match(regexp);
+        return {mantis_id: matches[1] ? Number(matches[1]) : null, created_at: matches[2], author: matches[4],
+            view_state: matches[6] || null, text: matches[7]};
+    });
+}
+
+/**
+ * Get the history events of Mantis data row, sorted by date: from the history file if it lists the issue, the History column
+ * otherwise (events separated by "$$$$", fields date][username][type][field][old_value][new_value)
+ * @param {object} row
+ * @return {{date: string, user: string, type: string, field: string, old_value: string, new_value: string}[]}
+ */
+function getHistory(row)
+{
+    let rows = gitLab.mantisHistory && gitLab.mantisHistory[row.Id];
+    if (!rows) {
+        if (!row.hasOwnProperty('History') || !row.History || row.History === 'NULL') {
+            return [];
+        }
+        rows = _.isArray(row.History) ? row.History : _.map(row.History.split("$$$$"), function (historyRow) {
+            return _.zipObject(['date', 'username', 'type', 'field', 'old_value', 'new_value'], historyRow.split(']['));
+        });
+    }
+
+    let events = _.map(rows, function (historyRow) {
+        let date = historyRow.date;
+        return {
+            // Mantis stores UNIX timestamps
+            date: /^\d+$/.test(date) ? new Date(Number(date) * 1000).toISOString() : date,
+            user: historyRow.username,
+            type: String(historyRow.type || 0),
+            field: historyRow.field || '',
+            old_value: historyRow.old_value === 'NULL' ? '' : historyRow.old_value || '',
+            new_value: historyRow.new_value === 'NULL' ? '' : historyRow.new_value || ''
+        };
+    });
+
+    return _.sortBy(events, 'date');
+}
+
+/**
+ * Get the note added for Mantis history event of data row, ending with the hidden history marker. A redacted issue
+ * has no history notes, the events of a private note are left out or internal like the note, see config.private.
+ * @param {object} row
+ * @param {object} event
+ * @return {{body: string, created_at: string, author: string, kind: string, internal: boolean}|null} null if the event
+ *         is not added to the timeline
+ */
+function getHistoryNote(row, event)
+{
+    let text = formatHistoryEvent(event);
+    let handling = getPrivateHandling(row, getHistoryEventNote(row, event));
+    if (!text || handling === 'redact' || handling === 'skip') {
+        return null;
+    }
+    return {body: '_via Mantis history:_ ' + text + "\n\n<!-- mantis-history -->", created_at: event.date, author: event.user,
+        kind: 'history', internal: handling === 'internal'};
+}
+
+/**
+ * Get the note of Mantis data row a history event is about: the edited, deleted or hidden note, or the note a file was
+ * attached to or deleted from
+ * @param {object} row
+ * @param {object} event
+ * @return {object|undefined} see getNoteRows
+ */
+function getHistoryEventNote(row, event)
+{
+    let noteId = _.includes(['3', '4', '11'], event.type) ? Number(event.old_value) : null;
+    if (_.includes(['9', '10'], event.type)) {
+        noteId = (_.find(getAttachmentRows(row), {filename: event.old_value}) || {}).note_id;
+    }
+    return noteId ? _.find(getNoteRows(row) || [], {mantis_id: noteId}) : undefined;
+}
+
+/**
+ * Describe Mantis history event as Markdown
+ * @param {object} event
+ * @return {string|null} null if the event is not added to the timeline
+ */
+function formatHistoryEvent(event)
+{
+    if (event.type === '0') {
+        let value = function (value) {
+            let name = (mantisEnums[event.field] || {})[value] || value;
+            return name ? '`' + name + '`' : '_none_';
+        };
+        let field = mantisHistoryFields[event.field] || event.field;
+        return '**' + field + '**: ' + value(event.old_value) + ' → ' + value(event.new_value);
+    }
+
+    let template = mantisHistoryTypes[event.type];
+    if (!template) {
+        return null;
+    }
+    let relationship = mantisRelationships[event.old_value];
+    return template
+        .replace('%old%', event.old_value)
+        .replace('%new%', event.new_value)
+        .replace('%relationship%', relationship ? relationship.title : event.old_value);
+}
+
+/**
+ * Get the attachments of Mantis data row to migrate: all but those of the private issues and notes which are redacted
+ * or left out, see config.private
+ * @param {object} row
+ * @return {object[]}
+ */
+function getAttachments(row)
+{
+    return _.filter(getAttachmentRows(row), function (attachment) {
+        let noteRow = attachment.note_id ? _.find(getNoteRows(row) || [], {mantis_id: attachment.note_id}) : null;
+        let handling = getPrivateHandling(row, noteRow);
+        return handling !== 'redact' && handling !== 'skip';
+    });
+}
+
+/**
+ * Extract the individual attachments listed in the Attachments column of Mantis data row
+ * @param {object} row
+ * @return {object[]}
+ */
+function getAttachmentRows(row)
+{
+    if (!row.hasOwnProperty('Attachments') || !row.Attachments || row.Attachments === 'NULL') {
+        return [];
+    }
+    if (_.isArray(row.Attachments)) {
+        return row.Attachments;
+    }
+
+    let regexp = /^(\d+)]\[(\d*)]\[(\d*)]\[([^\]]*)]\[(.+)$/;
+    let attachments = [];
+    _.forEach(row.Attachments.split("$$$$"), function (attachmentRow) {
+        let matches = attachmentRow.match(regexp);
+        if (!matches) {
+            log_verbose('Cannot parse attachment of issue ' + row.Id + ': ' + attachmentRow);
+            return;
+        }
+        attachments.push({
+            mantis_id: Number(matches[1]),
+            note_id: Number(matches[2]) || null,
+            size: matches[3] ? Number(matches[3]) : null,
+            diskfile: matches[4],
+            filename: matches[5]
+        });
+    });
+
+    return attachments;
+}
+
+/**
+ * Extract the relationships to other Mantis issues listed in the Relationships column of Mantis data row
+ * @param {object} row
+ * @return {{type: string, target: int}[]}
+ */
+function getRelationships(row)
+{
+    if (!row.hasOwnProperty('Relationships') || !row.Relationships || row.Relationships === 'NULL') {
+        return [];
+    }
+    if (_.isArray(row.Relationships)) {
+        return row.Relationships;
+    }
+
+    let relationships = [];
+    _.forEach(row.Relationships.split("$$$$"), function (relationshipRow) {
+        let matches = relationshipRow.match(/^(\d+)]\[(\d+)$/);
+        if (!matches || !mantisRelationships[matches[1]]) {
+            log_verbose('Cannot parse relationship of issue ' + row.Id + ': ' + relationshipRow);
+            return;
+        }
+        relationships.push({type: matches[1], target: Number(matches[2])});
+    });
+
+    return relationships;
+}
+
+/**
+ * Compose Markdown list of links to the uploaded attachments
+ * @param {object[]} attachments
+ * @return {string}
+ */
+function getAttachmentLinks(attachments)
+{
+    return _.map(attachments, function (attachment) {
+        return "* " + attachment.markdown;
+    }).join("\n");
+}
+
+/**
+ * Remember ids of all exported Mantis issues and which issue each note belongs to (before any filtering) -
+ * assigns gitLab.mantisIssueIds, gitLab.mantisNotes and gitLab.migratedNotes
+ * @param {object[]} rows
+ */
+function indexMantisIssues(rows)
+{
+    gitLab.mantisIssueIds = {};
+    gitLab.mantisNotes = {};
+    gitLab.migratedNotes = {};
+    _.forEach(rows, function (row) {
+        gitLab.mantisIssueIds[row.Id] = true;
+        if (!row.Notes || row.Notes === 'NULL') {
+            return;
+        }
+        if (_.isArray(row.Notes)) {
+            _.forEach(row.Notes, function (note) {
+                gitLab.mantisNotes[note.mantis_id] = row.Id;
+            });
+            return;
+        }
+        _.forEach(row.Notes.split("$$$$"), function (note) {
+            let matches = note.match(/^(\d+)]\[[\dTZ:-]+]\[/);
+            if (matches) {
+                gitLab.mantisNotes[matches[1]] = row.Id;
+            }
+        });
+    });
+}
+
+/**
+ * Convert Mantis text (BBCode formatting, bug and note references) to GitLab Markdown
+ * @param {string} text
+ * @return {string}
+ */
+function convertMantisText(text)
+{
+    if (!text || text === 'NULL') {
+        return text;
+    }
+
+    // Code blocks and URLs are kept verbatim, so neither references nor formatting is converted inside them
+    let protectedParts = [];
+    let protect = function (part) {
+        protectedParts.push(part);
+        return '\u0000' + (protectedParts.length - 1) + '\u0000';
+    };
+    text = text.replace(/\[code(?:=([\w+#-]+))?]([\s\S]*?)\[\/code]/gi, function (match, language, code) {
+        return protect("\n```" + (language || '') + "\n" + code.replace(/^\n+|\s+$/g, '') + "\n```\n");
+    });
+    text = text.replace(/\b(?:https?|ftp):\/\/[^\s\[\]<>"]+/gi, protect);
+
+    text = escapeGitLabReferences(text);
+    text = convertMantisReferences(text);
+    text = convertBBCode(text);
+
+    return text.replace(/\u0000(\d+)\u0000/g, function (match, index) {
+        return protectedParts[index];
+    });
+}
+
+/**
+ * Escape text GitLab would render as reference to merge requests (!123), milestones (%name), snippets ($123) or
+ * epics (&123)
+ * @param {string} text
+ * @return {string}
+ */
+function escapeGitLabReferences(text)
+{
+    return text.replace(/(^|[^\w\\])([!$&](?=\d)|%(?=[\w"]))/g, '$1\\$2');
+}
+
+/**
+ * Rewrite Mantis bug (#1234) and note (~5678) references to the corresponding GitLab issue or note
+ * @param {string} text
+ * @return {string}
+ */
+function convertMantisReferences(text)
+{
+    return text
+        .replace(/(^|[^\w\\&])#(\d+)\b/g, function (match, prefix, mantisId) {
+            return prefix + getIssueReference(Number(mantisId));
+        })
+        .replace(/(^|[^\w\\])~(\d+)\b/g, function (match, prefix, noteId) {
+            return prefix + getNoteReference(Number(noteId));
+        });
+}
+
+/**
+ * GitLab reference to the issue migrated from Mantis issue mantisId, a link to Mantis if it is not migrated
+ * @param {int} mantisId
+ * @return {string}
+ */
+function getIssueReference(mantisId)
+{
+    if (gitLab.mantisIssueIds[mantisId] && getGitLabIid(mantisId)) {
+        return '#' + getGitLabIid(mantisId);
+    }
+    // A plan gets the number when it is applied, see resolvePlannedReferences
+    if (planFile && gitLab.mantisIssueIds[mantisId]) {
+        return '[#' + mantisId + '](issue://' + mantisId + ')';
+    }
+    // Links to Mantis until the issue is created, see updateReferences
+    gitLab.mantisIssueIds[mantisId] && gitLab.project ? gitLab.unresolvedReferences++ : null;
+    return getMantisIssueLink(mantisId);
+}
+
+/**
+ * Link to Mantis issue mantisId, escaped Mantis reference without config.mantisUrl
+ * @param {int} mantisId
+ * @return {string}
+ */
+function getMantisIssueLink(mantisId)
+{
+    if (config.mantisUrl) {
+        return '[Mantis #' + mantisId + '](' + config.mantisUrl + '/view.php?id=' + mantisId + ')';
+    }
+    return '\\#' + mantisId;
+}
+
+/**
+ * Link to the GitLab note migrated from Mantis note noteId (or its issue if the note is not created yet)
+ * @param {int} noteId
+ * @return {string}
+ */
+function getNoteReference(noteId)
+{
+    let mantisId = gitLab.mantisNotes[noteId];
+    if (!mantisId) {
+        return '\\~' + noteId;
+    }
+
+    if (planFile && (!getGitLabIid(mantisId) || !gitLab.migratedNotes[noteId])) {
+        // A plan adds the note when it is applied, see resolvePlannedReferences
+        return '[~' + noteId + '](note://' + mantisId + '/' + noteId + ')';
+    }
+    if (!gitLab.project || !getGitLabIid(mantisId)) {
+        // Exported issues, the project URL is not known yet, or issue not created yet
+        gitLab.project ? gitLab.unresolvedReferences++ : null;
+        return '\\~' + noteId + ' (' + getIssueReference(mantisId) + ')';
+    }
+
+    // Links to the issue until the note is added, see updateReferences
+    gitLab.migratedNotes[noteId] ? null : gitLab.unresolvedReferences++;
+    return '[~' + noteId + '](' + target.getIssueUrl(getGitLabIid(mantisId), gitLab.migratedNotes[noteId]) + ')';
+}
+
+/**
+ * Convert Mantis BBCode formatting to GitLab Markdown
+ * @param {string} text
+ * @return {string}
+ */
+function convertBBCode(text)
+{
+    let previous;
+
+    text = text
+        .replace(/\[b]([\s\S]*?)\[\/b]/gi, '**$1**')
+        .replace(/\[i]([\s\S]*?)\[\/i]/gi, '*$1*')
+        .replace(/\[u]([\s\S]*?)\[\/u]/gi, '<ins>$1</ins>')
+        .replace(/\[(s|del)]([\s\S]*?)\[\/\1]/gi, '~~$2~~')
+        .replace(/\[url=([^\]]+)]([\s\S]*?)\[\/url]/gi, '[$2]($1)')
+        .replace(/\[url]([\s\S]*?)\[\/url]/gi, '<$1>')
+        .replace(/\[email=([^\]]+)]([\s\S]*?)\[\/email]/gi, '[$2](mailto:$1)')
+        .replace(/\[email]([\s\S]*?)\[\/email]/gi, '<$1>')
+        .replace(/\[img]([\s\S]*?)\[\/img]/gi, '![]($1)')
+        .replace(/\[hr]/gi, '\n----\n')
+        .replace(/\[\/?(color|size|font|highlight|center|left|right|justify)(=[^\]]*)?]/gi, '');
+
+    text = text.replace(/\[list(=1)?]([\s\S]*?)\[\/list]/gi, function (match, ordered, items) {
+        return "\n" + _.map(_.compact(_.map(items.split(/\[\*]/), _.trim)), function (item) {
+            return (ordered ? '1. ' : '* ') + item;
+        }).join("\n") + "\n";
+    });
+
+    // Innermost quotes first, so nested quotes become nested blockquotes
+    do {
+        previous = text;
+        text = text.replace(/\[quote(?:=([^\]]*))?]((?:(?!\[quote)[\s\S])*?)\[\/quote]/gi, function (match, author, quote) {
+            let lines = (author ? '**' + author + ' wrote:**\n' : '') + _.trim(quote);
+            return "\n" + _.map(lines.split("\n"), function (line) {
+                return '> ' + line;
+            }).join("\n") + "\n";
+        });
+    } while (text !== previous);
+
+    return text;
+}
+
+/**
+ * Return comma separated GitLab labels of the label rules matching Mantis data row, followed by the labels of custom
+ * fields. Of several labels with the same scope (the part before the last "::") only the first is kept, as GitLab
+ * allows one label per scope.
+ * @param {object} row
+ * @return {string}
+ */
+function getLabels(row) {
+    let labels = [];
+
+    _.every(gitLab.labelRules, function (rule) {
+        let matches = matchLabelRule(rule, row);
+        _.forEach(matches, function (match) {
+            _.forEach(rule.labels, function (template) {
+                // Commas separate the labels sent to GitLab
+                let label = fillTemplate(template, match).replace(/,/g, ' ').trim();
+                label ? labels.push(label) : null;
+            });
+        });
+        return !(matches.length && rule.stop);
+    });
+
+    labels = labels.concat(getCustomFields(row).labels);
+
+    let scopes = {};
+    return _.filter(_.uniq(labels), function (label) {
+        let scope = label.lastIndexOf('::') > 0 ? label.substr(0, label.lastIndexOf('::')) : null;
+        if (scope && scopes.hasOwnProperty(scope)) {
+            verbose ? log_verbose('#' + row.Id + ': Skipped label ' + label + ', issue already has ' + scopes[scope]) : null;
+            return false;
+        }
+        scope ? scopes[scope] = label : null;
+        return true;
+    }).join(",");
+}
+
+/**
+ * Match label rule against Mantis data row. Every condition of the rule must match: a string matches the value
+ * exactly, a list matches any of its values, {regex, flags} matches by regular expression. Values of Mantis enums
+ * (status, priority, severity, resolution) match by number or by name. A condition on a list column like tags matches
+ * every element on its own.
+ * @param {object} rule compiled by getLabelRules
+ * @param {object} row
+ * @return {object[]} the template values of every match: the columns of the row, the matching list element in place
+ * of the list and the groups of the regular expressions
+ */
+function matchLabelRule(rule, row) {
+    let values = _.mapValues(_.pick(row, function (value) {
+        return !_.isObject(value);
+    }), function (value) {
+        return null === value || undefined === value ? '' : String(value);
+    });
+
+    return _.reduce(rule.match, function (matches, condition) {
+        let value = row[condition.column];
+
+        return _.flatten(_.map(matches, function (match) {
+            return _.compact(_.map(_.isArray(value) ? value : [value], function (element) {
+                element = null === element || undefined === element ? '' : String(element);
+                let groups = _.find(_.map(_.compact(getEnumKeys(condition.column, element)), function (candidate) {
+                    if (condition.regex) {
+                        let result = condition.regex.exec(candidate);
+                        return result ? _.extend(_.zipObject(_.range(result.length), result), result.groups) : null;
+                    }
+                    return condition.values.indexOf(candidate) !== -1 ? {} : null;
+                }));
+                if (!groups) {
+                    return null;
+                }
+                let result = _.extend({}, match, groups);
+                result[condition.column] = element;
+                return result;
+            }));
+        }));
+    }, [values]);
+}
+
+/**
+ * Compile the label rules: the entries of category_labels, priority_labels and severity_labels, followed by
+ * config.label_rules, or by a rule turning every Mantis tag into a label if there are no label_rules. Invalid regular
+ * expressions are added to gitLab.configErrors.
+ * @return {object[]} rules of {match: [{column, values|regex}], labels: string[], stop: boolean}
+ */
+function getLabelRules() {
+    let legacyRules = _.flatten(_.map({CategoryId: 'category_labels', Priority: 'priority_labels', Severity: 'severity_labels'}, function (section, column) {
+        return _.map(_.pick(config[section], _.identity), function (label, value) {
+            let match = {};
+            match[column] = value;
+            return {match: match, labels: [label]};
+        });
+    }));
+    let rules = _.isArray(config.label_rules) ? config.label_rules : [{match: {tags: {regex: ''}}, labels: ['{tags}']}];
+
+    return _.map(legacyRules.concat(rules), function (rule, index) {
+        rule = _.isPlainObject(rule) ? rule : {};
+        return {
+            match: _.map(rule.match, function (condition, column) {
+                if (!_.isPlainObject(condition)) {
+                    return {column: column, values: _.map([].concat(condition), String)};
+                }
+                try {
+                    return {column: column, regex: new RegExp(condition.regex, condition.flags || '')};
+                } catch (error) {
+                    gitLab.configErrors.push('config.label_rules[' + (index - legacyRules.length) + '].match.' + column
+                        + ' is no valid regular expression: ' + error.message);
+                    return {column: column, values: []};
+                }
+            }),
+            labels: [].concat(rule.labels || []),
+            stop: !!rule.stop
+        };
+    });
+}
+
+/**
+ * Get corresponding GitLab milestone-id to passed version name from Mantis
+ * @param {string} TargetVersion
+ * @return {string}
+ */
+function getMilestoneId(TargetVersion) {
+    let versionMilestones = gitLab.versionMilestones || {};
+    return versionMilestones.hasOwnProperty(TargetVersion) && versionMilestones[TargetVersion] || '';
+}
+
+/**
+ * Returns if Mantis issue in "row" is a closed one, closed_statuses has the number or the name of its status
+ * @param {object} row
+ * @return {boolean}
+ */
+function isClosed(row) {
+    let key = _.find(getEnumKeys('status', row.Status), function (key) {
+        return config.closed_statuses.hasOwnProperty(key);
+    });
+    return !!(key && config.closed_statuses[key]);
+}
+
+/**
+ * Returns if Mantis status (number or name) is one of the closed statuses
+ * @param {string} status
+ * @return {boolean}
+ */
+function isClosedStatus(status) {
+    return isClosed({Status: status});
+}
+
+/**
+ * Get by whom Mantis issue in "row" was closed, the user of the last change of its status to a closed status in the
+ * history, and the date of its last update: Updated, or the date of that change if unknown
+ * @param {object} row
+ * @return {{date: string|null, user: string|null}}
+ */
+function getClosing(row) {
+    let event = _.findLast(getHistory(row), function (event) {
+        return event.type === '0' && event.field === 'status' && isClosedStatus(event.new_value);
+    });
+    let updated = row.Updated && row.Updated !== 'NULL' && !isNaN(Date.parse(row.Updated)) ? row.Updated : null;
+    return {date: updated || (event ? event.date : null), user: event ? event.user : null};
+}
+
+/**
+ * Get config.private with its defaults
+ * @return {{issues: string, notes: string, redacted_title: string, redacted_text: string}}
+ */
+function getPrivateSettings() {
+    return _.extend({
+        issues: 'confidential',
+        notes: 'internal',
+        redacted_title: 'Private Mantis issue #{id}',
+        redacted_text: '_This content was private in Mantis and is not migrated._'
+    }, config.private);
+}
+
+/**
+ * Returns if Mantis view state (number or name) is private
+ * @param {string} viewState
+ * @return {boolean}
+ */
+function isPrivate(viewState) {
+    return (mantisEnums.view_state[viewState] || String(viewState).toLowerCase()) === 'private';
+}
+
+/**
+ * Get how the private content of Mantis data row is migrated (config.private): a private issue is confidential,
+ * redacted or skipped; a private note is internal, redacted or skipped. The notes of a redacted issue are redacted
+ * too.
+ * @param {object} row
+ * @param {object} noteRow (optional) the note, see getNoteRows
+ * @return {string|null} null for public content
+ */
+function getPrivateHandling(row, noteRow) {
+    let settings = getPrivateSettings();
+    let issueHandling = isPrivate(row.ViewState) ? settings.issues : null;
+
+    if (!noteRow || issueHandling === 'redact' || issueHandling === 'skip') {
+        return issueHandling;
+    }
+    return isPrivate(noteRow.view_state) ? settings.notes : null;
+}
+
+/**
+ * Get the GitLab issue iid of the issue migrated from Mantis issue mantisId. Migrated issues keep their Mantis Id,
+ * unless the numbers are assigned by the target (see iidMode); then the issue is found by its Mantis Id marker, or by
+ * the number recorded in the journal.
+ * @param {int} mantisId
+ * @return {int|null} null if the issue is not created yet
+ */
+function getGitLabIid(mantisId) {
+    if (iidMode === 'keep') {
+        return mantisId;
+    }
+    return (gitLab.markedIssues && gitLab.markedIssues[mantisId]) || getJournalEntry(mantisId).iid || null;
+}
+
+/**
+ * Create closed placeholder issues for the numbers below mantisId which are not used yet, so that the issue created
+ * next gets the number of Mantis issue mantisId (only with --iids placeholders). Placeholders are recorded in the
+ * journal and removed by a rollback.
+ * @param {int} mantisId
+ * @return {Promise<void>}
+ */
+function createPlaceholderIssues(mantisId) {
+    if (iidMode !== 'placeholders' || gitLab.nextIid >= mantisId) {
+        return Q();
+    }
+    if (dryRun) {
+        verbose ? log_verbose('DryRun: Create placeholder issues #' + gitLab.nextIid + ' to #' + (mantisId - 1)) : null;
+        planOperation({op: 'placeholder_issues'}, 'placeholders');
+        gitLab.nextIid = mantisId;
+        return Q();
+    }
+
+    let data = {
+        title: 'Placeholder for Mantis #' + gitLab.nextIid,
+        description: 'Keeps the issue numbers in line with Mantis, the Mantis issue with this number was not migrated.'
+    };
+    return insertIssue(gitLab.project.id, data)
+        .then(function (issue) {
+            gitLab.nextIid = issue.iid + 1;
+            log_progress('Created placeholder issue #' + issue.iid);
+            return closeIssue(issue).then(function () {
+                return writeJournal({placeholder: issue.iid});
+            });
+        })
+        .then(function () {
+            return createPlaceholderIssues(mantisId);
+        });
+}
+
+/**
+ * Get GitLab link type for Mantis relationship type from config.relationship_links or the default mapping
+ * @param {string} type
+ * @return {string|null} null if the relationship is to be added as note
+ */
+function getRelationshipLinkType(type) {
+    if (!target.addIssueLink) {
+        return null;
+    }
+    let relationship = mantisRelationships[type];
+    let linkTypes = config.relationship_links || {};
+    let linkType = linkTypes.hasOwnProperty(relationship.name) ? linkTypes[relationship.name] : relationship.link_type;
+    return linkType && linkType !== 'note' ? linkType : null;
+}
+
+/**
+ * Get specific issue with issueId of given projectId from GitLab issues read/cached before
+ * @param {int} projectId
+ * @param {int} issueId
+ * @return {object}
+ */
+function getIssue(projectId, issueId) {
+    return Q(issueId ? gitLab.gitlabIssues[issueId] : null);
+}
+
+/**
+ * The actual creation of GitLab issue in "projectId" with "data"
+ * @param {int} projectId
+ * @param {object} data
+ * @return {Promise<Awaited<{dryRun: string, issue: (*|number), action: string}>>|Promise<unknown | void>}
+ */
+function insertIssue(projectId, data) {
+    if (dryRun) {
+        verbose ? log_verbose('DryRun: Create issue in project ' + projectId) : null;
+        planOperation({op: 'insert', data: data}, 'create', getIssueChanges({}, data));
+        let iid = data.iid || null;
+        return Promise.resolve({'dryRun': 'yes', 'action': 'INSERT', 'issue': iid, 'iid': iid, 'project_id': projectId});
+    }
+
+    // Set Sudo to author-user for request if available
+    let Sudo = gitlabSudo;
+    if (data.hasOwnProperty('author') && data.author.hasOwnProperty('gl_username')) {
+        Sudo = data.author.gl_username;
+    }
+
+    return target.insertIssue(data, Sudo)
+        .then((issue) => {
+            verbose ? log_verbose('Inserted issues') : null;
+            touchIssue(issue.iid);
+            return issue;
+        })
+        .catch((error) => {
+                if (error) {
+                    if (verbose && error.response) {
+                        console.error(error.response);
+                    }
+                    throw new Error('Failed to insert issue into ' + target.title + ' (error code: ' + error.status + ')');
+                }
+            }
+        );
+}
+
+/**
+ * The actual updating of GitLab issue "issueIid" in "projectId" with "data".
+ * Usually this function is not called because a migration runs smoothly on first call (but maybe you want one want a
+ * second run)
+ * @param {int} projectId
+ * @param {int} issueIid
+ * @param {object} data
+ * @param {string} sudo (optional) GitLab username performing the update, defaults to gitlabSudo
+ * @return {Promise<unknown | void>|Promise<Awaited<{dryRun: string, issue, action: string}>>}
+ */
+function updateIssue(projectId, issueIid, data, sudo) {
+    if (dryRun) {
+        verbose ? log_verbose('DryRun: Update issue ' + issueIid) : null;
+        planOperation({op: 'update', iid: issueIid, data: data, sudo: sudo}, 'update', getIssueChanges(gitLab.gitlabIssues[issueIid] || {}, data));
+        return Promise.resolve({'dryRun': 'yes', 'action': 'UPDATE', 'issue': issueIid});
+    }
+
+    touchIssue(issueIid);
+    return target.updateIssue(issueIid, data, sudo)
+        .then((issue) => {
+            verbose ? log_verbose('Updated issue ' + issueIid) : null;
+            return issue;
+        })
+        .catch((error) => {
+                if (error) {
+                    throw new Error('Failed to update issue ' + issueIid + ' in ' + target.title + " " + JSON.stringify(error));
+                }
+            }
+        );
+}
+
+/**
+ * Just set GitLab issue to status closed
+ * @param {object} issue
+ * @param {{date: string|null, user: string|null}} closing (optional) the date of the last update to keep and the
+ *                                                   Mantis user who closed the issue, see getClosing
+ * @return {Promise<Awaited<{dryRun: string, issue: (*|number), action: string}>>|Promise<unknown | void>}
+ */
+function closeIssue(issue, closing) {
+    let data = {
+        state_event: 'close'
+    };
+    closing = closing || {};
+    // GitLab records the close event at the time of the request, but takes the date of the last update along with it,
+    // it rejects an update of that date alone
+    closing.date && !isNaN(Date.parse(closing.date)) ? data.updated_at = new Date(closing.date).toISOString() : null;
+    let sudo = getImpersonatedUsername(closing.user) || undefined;
+
+    if (dryRun) {
+        log_verbose('DryRun: Close issue ' + issue.iid);
+        verbose ? log_verbose(data) : null;
+        planOperation({op: 'close', iid: issue.iid, closing: closing}, 'close', {state: {from: 'opened', to: 'closed'}});
+        return Promise.resolve({'dryRun': 'yes', 'action': 'CLOSE', 'issue': issue.iid});
+    }
+
+    touchIssue(issue.iid);
+    return target.updateIssue(issue.iid, data, sudo)
+        .then((result) => {
+            verbose ? log_verbose('Closed issue ' + issue.iid) : null;
+            return result;
+        })
+        .catch((error) => {
+                if (error) {
+                    throw new Error('Failed to close issue ' + issue.iid + ' in ' + target.title + ' (error code: ' + error.status + ')');
+                }
+            }
+        );
+}
+
+/**
+ * Create milestone in the project
+ * @param {object} data
+ * @return {Promise<unknown | void>|Promise<Awaited<{dryRun: string, milestone, action: string}>>}
+ */
+function insertMilestone(data) {
+    if (dryRun) {
+        verbose ? log_verbose('DryRun: Create milestone ' + data.title) : null;
+        planProjectOperation({op: 'milestone', placeholder: 'milestone://' + data.title, data: data});
+        return Promise.resolve({'dryRun': 'yes', 'action': 'INSERT', 'milestone': data.title, 'id': 'milestone://' + data.title});
+    }
+
+    return target.insertMilestone(data)
+        .then((milestone) => {
+            log_progress('Created milestone ' + data.title);
+            return milestone;
+        })
+        .catch((error) => {
+                throw new Error('Failed to create milestone ' + data.title + ' in ' + target.title + ' (error code: ' + error.status + ')');
+            }
+        );
+}
+
+/**
+ * Just set GitLab milestone to status closed
+ * @param {object} milestone
+ * @return {Promise<unknown | void>}
+ */
+function closeMilestone(milestone) {
+    if (dryRun) {
+        verbose ? log_verbose('DryRun: Close milestone ' + milestone.title) : null;
+        planProjectOperation({op: 'close_milestone', title: milestone.title});
+        return Promise.resolve({'dryRun': 'yes', 'action': 'CLOSE', 'milestone': milestone.title});
+    }
+
+    return target.closeMilestone(milestone)
+        .then((result) => {
+            verbose ? log_verbose('Closed milestone ' + milestone.title) : null;
+            return result;
+        })
+        .catch((error) => {
+                throw new Error('Failed to close milestone ' + milestone.title + ' in ' + target.title + ' (error code: ' + error.status + ')');
+            }
+        );
+}
+
+/**
+ * Create label in the project
+ * @param {{name: string, color: string, description: string}} data
+ * @return {Promise<unknown | void>|Promise<Awaited<{dryRun: string, label, action: string}>>}
+ */
+function insertLabel(data) {
+    if (dryRun) {
+        verbose ? log_verbose('DryRun: Create label ' + data.name) : null;
+        planProjectOperation({op: 'label', data: data});
+        return Promise.resolve({'dryRun': 'yes', 'action': 'INSERT', 'label': data.name});
+    }
+
+    return target.insertLabel(data)
+        .then((label) => {
+            log_progress('Created label ' + data.name);
+            return label;
+        })
+        .catch((error) => {
+                throw new Error('Failed to create label ' + data.name + ' in ' + target.title + ' (error code: ' + error.status + ')');
+            }
+        );
+}
+
+/**
+ * Keep function for any remove jobs to come
+ * @deprecated Insertion of "skip issues" to force specific issues-ids not needed anymore, so no more "skip issues" to delete
+ * @return {Promise<Awaited<unknown>[]>|Promise<void>}
+ */
+function deleteSkippedIssues()
+{
+    if (!removeSkipped) {
+        return Promise.resolve();
+    }
+
+    let promises = [];
+    _.forEach(gitLab.gitlabIssues, function (issue) {
+        if (issue.title.indexOf('Skipped Mantis Issue') === 0) {
+            promises.push(deleteIssue(issue.iid));
+        }
+    });
+    return Promise.all(promises).then((values) => { return values;});
+}
+
+/**
+ *
+ * @param {int} issueIid
+ * @return {Promise<unknown | void>}
+ */
+function deleteIssue(issueIid)
+{
+    if (dryRun) {
+        verbose ? log_verbose('DryRun: Delete issue ' + issueIid) : null;
+        return Promise.resolve({'dryRun': 'yes', 'action': 'DELETE', 'issue': issueIid});
+    }
+
+    return target.deleteIssue(issueIid)
+        .then((result) => {
+            verbose ? log_verbose('Removed issue ' + issueIid) : null;
+            return result;
+        })
+        .catch((error) => {
+                if (error) {
+                    throw new Error('Failed to remove issue ' + issueIid + ' in ' + target.title + ' (error code: ' + error.status + ')');
+                }
+            }
+        );
+}
+
+/**
+ * Remove the notes of issueIid. Fails if the notes cannot be fetched or removed, so they are not added a second time.
+ * @param {int} issueIid
+ * @param {function} isMantisNote (optional) only remove the notes whose body it returns true for, e.g. isMigratedNote;
+ *                                all notes are removed without it
+ * @return {Promise<object[]>} the removed notes
+ */
+function deleteAllIssueNotes(issueIid, isMantisNote)
+{
+    verbose ? log_verbose('Remove notes from issue ' + issueIid + ', with onlyMantisNotes=' + !!isMantisNote + '...') : log_progress('Remove notes from issue ' + issueIid + '...');
+    if (dryRun) {
+        verbose ? log_verbose('DryRun: Read notes of issue ' + issueIid) : null;
+    }
+
+    return getIssueNotes(issueIid)
+        .then((notes) => {
+            let removed = _.filter(notes, function (note) {
+                return !isMantisNote || isMantisNote(note.body);
+            });
+            return Q.all(_.map(removed, function (note) {
+                return deleteIssueNote(issueIid, note.id);
+            })).then(function () {
+                return removed;
+            });
+        });
+}
+
+/**
+ * Remove single note from issueIid
+ * @param {int} issueIid
+ * @param {int} noteId
+ * @return {Promise<unknown | boolean>|Promise<Awaited<{note, dryRun: string, issue, action: string}>>}
+ */
+function deleteIssueNote(issueIid, noteId)
+{
+    if (dryRun) {
+        verbose ? log_verbose('DryRun: Delete note ' + noteId + ' of issue ' + issueIid) : null;
+        planOperation({op: 'delete_note', iid: issueIid, note: noteId});
+        return Promise.resolve({'dryRun': 'yes', 'action': 'DELETE', 'issue': issueIid, 'note': noteId});
+    }
+
+    touchIssue(issueIid);
+    return target.deleteNote(issueIid, noteId)
+        .then((result) => {
+            verbose ? log_verbose('Removed note ' + issueIid + '/' + noteId) : null;
+            return result;
+        })
+        .catch((error) => {
+                if (404 === error.status) {
+                    verbose ? log_verbose('Note ' + issueIid + '/' + noteId + ' was already removed') : null;
+                    return false;
+                }
+                if (403 === error.status) {
+                    // verbose ? log_verbose('Deleting note ' + issueIid + '/' + noteId + ' forbidden') : null;
+                    return false;
+                }
+                if (error) {
+                    throw new Error('Failed to remove note ' + noteId + ' of issue ' + issueIid + ' in ' + target.title + ' (error code: ' + error.status + ')');
+                }
+            }
+        );
+}
+
+/**
+ * Refresh notes on issue (remove and add). Remove the notes created by previous runs according to the journal (or,
+ * if the journal did not know the issue before this run, all migrated notes, see isMigratedNote) before attaching
+ * notes of given mantisIssue.
+ * @param {int} issueId
+ * @param {object} mantisIssue
+ * @param {boolean} journaled whether the journal knew the issue before this run
+ */
+function replaceIssueNotes(issueId, mantisIssue, journaled)
+{
+    let entry = getJournalEntry(mantisIssue.Id);
+    let deleted = journaled
+        ? deleteJournaledNotes(issueId, mantisIssue.Id, _.filter(entry.notes, {kind: 'note'}))
+        : deleteAllIssueNotes(issueId, isMigratedNote);
+
+    return deleted.then((result) => {
+        let mantisNotes = getNotes(mantisIssue);
+        if (mantisNotes && mantisNotes.length) {
+            verbose ? log_verbose('Add ' + mantisNotes.length + ' note(s) to issue ' + issueId) : log_progress('Add ' + getNotes(mantisIssue).length + ' note(s) to issue ' + issueId);
+            return _.reduce(mantisNotes, function (p, row) {
+                return p.then(function () {
+                    return addMantisNote(issueId, mantisIssue, row);
+                });
+            }, Q());
+        }
+
+        return Promise.resolve({result: 'no notes to migrate'});
+    });
+}
+
+/**
+ * Add note of mantisIssue to GitLab issue issueIid and record it in the journal. A Mantis note is converted right
+ * before it is added, so its references to the notes added before link to them; a note with references which cannot
+ * be linked yet is remembered for updateReferences.
+ * @param {int} issueIid
+ * @param {object} mantisIssue
+ * @param {object} note see getNotes and getHistoryNote
+ * @return {Promise<void>}
+ */
+function addMantisNote(issueIid, mantisIssue, note)
+{
+    let unresolved = gitLab.unresolvedReferences;
+    let noteRow = note.mantis_id ? _.find(getNoteRows(mantisIssue), {mantis_id: note.mantis_id}) : null;
+    note = noteRow ? _.extend({}, note, getNote(mantisIssue, noteRow)) : note;
+    let pending = gitLab.unresolvedReferences > unresolved;
+
+    return addNote(issueIid, note).then(function (added) {
+        if (note.mantis_id && added && added.id) {
+            gitLab.migratedNotes[note.mantis_id] = added.id;
+        }
+        if (pending && added && added.id) {
+            getPendingReferences(mantisIssue.Id).notes.push({id: added.id, note: note});
+        }
+        return writeJournal({issue: mantisIssue.Id, note: added.id, mantis_note: note.mantis_id, kind: note.kind || 'note'});
+    });
+}
+
+/**
+ * Change the note noteId of GitLab issue issueIid migrated from Mantis note noteRow of mantisIssue to its current text.
+ * Notes left out by now, see config.private, are kept as they are.
+ * @param {int} issueIid
+ * @param {object} mantisIssue
+ * @param {int} noteId
+ * @param {object} noteRow see getNoteRows
+ * @return {Promise<void>}
+ */
+function updateMantisNote(issueIid, mantisIssue, noteId, noteRow)
+{
+    let unresolved = gitLab.unresolvedReferences;
+    let note = getNote(mantisIssue, noteRow);
+    if (!note) {
+        return Q();
+    }
+    if (gitLab.unresolvedReferences > unresolved) {
+        getPendingReferences(mantisIssue.Id).notes.push({id: noteId, note: note});
+    }
+
+    return updateNote(issueIid, noteId, note).then(function () {
+        log_progress('#' + mantisIssue.Id + ': Updated note ' + noteRow.mantis_id + ' edited in Mantis.');
+    });
+}
+
+/**
+ * Add the history of mantisIssue to GitLab issue as notes by the acting users with the original dates. Status changes
+ * and reassignments are also applied as real GitLab close, reopen and assignment events unless
+ * config.history.apply_events is false. Notes of a previous replay are removed first, by the journal or, if the journal
+ * did not know the issue before this run, by their history marker; its events are not applied again.
+ * @param {object} issue
+ * @param {object} mantisIssue
+ * @param {boolean} journaled whether the journal knew the issue before this run
+ * @return {Promise<object>} the GitLab issue with its state after the replay
+ */
+function replayHistory(issue, mantisIssue, journaled)
+{
+    let events = getHistory(mantisIssue);
+    let applyEvents = _.extend({apply_events: true}, config.history).apply_events;
+    let entry = getJournalEntry(mantisIssue.Id);
+    let state = issue.state || 'opened';
+    let assignee = getUserByMantisUsername(mantisIssue["Assigned To"]);
+    let assigneeId = (assignee && assignee.gl_id) || 0;
+    let currentAssigneeId = assigneeId;
+
+    if (!events.length) {
+        return Q(issue);
+    }
+
+    // The events of an earlier replay are applied already, only its notes are replaced
+    let history = _.filter(entry.notes, {kind: 'history'});
+    let replayed = !!(entry.steps.history || history.length);
+    let deleted = journaled
+        ? deleteJournaledNotes(issue.iid, mantisIssue.Id, history)
+        : deleteAllIssueNotes(issue.iid, isHistoryNote).then(function (removed) {
+            replayed = replayed || !!(removed && removed.length);
+        });
+    return deleted.then(function () {
+        log_progress('Replay ' + events.length + ' history event(s) of issue ' + issue.iid);
+        return _.reduce(events, function (p, event) {
+            return p.then(function () {
+                let noteData = getHistoryNote(mantisIssue, event);
+                if (!noteData) {
+                    return;
+                }
+                return addNote(issue.iid, noteData).then(function (note) {
+                    return writeJournal({issue: mantisIssue.Id, note: note.id, kind: 'history'});
+                }).then(function () {
+                    let data = {updated_at: event.date};
+                    if (!applyEvents || replayed) {
+                        return;
+                    }
+                    if (event.type === '0' && event.field === 'status') {
+                        let closed = isClosedStatus(event.new_value);
+                        if (closed === (state === 'closed')) {
+                            return;
+                        }
+                        data.state_event = closed ? 'close' : 'reopen';
+                        state = closed ? 'closed' : 'opened';
+                    } else if (event.type === '0' && event.field === 'handler_id') {
+                        let handler = event.new_value && config.users[event.new_value];
+                        if (event.new_value && !(handler && handler.gl_id)) {
+                            return;
+                        }
+                        data.assignee_id = currentAssigneeId = handler ? handler.gl_id : 0;
+                    } else {
+                        return;
+                    }
+                    return updateIssue(gitLab.project.id, issue.iid, data, getImpersonatedUsername(event.user) || undefined);
+                });
+            });
+        }, Q());
+    }).then(function () {
+        // Keep the current assignee, even if the history is incomplete
+        if (currentAssigneeId !== assigneeId) {
+            return updateIssue(gitLab.project.id, issue.iid, {assignee_id: assigneeId});
+        }
+    }).then(function () {
+        return _.extend({}, issue, {state: state});
+    });
+}
+
+/**
+ * Remove the notes the journal recorded as created for Mantis issue mantisId
+ * @param {int} issueIid
+ * @param {int} mantisId
+ * @param {object[]} notes journaled notes
+ * @return {Promise<void>}
+ */
+function deleteJournaledNotes(issueIid, mantisId, notes)
+{
+    verbose ? log_verbose('Remove ' + notes.length + ' journaled note(s) from issue ' + issueIid + '...') : log_progress('Remove notes from issue ' + issueIid + '...');
+    return _.reduce(notes, function (p, note) {
+        return p.then(function () {
+            return deleteIssueNote(issueIid, note.id).then(function () {
+                return writeJournal({issue: mantisId, note_deleted: note.id});
+            });
+        });
+    }, Q());
+}
+
+/**
+ * Attach note to issueIid, by its author if the author can be impersonated
+ * @param {int} issueIid
+ * @param {object} noteData body, created_at and author (Mantis username)
+ * @return {Promise<unknown | void>|Promise<Awaited<{dryRun: string, issue, action: string}>>}
+ */
+function addNote(issueIid, noteData)
+{
+    if (dryRun) {
+        verbose ? log_verbose('DryRun: Add note to issue ' + issueIid) : null;
+        verbose ? log_verbose(noteData) : null;
+        planOperation({op: 'add_note', iid: issueIid, data: noteData});
+        return Promise.resolve({'dryRun': 'yes', 'action': 'POST', 'issue': issueIid});
+    }
+
+    // Set Sudo to author-user for request if available, name the author in the note otherwise
+    let Sudo = getImpersonatedUsername(noteData.author) || gitlabSudo;
+    let data = {body: getOriginalAuthorLine(noteData.author) + noteData.body, created_at: noteData.created_at, internal: noteData.internal};
+
+    touchIssue(issueIid);
+    return target.addNote(issueIid, _.pick(data, _.identity), Sudo)
+        .then((note) => {
+            verbose ? log_verbose('Inserted note to issue '+ issueIid + '/' + note.id) : null;
+            return note;
+        })
+        .catch((error) => {
+                if (error) {
+                    if (verbose && error.response) {
+                        console.error(error.response);
+                    }
+                    throw new Error('Failed to insert note to issue ' + issueIid + ' into ' + target.title + ' (error code: ' + error.status + ')');
+                }
+            }
+        );
+}
+
+/**
+ * Change the body of note noteId of GitLab issue issueIid to the one of noteData, as the user who added it
+ * @param {int} issueIid
+ * @param {int} noteId
+ * @param {object} noteData see getNotes
+ * @return {Promise<object>|Promise<Awaited<{dryRun: string, issue, note, action: string}>>}
+ */
+function updateNote(issueIid, noteId, noteData)
+{
+    if (dryRun) {
+        verbose ? log_verbose('DryRun: Update note ' + noteId + ' of issue ' + issueIid) : null;
+        planOperation({op: 'update_note', iid: issueIid, note: noteId, data: noteData});
+        return Promise.resolve({'dryRun': 'yes', 'action': 'PUT', 'issue': issueIid, 'note': noteId});
+    }
+
+    let Sudo = getImpersonatedUsername(noteData.author) || gitlabSudo;
+    let data = {body: getOriginalAuthorLine(noteData.author) + noteData.body, created_at: noteData.created_at};
+
+    touchIssue(issueIid);
+    return target.updateNote(issueIid, noteId, data, Sudo)
+        .then((note) => {
+            verbose ? log_verbose('Updated note ' + issueIid + '/' + noteId) : null;
+            return note;
+        })
+        .catch((error) => {
+                throw new Error('Failed to update note ' + noteId + ' of issue ' + issueIid + ' in ' + target.title + ' (error code: ' + error.status + ')');
+            }
+        );
+}
+
+/**
+ * Fetch notes of issueIid from GitLab
+ * @param {int} issueIid
+ * @return {Promise<object[]>}
+ */
+function getIssueNotes(issueIid)
+{
+    return target.getNotes(issueIid)
+        .catch((error) => {
+                if (dryRun && error.status === 404) {
+                    return [];
+                }
+                throw new Error('Cannot get list of notes of issue ' + issueIid + ' from ' + target.title + ' (error code: ' + error.status + ')');
+            }
+        );
+}
+
+/**
+ * Get the description and notes of Mantis issue mantisId with references which could not be linked when they were
+ * added, see updateReferences
+ * @param {int} mantisId
+ * @return {{description: string|undefined, notes: {id: int, note: object}[]}}
+ */
+function getPendingReferences(mantisId)
+{
+    return gitLab.pendingReferences[mantisId] = gitLab.pendingReferences[mantisId] || {description: undefined, notes: []};
+}
+
+/**
+ * Convert the descriptions and notes with references to issues or notes which were not migrated yet when they were
+ * added again, and update those which link them now. Runs after the import, so all referenced issues and notes exist;
+ * in dry run mode nothing is migrated, so nothing is updated.
+ * @return {Promise<void>}
+ */
+function updateReferences()
+{
+    let mantisIssues = _.filter(gitLab.mantisIssues, function (mantisIssue) {
+        return gitLab.pendingReferences[mantisIssue.Id] && !_.includes(gitLab.failedIssues, mantisIssue.Id);
+    });
+    if (!mantisIssues.length || dryRun) {
+        return Q();
+    }
+
+    log_progress('Updating references in ' + mantisIssues.length + ' issue(s)...');
+    return _.reduce(mantisIssues, function (p, mantisIssue) {
+        return p.then(function () {
+            return updateIssueReferences(mantisIssue);
+        });
+    }, Q());
+}
+
+/**
+ * Update the description and notes of the issue migrated from mantisIssue whose references link to more issues and
+ * notes now, see updateReferences
+ * @param {object} mantisIssue
+ * @return {Promise<void>}
+ */
+function updateIssueReferences(mantisIssue)
+{
+    let pending = gitLab.pendingReferences[mantisIssue.Id];
+    let iid = getGitLabIid(mantisIssue.Id);
+    let description = getDescription(mantisIssue);
+    let notesChanged = false;
+
+    return _.reduce(pending.notes, function (p, added) {
+        return p.then(function () {
+            let noteRow = _.find(getNoteRows(mantisIssue), {mantis_id: added.note.mantis_id});
+            let note = noteRow ? _.extend({}, added.note, getNote(mantisIssue, noteRow)) : added.note;
+            if (note.body === added.note.body) {
+                return;
+            }
+            notesChanged = true;
+            return updateNote(iid, added.id, note);
+        });
+    }, Q()).then(function () {
+        let closing = isClosed(mantisIssue) ? getClosing(mantisIssue) : {};
+        let data = {description: description};
+        // Updating the notes changed the date of the last update of a closed issue, which the close had set back
+        if ((pending.description === undefined || description === pending.description) && !(notesChanged && closing.date)) {
+            return;
+        }
+        closing.date ? data.updated_at = new Date(closing.date).toISOString() : null;
+        return updateIssue(gitLab.project.id, iid, data);
+    }).then(function () {
+        verbose ? log_verbose('#' + mantisIssue.Id + ': Updated references.') : null;
+    }, function (error) {
+        console.error(('#' + mantisIssue.Id + ': Failed to update references.').red, error.message);
+    });
+}
+
+/**
+ * Create GitLab issue links for the relationships of all imported Mantis issues. Runs after the import, so all
+ * linked issues exist.
+ * @return {Promise<void>}
+ */
+function linkGitLabIssues()
+{
+    // A sync only links the issues it imported or updated
+    let mantisIssues = _.filter(sync ? gitLab.syncedIssues : gitLab.mantisIssues, function (mantisIssue) {
+        return getRelationships(mantisIssue).length;
+    });
+    if (!mantisIssues.length) {
+        return Q();
+    }
+
+    log_progress('Linking ' + mantisIssues.length + ' related issue(s) in ' + target.title + '...');
+    return _.reduce(mantisIssues, function (p, mantisIssue) {
+        return p.then(function () {
+            return linkIssue(mantisIssue);
+        });
+    }, Q());
+}
+
+/**
+ * Create GitLab issue links (or notes, if the relationship cannot be represented as link) for the relationships of
+ * mantisIssue. Existing links and notes are not added again.
+ * @param {object} mantisIssue
+ * @return {Promise<void>}
+ */
+function linkIssue(mantisIssue)
+{
+    let issueIid = getGitLabIid(mantisIssue.Id);
+
+    if (resume && getJournalEntry(mantisIssue.Id).steps.links) {
+        verbose ? log_verbose('#' + mantisIssue.Id + ': Already linked, skipped.') : null;
+        return Q();
+    }
+    startPlanIssue(mantisIssue, 'links');
+
+    return Q.all([getIssueLinks(issueIid), getIssueNotes(issueIid)]).spread(function (links, notes) {
+        return _.reduce(getRelationships(mantisIssue), function (p, relationship) {
+            return p.then(function () {
+                let linkType = getRelationshipLinkType(relationship.type);
+                let targetIid = getGitLabIid(relationship.target);
+
+                let link = _.find(links, {iid: targetIid, project_id: gitLab.project.id});
+
+                if (!linkType || !gitLab.mantisIssueIds[relationship.target] || !targetIid) {
+                    return addRelationshipNote(mantisIssue.Id, issueIid, relationship, notes);
+                }
+                if (link && link.link_type === linkType) {
+                    verbose ? log_verbose('Issue ' + issueIid + ' is already linked to ' + targetIid) : null;
+                    return;
+                }
+                if (link) {
+                    // GitLab allows only one link between two issues
+                    return addRelationshipNote(mantisIssue.Id, issueIid, relationship, notes);
+                }
+                return addIssueLink(issueIid, targetIid, linkType, getRelationshipNote(relationship)).then(function () {
+                    links.push({iid: targetIid, project_id: gitLab.project.id, link_type: linkType});
+                }, function (error) {
+                    console.warn(('#' + mantisIssue.Id + ': ' + error.message + ', adding note instead.').yellow);
+                    return addRelationshipNote(mantisIssue.Id, issueIid, relationship, notes);
+                });
+            });
+        }, Q());
+    }).then(function () {
+        return writeJournal({issue: mantisIssue.Id, step: 'links'});
+    }).catch(function (error) {
+        console.error(('#' + mantisIssue.Id + ': Failed to link related issues.').red, error.message);
+    });
+}
+
+/**
+ * Add note describing the relationship to issueIid unless it is already in notes
+ * @param {int} mantisId
+ * @param {int} issueIid
+ * @param {{type: string, target: int}} relationship
+ * @param {object[]} notes existing notes of issueIid
+ * @return {Promise<unknown | void>}
+ */
+function addRelationshipNote(mantisId, issueIid, relationship, notes)
+{
+    let body = getRelationshipNote(relationship);
+    if (_.find(notes, {body: body})) {
+        verbose ? log_verbose('Issue ' + issueIid + ' already has note: ' + body) : null;
+        return Q();
+    }
+    notes.push({body: body});
+    return addNote(issueIid, {body: body}).then(function (note) {
+        return writeJournal({issue: mantisId, note: note.id, kind: 'relationship'});
+    });
+}
+
+/**
+ * Describe relationship as note body
+ * @param {{type: string, target: int}} relationship
+ * @return {string}
+ */
+function getRelationshipNote(relationship)
+{
+    return '_via Mantis:_ ' + mantisRelationships[relationship.type].title + ' ' + getIssueReference(relationship.target);
+}
+
+/**
+ * Fetch issues linked to issueIid from GitLab
+ * @param {int} issueIid
+ * @return {Promise<object[]>}
+ */
+function getIssueLinks(issueIid)
+{
+    if (!target.getIssueLinks) {
+        return Q([]);
+    }
+
+    return target.getIssueLinks(issueIid)
+        .catch((error) => {
+                if (dryRun && error.status === 404) {
+                    return [];
+                }
+                throw new Error('Cannot get list of links of issue ' + issueIid + ' from ' + target.title + ' (error code: ' + error.status + ')');
+            }
+        );
+}
+
+/**
+ * Link GitLab issue issueIid to targetIid of the same project
+ * @param {int} issueIid
+ * @param {int} targetIid
+ * @param {string} linkType relates_to, blocks or is_blocked_by
+ * @param {string} fallbackNote (optional) planned note to add instead if linking fails when the plan is applied
+ * @return {Promise<unknown | void>|Promise<Awaited<{dryRun: string, issue, action: string}>>}
+ */
+function addIssueLink(issueIid, targetIid, linkType, fallbackNote)
+{
+    if (dryRun) {
+        verbose ? log_verbose('DryRun: Link issue ' + issueIid + ' to ' + targetIid + ' (' + linkType + ')') : null;
+        planOperation({op: 'link', iid: issueIid, target_iid: targetIid, link_type: linkType, note: fallbackNote}, 'link');
+        return Promise.resolve({'dryRun': 'yes', 'action': 'LINK', 'issue': issueIid});
+    }
+
+    // The link is shown in the activity of both issues
+    touchIssue(issueIid);
+    touchIssue(targetIid);
+    return target.addIssueLink(issueIid, targetIid, linkType)
+        .then((link) => {
+            verbose ? log_verbose('Linked issue ' + issueIid + ' to ' + targetIid + ' (' + linkType + ')') : null;
+            return link;
+        })
+        .catch((error) => {
+                throw new Error('Failed to link issue ' + issueIid + ' to ' + targetIid + ' as ' + linkType + ' (error code: ' + error.status + ')');
+            }
+        );
+}
+
+/**
+ * Record that this run changed GitLab issue iid, see recordGitLabUpdates
+ * @param {int} iid
+ */
+function touchIssue(iid)
+{
+    gitLab.touchedIssues = gitLab.touchedIssues || {};
+    iid ? gitLab.touchedIssues[iid] = true : null;
+}
+
+/**
+ * Journal the date of the last update GitLab reports for every migrated issue this run changed: notes, links and
+ * references change it without a step of their own, and it is the time of the GitLab server. --sync and --rollback
+ * compare it to find the issues changed in GitLab since. Nothing is recorded in dry run mode.
+ * @return {Promise<void>}
+ */
+function recordGitLabUpdates()
+{
+    let mantisIds = {};
+    _.forEach(gitLab.journal.issues, function (entry, mantisId) {
+        entry.iid ? mantisIds[entry.iid] = mantisId : null;
+    });
+    let touched = _.filter(_.keys(gitLab.touchedIssues), function (iid) {
+        return mantisIds[iid];
+    });
+    if (!touched.length || dryRun) {
+        return Q();
+    }
+
+    verbose ? log_verbose('Recording the last update of ' + touched.length + ' issue(s)') : null;
+    return target.getIssues({}).then(function (issues) {
+        issues = _.indexBy(issues, 'iid');
+        return _.reduce(touched, function (p, iid) {
+            return p.then(function () {
+                return issues[iid] ? writeJournal({issue: Number(mantisIds[iid]), gitlab_updated_at: issues[iid].updated_at}) : null;
+            });
+        }, Q());
+    }, function (error) {
+        throw new Error('Cannot get list of issues from ' + target.title + ' (error code: ' + error.status + ')');
+    });
+}
+
+/**
+ * Read the journal of previous runs - assigns gitLab.journal and seeds gitLab.migratedNotes
+ * @return {Promise<object>}
+ */
+function readJournal()
+{
+    gitLab.journal = {issues: {}, runs: {}};
+    gitLab.migratedNotes = gitLab.migratedNotes || {};
+
+    verbose ? log_verbose('Read journal from file ' + journalFile) : null;
+    return FS.exists(journalFile).then(function (exists) {
+        return exists ? FS.read(journalFile, {encoding: 'utf8'}) : '';
+    }).then(function (data) {
+        var lines = _.compact(data.split("\n"));
+        var last = lines.length - 1;
+        _.forEach(lines, function (line, index) {
+            var entry;
+            try {
+                entry = JSON.parse(line);
+            } catch (error) {
+                // An interrupted run may leave a truncated last line, any other broken line is an error
+                if (index < last) {
+                    throw new Error('line ' + (index + 1) + ' is invalid - ' + error.message);
+                }
+                console.warn(('Ignoring truncated last line of journal file ' + journalFile).yellow);
+                lines.pop();
+                return;
+            }
+            applyJournalEntry(entry);
+        });
+        // Drop the truncated line, the next entry would be appended to it otherwise
+        return lines.length <= last && !dryRun ? FS.write(journalFile, lines.length ? lines.join("\n") + "\n" : '') : null;
+    }).then(function () {
+        _.forEach(gitLab.journal.issues, function (entry) {
+            _.forEach(entry.notes, function (note) {
+                if (note.mantis_id) {
+                    gitLab.migratedNotes[note.mantis_id] = note.id;
+                }
+            });
+        });
+        if (resume) {
+            log_progress('Resuming migration, ' + _.size(gitLab.journal.issues) + ' issue(s) found in journal.');
+        }
+        return gitLab.journal;
+    }, function (error) {
+        throw new Error('Cannot read journal file: ' + journalFile + ' - ' + error);
+    });
+}
+
+/**
+ * Append entry to the journal file and apply it to gitLab.journal. Nothing is recorded in dry run mode.
+ * @param {object} entry
+ * @return {Promise<void>}
+ */
+function writeJournal(entry)
+{
+    if (dryRun) {
+        return Q();
+    }
+
+    entry = _.extend({at: new Date().toISOString(), run: runId}, entry);
+    applyJournalEntry(entry);
+    return FS.append(journalFile, JSON.stringify(entry) + "\n");
+}
+
+/**
+ * Apply single journal entry to gitLab.journal: the state per Mantis issue and what each run created
+ * @param {object} entry
+ */
+function applyJournalEntry(entry)
+{
+    let journal = gitLab.journal;
+    let run = null;
+
+    if (entry.run) {
+        run = journal.runs[entry.run] = journal.runs[entry.run]
+            || {started: entry.at, issues: [], notes: [], labels: [], milestones: [], uploads: []};
+        entry.label ? run.labels.push(entry.label) : null;
+        entry.milestone ? run.milestones.push(entry.milestone) : null;
+        entry.upload ? run.uploads.push({url: entry.upload, mantis_id: entry.issue}) : null;
+        entry.placeholder ? run.issues.push({mantis_id: null, iid: entry.placeholder, placeholder: true}) : null;
+        entry.selection ? run.selection = entry.selection : null;
+    }
+    if (entry.issue === undefined) {
+        return;
+    }
+    if (entry.deleted) {
+        delete journal.issues[entry.issue];
+        return;
+    }
+
+    let issue = journal.issues[entry.issue] = journal.issues[entry.issue] || {iid: null, steps: {}, notes: []};
+
+    if (entry.step === 'started') {
+        issue.steps = {};
+        issue.failed = null;
+    } else if (entry.step) {
+        issue.steps[entry.step] = entry.at;
+        if (entry.iid) {
+            issue.iid = entry.iid;
+        }
+        if (run && entry.inserted) {
+            run.issues.push({mantis_id: entry.issue, iid: entry.iid});
+        }
+    }
+    if (entry.note) {
+        issue.notes.push({id: entry.note, mantis_id: entry.mantis_note || null, kind: entry.kind});
+        run ? run.notes.push({mantis_id: entry.issue, iid: issue.iid, id: entry.note}) : null;
+    }
+    if (entry.note_deleted) {
+        issue.notes = _.reject(issue.notes, {id: entry.note_deleted});
+    }
+    if (entry.failed) {
+        issue.failed = entry.failed;
+    }
+    if (entry.gitlab_updated_at) {
+        issue.gitlab_updated_at = entry.gitlab_updated_at;
+    }
+}
+
+/**
+ * Get journal entry of Mantis issue mantisId
+ * @param {int} mantisId
+ * @return {{iid: int|null, steps: object, notes: object[], gitlab_updated_at: string|undefined}}
+ */
+function getJournalEntry(mantisId)
+{
+    return (gitLab.journal && gitLab.journal.issues[mantisId]) || {iid: null, steps: {}, notes: []};
+}
+
+/**
+ * Returns if the GitLab issue migrated for the journal entry was changed in GitLab since: its date of the last update
+ * differs from the one recorded by recordGitLabUpdates. Journals without it are compared to the last step, allowing
+ * for the clock of GitLab being a little ahead.
+ * @param {object} gitLabIssue
+ * @param {object} entry see getJournalEntry
+ * @return {boolean}
+ */
+function isChangedInGitLab(gitLabIssue, entry)
+{
+    if (entry.gitlab_updated_at) {
+        return Date.parse(gitLabIssue.updated_at) !== Date.parse(entry.gitlab_updated_at);
+    }
+    return Date.parse(gitLabIssue.updated_at) > Date.parse(_.values(entry.steps).sort().pop()) + 60000;
+}
+
+/**
+ * Returns if all import steps of mantisIssue are finished according to its journal entry
+ * @param {object} mantisIssue
+ * @param {object} entry
+ * @return {boolean}
+ */
+function isIssueImported(mantisIssue, entry)
+{
+    return !!(entry.steps.created && entry.steps.attachments && entry.steps.notes
+        && (!isClosed(mantisIssue) || entry.steps.closed) && (!getHistory(mantisIssue).length || entry.steps.history));
+}
+
+/**
+ * Undo the migration run rollbackRunId: remove the issues, notes, labels, milestones and uploads it created. Issues
+ * with notes added afterwards, and labels or milestones used by other issues, are kept. A summary is printed before
+ * anything is removed; in dry run mode nothing is removed.
+ * @return {Promise<void>}
+ */
+function rollbackMigration()
+{
+    let runs = gitLab.journal.runs;
+    let run = runs[rollbackRunId];
+
+    if (!run) {
+        log_progress('Migration runs in journal ' + journalFile + ':');
+        _.forEach(runs, function (run, id) {
+            console.log('  ' + id + ' (started ' + run.started + '): ' + run.issues.length + ' issue(s), '
+                + run.notes.length + ' note(s), ' + run.labels.length + ' label(s), ' + run.milestones.length
+                + ' milestone(s), ' + run.uploads.length + ' upload(s)'
+                + (run.selection ? ', selected by ' + run.selection.filters.join(' ') : ''));
+        });
+        if (rollbackRunId !== true) {
+            throw new Error('Cannot find run "' + rollbackRunId + '" in journal ' + journalFile);
+        }
+        return Q();
+    }
+
+    log_progress('Collecting what run ' + rollbackRunId + ' created...');
+    return getRollbackPlan(run).then(function (plan) {
+        log_progress('Rollback of run ' + rollbackRunId + ':');
+        console.log('  Remove ' + plan.issues.length + ' issue(s), keep ' + plan.keptIssues.length + ' changed afterwards'
+            + (plan.keptIssues.length ? ' (#' + _.pluck(plan.keptIssues, 'iid').join(', #') + ')' : ''));
+        console.log('  Remove ' + plan.notes.length + ' note(s) on kept or previously existing issues');
+        console.log('  Remove ' + plan.labels.length + ' label(s), keep ' + plan.keptLabels.length + ' used by other issues');
+        console.log('  Remove ' + plan.milestones.length + ' milestone(s), keep ' + plan.keptMilestones.length + ' used by other issues');
+        console.log('  Remove ' + plan.uploads.length + ' upload(s) of the removed issues');
+
+        if (dryRun) {
+            return;
+        }
+        return executeRollbackPlan(plan);
+    });
+}
+
+/**
+ * Determine what to remove for rolling back run. Issues changed after the migration last touched them, by new notes
+ * or by edits which updated them later than their last journaled step, are kept along with their uploads.
+ * @param {object} run
+ * @return {Promise<object>}
+ */
+function getRollbackPlan(run)
+{
+    let plan = {issues: [], keptIssues: [], notes: [], labels: [], keptLabels: [], milestones: [], keptMilestones: [], uploads: []};
+    let journaledNoteIds = {};
+    _.forEach(gitLab.journal.issues, function (entry) {
+        _.forEach(entry.notes, function (note) {
+            journaledNoteIds[note.id] = true;
+        });
+    });
+
+    return _.reduce(run.issues, function (p, issue) {
+        return p.then(function () {
+            if (!issue.placeholder && !gitLab.journal.issues[issue.mantis_id]) {
+                return;
+            }
+            return getIssueNotes(issue.iid).then(function (notes) {
+                let addedAfterwards = _.filter(notes, function (note) {
+                    return !note.system && !journaledNoteIds[note.id];
+                });
+                addedAfterwards.length || isChangedAfterMigration(issue) ? plan.keptIssues.push(issue) : plan.issues.push(issue);
+            }, function (error) {
+                verbose ? log_verbose('Issue #' + issue.iid + ' not found, skipped: ' + error.message) : null;
+            });
+        });
+    }, Q()).then(function () {
+        let removedIids = _.indexBy(plan.issues, 'iid');
+        let removedMantisIds = _.indexBy(plan.issues, 'mantis_id');
+        let isRemoved = function (gitlabIssue) {
+            return !!removedIids[gitlabIssue.iid];
+        };
+
+        plan.uploads = _.filter(run.uploads, function (upload) {
+            return !!removedMantisIds[upload.mantis_id];
+        });
+
+        plan.notes = _.filter(run.notes, function (note) {
+            return !removedIids[note.iid] && gitLab.journal.issues[note.mantis_id]
+                && _.find(gitLab.journal.issues[note.mantis_id].notes, {id: note.id});
+        });
+
+        return _.reduce(run.labels, function (p, label) {
+            return p.then(function () {
+                return getProjectIssues({labels: label}).then(function (issues) {
+                    _.every(issues, isRemoved) ? plan.labels.push(label) : plan.keptLabels.push(label);
+                });
+            });
+        }, Q()).then(function () {
+            return _.reduce(run.milestones, function (p, milestoneId) {
+                return p.then(function () {
+                    return getMilestoneIssues(milestoneId).then(function (issues) {
+                        _.every(issues, isRemoved) ? plan.milestones.push(milestoneId) : plan.keptMilestones.push(milestoneId);
+                    });
+                });
+            }, Q());
+        });
+    }).then(function () {
+        return plan;
+    });
+}
+
+/**
+ * Remove everything listed in plan from GitLab and record the removal in the journal
+ * @param {object} plan
+ * @return {Promise<void>}
+ */
+function executeRollbackPlan(plan)
+{
+    let sequence = function (items, fn) {
+        return _.reduce(items, function (p, item) {
+            return p.then(function () {
+                return fn(item);
+            });
+        }, Q());
+    };
+
+    return sequence(plan.issues, function (issue) {
+        return deleteIssue(issue.iid).then(function () {
+            log_progress('Removed issue #' + issue.iid);
+            return writeJournal({issue: issue.mantis_id, deleted: true});
+        });
+    }).then(function () {
+        return sequence(plan.notes, function (note) {
+            return deleteIssueNote(note.iid, note.id).then(function () {
+                return writeJournal({issue: note.mantis_id, note_deleted: note.id});
+            });
+        });
+    }).then(function () {
+        return sequence(plan.labels, deleteLabel);
+    }).then(function () {
+        return sequence(plan.milestones, deleteMilestone);
+    }).then(function () {
+        return sequence(_.pluck(plan.uploads, 'url'), deleteUpload);
+    }).then(function () {
+        return forgetUploads(_.pluck(plan.uploads, 'url'));
+    });
+}
+
+/**
+ * Returns if the GitLab issue created for Mantis issue by a run was updated after the migration, e.g. its description,
+ * labels or state were edited, see isChangedInGitLab
+ * @param {{mantis_id: int, iid: int}} issue see run.issues
+ * @return {boolean}
+ */
+function isChangedAfterMigration(issue)
+{
+    let gitLabIssue = gitLab.gitlabIssues[issue.iid];
+    let entry = gitLab.journal.issues[issue.mantis_id];
+    if (!gitLabIssue || !entry) {
+        return false;
+    }
+    return isChangedInGitLab(gitLabIssue, entry);
+}
+
+/**
+ * Fetch issues of the project matching query from GitLab
+ * @param {object} query
+ * @return {Promise<object[]>}
+ */
+function getProjectIssues(query)
+{
+    return target.getIssues(query)
+        .catch((error) => {
+                throw new Error('Cannot get list of issues from ' + target.title + ' (error code: ' + error.status + ')');
+            }
+        );
+}
+
+/**
+ * Fetch issues assigned to milestoneId from GitLab
+ * @param {int} milestoneId
+ * @return {Promise<object[]>}
+ */
+function getMilestoneIssues(milestoneId)
+{
+    return target.getIssues({milestone_id: milestoneId})
+        .catch((error) => {
+                throw new Error('Cannot get list of issues of milestone ' + milestoneId + ' from ' + target.title + ' (error code: ' + error.status + ')');
+            }
+        );
+}
+
+/**
+ * Remove label from the project
+ * @param {string} label
+ * @return {Promise<unknown | void>|Promise<Awaited<{dryRun: string, label, action: string}>>}
+ */
+function deleteLabel(label)
+{
+    if (dryRun) {
+        verbose ? log_verbose('DryRun: Delete label ' + label) : null;
+        return Promise.resolve({'dryRun': 'yes', 'action': 'DELETE', 'label': label});
+    }
+
+    return target.deleteLabel(label)
+        .then((result) => {
+            log_progress('Removed label ' + label);
+            return result;
+        })
+        .catch((error) => {
+                if (404 === error.status) {
+                    return false;
+                }
+                throw new Error('Failed to remove label ' + label + ' in ' + target.title + ' (error code: ' + error.status + ')');
+            }
+        );
+}
+
+/**
+ * Remove milestone from the project
+ * @param {int} milestoneId
+ * @return {Promise<unknown | void>|Promise<Awaited<{dryRun: string, milestone, action: string}>>}
+ */
+function deleteMilestone(milestoneId)
+{
+    if (dryRun) {
+        verbose ? log_verbose('DryRun: Delete milestone ' + milestoneId) : null;
+        return Promise.resolve({'dryRun': 'yes', 'action': 'DELETE', 'milestone': milestoneId});
+    }
+
+    return target.deleteMilestone(milestoneId)
+        .then((result) => {
+            log_progress('Removed milestone ' + milestoneId);
+            return result;
+        })
+        .catch((error) => {
+                if (404 === error.status) {
+                    return false;
+                }
+                throw new Error('Failed to remove milestone ' + milestoneId + ' in ' + target.title + ' (error code: ' + error.status + ')');
+            }
+        );
+}
+
+/**
+ * Remove uploaded file (by its URL "/uploads/<secret>/<filename>") from the project. Requires GitLab 17.2 or later.
+ * @param {string} uploadUrl
+ * @return {Promise<unknown | void>|Promise<Awaited<{dryRun: string, upload, action: string}>>}
+ */
+function deleteUpload(uploadUrl)
+{
+    if (dryRun) {
+        verbose ? log_verbose('DryRun: Delete upload ' + uploadUrl) : null;
+        return Promise.resolve({'dryRun': 'yes', 'action': 'DELETE', 'upload': uploadUrl});
+    }
+
+    return target.deleteUpload(uploadUrl)
+        .then((result) => {
+            verbose ? log_verbose('Removed upload ' + uploadUrl) : null;
+            return result;
+        })
+        .catch((error) => {
+                console.warn(('Failed to remove upload ' + uploadUrl + ' (error code: ' + error.status + ')').yellow);
+                return false;
+            }
+        );
+}
+
+/**
+ * Remove uploads from the upload cache, so a later run uploads the files again
+ * @param {string[]} uploadUrls
+ * @return {Promise<void>}
+ */
+function forgetUploads(uploadUrls)
+{
+    let cacheFile = getUploadCacheFile();
+    if (!uploadUrls.length) {
+        return Q();
+    }
+
+    return FS.exists(cacheFile).then(function (exists) {
+        if (!exists) {
+            return;
+        }
+        return FS.read(cacheFile, {encoding: 'utf8'}).then(function (data) {
+            gitLab.uploads = _.omit(JSON.parse(data), function (upload) {
+                return uploadUrls.indexOf(upload.url) !== -1;
+            });
+            return writeUploadCache();
+        });
+    });
+}
+
+/**
+ * Read cache of files uploaded to GitLab by previous runs - assigns gitLab.uploads
+ * @return {Promise<object>}
+ */
+function readUploadCache()
+{
+    let cacheFile = getUploadCacheFile();
+    gitLab.uploads = {};
+    gitLab.skippedAttachments = [];
+
+    verbose ? log_verbose('Read uploaded attachments from file ' + cacheFile) : null;
+    return FS.exists(cacheFile).then(function (exists) {
+        return exists ? FS.read(cacheFile, {encoding: 'utf8'}).then(JSON.parse) : {};
+    }).then(function (uploads) {
+        return gitLab.uploads = uploads;
+    }, function (error) {
+        throw new Error('Cannot read upload cache file: ' + cacheFile + ' - ' + error);
+    });
+}
+
+/**
+ * Persist gitLab.uploads so files are not uploaded again on a re-run
+ * @return {Promise<void>}
+ */
+function writeUploadCache()
+{
+    // Attachments are uploaded concurrently, overlapping writes would corrupt the file
+    gitLab.uploadCacheWritten = Q(gitLab.uploadCacheWritten).catch(_.noop).then(function () {
+        return FS.write(getUploadCacheFile(), JSON.stringify(gitLab.uploads, null, 2));
+    });
+    return gitLab.uploadCacheWritten;
+}
+
+/**
+ * @return {string}
+ */
+function getUploadCacheFile()
+{
+    return __dirname + '/' + ((config.attachments || {}).cache_file || 'uploads.json');
+}
+
+/**
+ * Upload all files attached to mantisIssue, skipping files already uploaded, missing or exceeding the size limit
+ * @param {object} mantisIssue
+ * @return {Promise<object[]>} the uploaded attachments with their Markdown link
+ */
+function uploadIssueAttachments(mantisIssue)
+{
+    if (!attachmentsDir && !_.some(getAttachments(mantisIssue), 'content')) {
+        return Q([]);
+    }
+
+    return findAttachmentFiles(mantisIssue).then(function (attachments) {
+        return _.reduce(attachments, function (p, attachment) {
+            return p.then(function (uploaded) {
+                return uploadAttachment(mantisIssue.Id, attachment).then(function (result) {
+                    return result ? uploaded.concat(result) : uploaded;
+                });
+            });
+        }, Q([]));
+    });
+}
+
+/**
+ * Locate the files attached to mantisIssue. Attachments listed in the "Attachments" column are looked up as
+ * <dir>/<Id>/<filename> or <dir>/<diskfile>, unless their content was stored in the database; without that column
+ * every file in <dir>/<Id>/ is attached.
+ * @param {object} mantisIssue
+ * @return {Promise<object[]>}
+ */
+function findAttachmentFiles(mantisIssue)
+{
+    let issueDir = attachmentsDir + '/' + mantisIssue.Id;
+    let attachments = getAttachments(mantisIssue);
+
+    if (!attachmentsDir) {
+        return Q(_.filter(attachments, 'content'));
+    }
+
+    if (!attachments.length) {
+        if (getPrivateHandling(mantisIssue) === 'redact') {
+            return Q([]);
+        }
+        return FS.isDirectory(issueDir).then(function (isDirectory) {
+            return isDirectory ? FS.list(issueDir) : [];
+        }).then(function (filenames) {
+            return Q.all(_.map(filenames.sort(), function (filename) {
+                let path = issueDir + '/' + filename;
+                return FS.isFile(path).then(function (isFile) {
+                    return isFile ? {mantis_id: null, note_id: null, filename: filename, path: path} : null;
+                });
+            }));
+        }).then(_.compact);
+    }
+
+    return Q.all(_.map(attachments, function (attachment) {
+        if (attachment.content) {
+            return attachment;
+        }
+        let candidates = [issueDir + '/' + attachment.filename];
+        if (attachment.diskfile) {
+            candidates.push(attachmentsDir + '/' + attachment.diskfile);
+        }
+        return _.reduce(candidates, function (p, candidate) {
+            return p.then(function (path) {
+                return path || FS.isFile(candidate).then(function (isFile) {
+                    return isFile ? candidate : null;
+                });
+            });
+        }, Q(null)).then(function (path) {
+            attachment.path = path;
+            return attachment;
+        });
+    }));
+}
+
+/**
+ * Upload single attachment of Mantis issue issueId unless it was uploaded before
+ * @param {int} issueId
+ * @param {object} attachment
+ * @return {Promise<object|null>} attachment extended by "markdown" and "url", null if skipped
+ */
+function uploadAttachment(issueId, attachment)
+{
+    let maxSize = (config.attachments || {}).max_size || 10 * 1024 * 1024;
+    let cacheKey = gitLab.project.id + ':' + issueId + ':' + (attachment.mantis_id || attachment.filename);
+
+    if (gitLab.uploads[cacheKey]) {
+        verbose ? log_verbose('Attachment ' + attachment.filename + ' of issue ' + issueId + ' already uploaded') : null;
+        return Q(_.extend(attachment, gitLab.uploads[cacheKey]));
+    }
+    if (!attachment.path && !attachment.content) {
+        return Q(skipAttachment(issueId, attachment, 'file not found'));
+    }
+
+    let size = attachment.content ? Q(attachment.content.length) : FS.stat(attachment.path).then(function (stat) {
+        return stat.size;
+    });
+    return size.then(function (size) {
+        if (size > maxSize) {
+            return skipAttachment(issueId, attachment, 'file size ' + size + ' exceeds limit of ' + maxSize);
+        }
+        return (attachment.content ? Q(attachment.content) : FS.read(attachment.path, 'b'))
+            .then(function (content) {
+                return uploadFile(attachment.filename, content);
+            })
+            .then(function (result) {
+                _.extend(attachment, {markdown: result.markdown, url: result.url});
+                if (result.dryRun) {
+                    // Placeholder replaced by the actual link when the plan is applied
+                    attachment.markdown = '[' + attachment.filename + '](upload://' + cacheKey + ')';
+                    // Files stored in the Mantis database or export are read from the input again when the plan is applied
+                    planOperation({op: 'upload', issue: issueId, mantis_id: attachment.mantis_id, filename: attachment.filename,
+                        path: attachment.content ? undefined : attachment.path, placeholder: attachment.markdown,
+                        stored: attachment.content ? 'input' : undefined});
+                    return attachment;
+                }
+                gitLab.uploads[cacheKey] = {markdown: result.markdown, url: result.url};
+                return Q.all([writeUploadCache(), writeJournal({issue: issueId, upload: result.url})]).then(function () {
+                    return attachment;
+                });
+            });
+    }).catch(function (error) {
+        return skipAttachment(issueId, attachment, error.message);
+    });
+}
+
+/**
+ * Record attachment that could not be migrated for the final report
+ * @param {int} issueId
+ * @param {object} attachment
+ * @param {string} reason
+ * @return {null}
+ */
+function skipAttachment(issueId, attachment, reason)
+{
+    console.warn(('#' + issueId + ': Skipped attachment ' + attachment.filename + ' (' + reason + ')').yellow);
+    gitLab.skippedAttachments.push({issue: issueId, filename: attachment.filename, reason: reason});
+    return null;
+}
+
+/**
+ * Make sure the private issues and notes are not published by a target which cannot hide them
+ * @throws {Error} if the target has no confidential issues and internal notes, but config.private needs them
+ */
+function checkPrivateContent()
+{
+    if (target.hidesPrivate) {
+        return;
+    }
+    let counts = getPrivateContentCounts();
+    if (counts.issues.confidential || counts.notes.internal) {
+        throw new Error(target.title + ' has no confidential issues and internal notes, found ' + (counts.issues.confidential || 0)
+            + ' private issue(s) and ' + (counts.notes.internal || 0) + ' private note(s): set config.private.issues and'
+            + ' config.private.notes to "redact" or "skip"');
+    }
+}
+
+/**
+ * Count the private issues and notes of the migrated Mantis issues by their handling, see getPrivateHandling
+ * @return {{issues: object, notes: object}} e.g. {issues: {confidential: 2, skip: 1}, notes: {internal: 5}}
  */
-function getUserByMantisUsername(username) {
-    return (username && config.users[username]) || config.users[""] || null;
+function getPrivateContentCounts()
+{
+    let counts = {issues: {}, notes: {}};
+    let count = function (group, handling) {
+        handling ? group[handling] = (group[handling] || 0) + 1 : null;
+    };
+
+    _.forEach(gitLab.skippedPrivateIssues, function () {
+        count(counts.issues, 'skip');
+    });
+    _.forEach(gitLab.mantisIssues, function (mantisIssue) {
+        count(counts.issues, getPrivateHandling(mantisIssue));
+        _.forEach(getNoteRows(mantisIssue) || [], function (noteRow) {
+            // The notes of a redacted issue count as private too
+            count(counts.notes, isPrivate(mantisIssue.ViewState) || isPrivate(noteRow.view_state) ? getPrivateHandling(mantisIssue, noteRow) : null);
+        });
+    });
+    return counts;
 }
 
 /**
- * Compose issue body/description from Mantis' key data (URL, reporter, date created) and  actual description
- * @param {object} row
+ * Print how many private issues and notes were migrated and how, see config.private
+ * @return {Promise<void>}
+ */
+function reportPrivateContent()
+{
+    let counts = getPrivateContentCounts();
+    let describe = function (group, names) {
+        return _.map(group, function (count, handling) {
+            return count + ' ' + names[handling];
+        }).join(', ');
+    };
+
+    if (_.isEmpty(counts.issues) && _.isEmpty(counts.notes)) {
+        return Q();
+    }
+    log_progress('Private content: ' + _.compact([
+        describe(counts.issues, {confidential: 'confidential issue(s)', redact: 'redacted issue(s)', skip: 'skipped issue(s)'}),
+        describe(counts.notes, {internal: 'internal note(s)', redact: 'redacted note(s)', skip: 'skipped note(s)'})
+    ]).join('; '));
+    return Q();
+}
+
+/**
+ * Print (and write if configured) list of attachments which were not migrated
+ * @return {Promise<void>}
+ */
+function reportSkippedAttachments()
+{
+    let skipped = gitLab.skippedAttachments || [];
+    let reportFile = (config.attachments || {}).report_file;
+    if (!skipped.length) {
+        return Q();
+    }
+
+    log_progress('Skipped ' + skipped.length + ' attachment(s):');
+    _.forEach(skipped, function (entry) {
+        console.warn(('  #' + entry.issue + ' ' + entry.filename + ': ' + entry.reason).yellow);
+    });
+
+    if (reportFile) {
+        return FS.write(__dirname + '/' + reportFile, JSON.stringify(skipped, null, 2));
+    }
+    return Q();
+}
+
+/**
+ * Upload file to the GitLab project's uploads
+ * @param {string} filename
+ * @param {Buffer} content
+ * @return {Promise<unknown | void>|Promise<Awaited<{dryRun: string, action: string, markdown: string}>>}
+ */
+function uploadFile(filename, content)
+{
+    if (!target.uploadFile) {
+        return Q.reject(new Error('uploads are not supported by ' + target.title));
+    }
+    if (dryRun) {
+        verbose ? log_verbose('DryRun: Upload file ' + filename) : null;
+        return Promise.resolve({'dryRun': 'yes', 'action': 'UPLOAD', 'markdown': '[' + filename + '](#)', 'url': '#'});
+    }
+
+    return target.uploadFile(filename, content)
+        .then((upload) => {
+            verbose ? log_verbose('Uploaded file ' + filename + ' to ' + upload.url) : null;
+            return upload;
+        })
+        .catch((error) => {
+                if (error) {
+                    throw new Error('Failed to upload file ' + filename + ' to ' + target.title + ' (error code: ' + error.status + ')');
+                }
+            }
+        );
+}
+
+/**
+ * Start collecting the planned operations of mantisIssue (if --plan is given) - assigns gitLab.planIssue
+ * @param {object} mantisIssue
+ * @param {string} step "import" or "links"
+ */
+function startPlanIssue(mantisIssue, step)
+{
+    if (!planFile) {
+        return;
+    }
+
+    gitLab.plan = gitLab.plan || {operations: [], issues: []};
+    let planIssue = _.find(gitLab.plan.issues, {mantis_id: mantisIssue.Id});
+    if (!planIssue) {
+        let iid = getGitLabIid(mantisIssue.Id);
+        // Issues planned to be created get their number when the plan is applied, unless the target keeps the Mantis Id
+        let gitLabIssue = iid ? gitLab.gitlabIssues[iid] : null;
+        planIssue = {
+            mantis_id: mantisIssue.Id,
+            iid: iid,
+            title: mantisIssue.Summary,
+            gitlab_updated_at: gitLabIssue ? gitLabIssue.updated_at : null,
+            actions: [],
+            changes: {},
+            operations: []
+        };
+        gitLab.plan.issues.push(planIssue);
+    }
+    gitLab.planIssue = planIssue;
+    gitLab.planStep = step;
+}
+
+/**
+ * Add operation to the plan of the current issue
+ * @param {object} operation
+ * @param {string} action (optional) create, update, close, reopen or link
+ * @param {object} changes (optional) changed fields as {field: {from: .., to: ..}}
+ */
+function planOperation(operation, action, changes)
+{
+    let planIssue = gitLab.planIssue;
+    if (!planFile || !planIssue) {
+        return;
+    }
+
+    planIssue.operations.push(_.extend({step: gitLab.planStep}, operation));
+    _.extend(planIssue.changes, changes);
+    if (action === 'update' && changes && changes.state) {
+        action = changes.state.to === 'closed' ? 'close' : 'reopen';
+        planIssue.actions.push('update');
+    }
+    if (action && planIssue.actions.indexOf(action) === -1) {
+        planIssue.actions.push(action);
+    }
+}
+
+/**
+ * Add operation on the project itself to the plan (if --plan is given): the missing milestones and labels created
+ * before the issues
+ * @param {object} operation
+ */
+function planProjectOperation(operation)
+{
+    if (!planFile) {
+        return;
+    }
+
+    gitLab.plan = gitLab.plan || {operations: [], issues: []};
+    gitLab.plan.operations.push(operation);
+}
+
+/**
+ * Compare the current GitLab issue with the data to send
+ * @param {object} issue current GitLab issue, empty if the issue is to be created
+ * @param {object} data
+ * @return {object} changed fields as {field: {from: .., to: ..}}
+ */
+function getIssueChanges(issue, data)
+{
+    let current = {
+        title: issue.title || null,
+        description: issue.description || null,
+        labels: (issue.labels || []).slice(0).sort().join(','),
+        assignee_id: issue.assignee ? issue.assignee.id : null,
+        milestone_id: issue.milestone ? issue.milestone.id : null,
+        state: issue.state || null
+    };
+    let wanted = {
+        title: data.title,
+        description: data.description,
+        labels: (data.labels || '').split(',').sort().join(','),
+        assignee_id: data.assignee_id || null,
+        milestone_id: data.milestone_id || null,
+        state: data.state_event ? (data.state_event === 'close' ? 'closed' : 'opened') : (current.state || 'opened')
+    };
+
+    let changes = {};
+    _.forEach(wanted, function (value, field) {
+        if (field !== 'state' && !data.hasOwnProperty(field)) {
+            return;
+        }
+        if (!_.isEqual(current[field], value)) {
+            changes[field] = {from: current[field], to: value};
+        }
+    });
+    return changes;
+}
+
+/**
+ * Write the plan collected in dry run mode to planFile and a Markdown summary next to it
+ * @return {Promise<void>}
+ */
+function writePlan()
+{
+    if (!planFile) {
+        return Q();
+    }
+
+    let plan = _.extend({
+        created_at: new Date().toISOString(),
+        project: gitlabProjectName,
+        project_id: gitLab.project.id,
+        input: argv.input,
+        format: inputFormat,
+        selection: gitLab.selection
+    }, gitLab.plan || {operations: [], issues: []});
+    let summaryFile = planFile.replace(/\.json$/, '') + '.md';
+
+    log_progress('Writing plan to ' + planFile + ' and summary to ' + summaryFile + '...');
+    return Q.all([
+        FS.write(planFile, JSON.stringify(plan, null, 2)),
+        FS.write(summaryFile, getPlanSummary(plan))
+    ]);
+}
+
+/**
+ * Compose readable Markdown summary of plan
+ * @param {object} plan
  * @return {string}
  */
-function getDescription(row) {
-    let attributes = [];
-    let issueId = row.Id;
+function getPlanSummary(plan)
+{
+    let countActions = _.countBy(_.flatten(_.pluck(plan.issues, 'actions')));
+    let summary = "# Migration plan for " + plan.project + "\n\n"
+        + "Created " + plan.created_at + " from `" + plan.input + "`\n\n"
+        + (plan.selection ? "Selected " + plan.selection.ids.length + " issue(s) by `" + plan.selection.filters.join(' ') + "`\n\n" : "")
+        + _.map(countActions, function (count, action) {
+            return "* " + action + ": " + count + " issue(s)";
+        }).join("\n") + "\n";
 
-    if (config.mantisUrl) {
-        attributes.push("[Mantis Issue " + issueId + "](" + config.mantisUrl + "/view.php?id=" + issueId + ")");
-    } else {
-        attributes.push("Mantis Issue " + issueId);
+    let milestones = _.pluck(_.pluck(_.filter(plan.operations, {op: 'milestone'}), 'data'), 'title');
+    let labels = _.pluck(_.pluck(_.filter(plan.operations, {op: 'label'}), 'data'), 'name');
+    summary += milestones.length ? "* milestones created: " + milestones.join(', ') + "\n" : "";
+    summary += labels.length ? "* labels created: " + labels.join(', ') + "\n" : "";
+
+    _.forEach(plan.issues, function (planIssue) {
+        let countOperations = _.countBy(planIssue.operations, 'op');
+        summary += "\n## Mantis #" + planIssue.mantis_id + " → #" + planIssue.iid + " " + planIssue.title + "\n\n"
+            + "Actions: " + (planIssue.actions.join(', ') || 'none') + "\n\n";
+
+        _.forEach(planIssue.changes, function (change, field) {
+            if (field === 'description') {
+                summary += "* description: " + (change.from ? 'changed' : 'set') + " (" + (change.to || '').length + " characters)\n";
+                return;
+            }
+            summary += "* " + field + ": `" + JSON.stringify(change.from) + "` → `" + JSON.stringify(change.to) + "`\n";
+        });
+        if (countOperations.add_note || countOperations.delete_note) {
+            summary += "* notes: " + (countOperations.add_note || 0) + " added, " + (countOperations.delete_note || 0) + " deleted\n";
+        }
+        if (countOperations.upload) {
+            summary += "* attachments: " + countOperations.upload + " uploaded\n";
+        }
+        _.forEach(_.filter(planIssue.operations, {op: 'link'}), function (operation) {
+            summary += "* link: " + operation.link_type + " #" + operation.target_iid + "\n";
+        });
+    });
+
+    return summary;
+}
+
+/**
+ * Execute the operations of the plan in applyFile
+ * @return {Promise<void>}
+ */
+function applyPlan()
+{
+    verbose ? log_verbose('Read plan from file ' + applyFile) : log_progress('Reading plan...');
+    return FS.read(applyFile, {encoding: 'utf8'}).then(JSON.parse, function () {
+        throw new Error('Cannot read plan file: ' + applyFile);
+    }).then(function (plan) {
+        if (plan.project_id !== gitLab.project.id) {
+            throw new Error('Plan ' + applyFile + ' was created for project ' + plan.project + ', not ' + gitlabProjectName);
+        }
+
+        gitLab.failedIssues = [];
+        gitLab.skippedAttachments = [];
+        gitLab.plannedMilestones = {};
+        gitLab.plannedReferences = {};
+        let applied = readPlannedFiles(plan).then(function (files) {
+            gitLab.plannedFiles = files;
+            log_progress('Applying plan created ' + plan.created_at + ' for ' + plan.issues.length + ' issue(s)...');
+            return plan.selection ? writeJournal({selection: plan.selection}) : null;
+        }).then(function () {
+            return applyPlanProject(plan.operations || []);
+        });
+        let applyStep = function (step) {
+            return function () {
+                return _.reduce(plan.issues, function (p, planIssue) {
+                    return p.then(function () {
+                        return applyPlanIssue(planIssue, step);
+                    });
+                }, Q());
+            };
+        };
+        // References and links are updated once every issue exists, like they are in the import
+        return applied
+            .then(applyStep('import'))
+            .then(function () {
+                return applyPlannedReferences(plan);
+            })
+            .then(applyStep('links'));
+    }).then(function () {
+        if (gitLab.failedIssues.length) {
+            console.warn(('Failed to apply plan for ' + gitLab.failedIssues.length + ' issue(s): #' + gitLab.failedIssues.join(', #')).yellow);
+        }
+        return reportSkippedAttachments();
+    });
+}
+
+/**
+ * Read the files the plan uploads which are stored in the Mantis database or export instead of the attachments
+ * directory from the input the plan was created from
+ * @param {object} plan
+ * @return {Promise<object>} content Buffers by Mantis issue Id and attachment Id or filename, e.g. "12:345"
+ */
+function readPlannedFiles(plan)
+{
+    let uploads = _.filter(_.flatten(_.pluck(plan.issues, 'operations')), {op: 'upload', stored: 'input'});
+    if (!uploads.length) {
+        return Q({});
+    }
+    if (plan.format !== inputFormat || (inputFormat !== 'rest' && plan.input !== argv.input)) {
+        return Q.reject(new Error('Plan ' + applyFile + ' uploads files stored in the Mantis input, apply it with the input it'
+            + ' was created from: ' + (plan.format === 'rest' ? '-F rest' : '-i ' + plan.input + ' -F ' + plan.format)));
     }
 
-    if (row.hasOwnProperty('Reporter') && row.Reporter && row.Reporter !== 'NULL') {
-        attributes.push("Reported By: @" + row.Reporter);
+    verbose ? log_verbose('Reading ' + uploads.length + ' planned file(s) from ' + (argv.input || plan.format)) : null;
+    return Q.fcall(mantisReaders[inputFormat]).then(function (rows) {
+        let files = {};
+        _.forEach(rows, function (row) {
+            _.forEach(getAttachmentRows(row), function (attachment) {
+                attachment.content ? files[Number(row.Id) + ':' + (attachment.mantis_id || attachment.filename)] = attachment.content : null;
+            });
+        });
+        return files;
+    }, function (error) {
+        throw new Error('Cannot read the planned files from ' + (argv.input || plan.format) + ' - ' + error);
+    });
+}
+
+/**
+ * Execute the planned operations on the project: create the missing milestones and labels, unless they exist by now
+ * @param {object[]} operations
+ * @return {Promise<void>}
+ */
+function applyPlanProject(operations)
+{
+    if (!operations.length) {
+        return Q();
     }
 
-    if (row.hasOwnProperty('Assigned To') && row["Assigned To"] && row["Assigned To"] !== 'NULL') {
-        attributes.push("Assigned To: @" + row["Assigned To"]);
+    log_progress('Creating ' + _.filter(operations, {op: 'milestone'}).length + ' milestone(s) and '
+        + _.filter(operations, {op: 'label'}).length + ' label(s)...');
+    let labels = _.find(operations, {op: 'label'}) ? target.getLabels().catch(function (error) {
+        throw new Error('Cannot get list of labels from ' + target.title + ' (error code: ' + error.status + ')');
+    }) : Q([]);
+
+    return Q.all([getGitLabProjectMilestones(), labels]).spread(function (milestones, labels) {
+        let existing = _.indexBy(labels, 'name');
+        return _.reduce(operations, function (p, operation) {
+            return p.then(function () {
+                let milestone;
+                switch (operation.op) {
+                    case 'milestone':
+                        milestone = _.find(gitLab.gitlabMilestones, {title: operation.data.title});
+                        return (milestone ? Q(milestone) : insertMilestone(operation.data).then(function (milestone) {
+                            gitLab.gitlabMilestones.push(milestone);
+                            return writeJournal({milestone: milestone.id}).thenResolve(milestone);
+                        })).then(function (milestone) {
+                            gitLab.plannedMilestones[operation.placeholder] = milestone.id;
+                        });
+                    case 'close_milestone':
+                        milestone = _.find(gitLab.gitlabMilestones, {title: operation.title});
+                        return milestone && milestone.state !== 'closed' ? closeMilestone(milestone) : null;
+                    case 'label':
+                        return existing[operation.data.name] ? null : insertLabel(operation.data).then(function () {
+                            return writeJournal({label: operation.data.name});
+                        });
+                    default:
+                        throw new Error('Unknown operation in plan: ' + operation.op);
+                }
+            });
+        }, Q());
+    });
+}
+
+/**
+ * Execute the planned operations of step ("import" or "links") of a single issue, unless the GitLab issue changed
+ * since the plan was created
+ * @param {object} planIssue
+ * @param {string} step
+ * @return {Promise<void>}
+ */
+function applyPlanIssue(planIssue, step)
+{
+    let issueId = planIssue.mantis_id;
+    let gitLabIssue = gitLab.gitlabIssues[planIssue.iid];
+    let operations = _.filter(planIssue.operations, {step: step});
+    let placeholders = {};
+    let replacePlaceholders = function (data) {
+        return _.mapValues(data, function (value, key) {
+            if (key === 'milestone_id' && gitLab.plannedMilestones.hasOwnProperty(value)) {
+                return gitLab.plannedMilestones[value];
+            }
+            return 'string' === typeof value ? resolvePlannedReferences(value.replace(/\[[^\]]*]\(upload:\/\/[^)]+\)/g, function (placeholder) {
+                return placeholders[placeholder] || placeholder;
+            })) : value;
+        });
+    };
+
+    if (!operations.length) {
+        return Q();
+    }
+    if (step === 'links' && _.find(planIssue.operations, {step: 'import'})) {
+        // Changed by the import step already, linked only if that succeeded
+        if (gitLab.failedIssues.indexOf(issueId) !== -1) {
+            return Q();
+        }
+    } else if ((gitLabIssue ? gitLabIssue.updated_at : null) !== planIssue.gitlab_updated_at) {
+        console.warn((issueId + ': GitLab issue #' + planIssue.iid + ' changed since the plan was created, skipped.').yellow);
+        gitLab.failedIssues.push(issueId);
+        return Q();
     }
 
-    if (row.hasOwnProperty('Created') && row.Created && row.Created !== 'NULL') {
-        attributes.push("Created: " + row.Created);
+    log_progress(step === 'links' ? 'Linking: #' + issueId + ' ...'
+        : 'Applying: #' + issueId + ' - ' + (planIssue.actions.join(', ') || 'no changes') + ' ...');
+    return (step === 'import' ? writeJournal({issue: issueId, step: 'started'}) : Q())
+        .then(function () {
+            return _.reduce(operations, function (p, operation) {
+                return p.then(function () {
+                    return applyPlanOperation(issueId, operation, replacePlaceholders, placeholders);
+                });
+            }, Q());
+        })
+        .then(function () {
+            return _.reduce(step === 'links' ? ['links'] : ['attachments', 'notes', 'history'], function (p, step) {
+                return p.then(function () {
+                    return writeJournal({issue: issueId, step: step});
+                });
+            }, Q());
+        })
+        .catch(function (error) {
+            console.error((issueId + ': Failed to apply plan.').red, error.message);
+            gitLab.failedIssues.push(issueId);
+            return writeJournal({issue: issueId, failed: error.message});
+        });
+}
+
+/**
+ * Execute single planned operation of Mantis issue issueId and record it in the journal
+ * @param {int} issueId
+ * @param {object} operation
+ * @param {function} replacePlaceholders replaces upload placeholders in the operation's data
+ * @param {object} placeholders upload placeholders with the actual Markdown link, extended by upload operations
+ * @return {Promise<void>}
+ */
+function applyPlanOperation(issueId, operation, replacePlaceholders, placeholders)
+{
+    // Issues created by the plan get their number when it is applied, unless the target keeps the Mantis Id
+    let iid = operation.iid || getGitLabIid(issueId);
+    let data;
+
+    switch (operation.op) {
+        case 'upload': {
+            let attachment = _.extend(_.pick(operation, 'mantis_id', 'filename', 'path'), operation.stored === 'input'
+                ? {content: gitLab.plannedFiles[issueId + ':' + (operation.mantis_id || operation.filename)]} : {});
+            return uploadAttachment(issueId, attachment).then(function (attachment) {
+                placeholders[operation.placeholder] = attachment ? attachment.markdown : operation.filename;
+            });
+        }
+        case 'placeholder_issues':
+            return createPlaceholderIssues(issueId);
+        case 'insert':
+            data = replacePlaceholders(operation.data);
+            return insertIssue(gitLab.project.id, data).then(function (issue) {
+                addPlannedReferences(issueId, issue.iid, data.description);
+                gitLab.gitlabIssues[issue.iid] = issue;
+                gitLab.nextIid = Math.max(gitLab.nextIid, issue.iid + 1);
+                return writeJournal({issue: issueId, step: 'created', iid: issue.iid, inserted: true});
+            });
+        case 'update':
+            data = replacePlaceholders(operation.data);
+            return updateIssue(gitLab.project.id, iid, data, operation.sudo).then(function () {
+                addPlannedReferences(issueId, iid, data.description);
+                return writeJournal({issue: issueId, step: 'created', iid: iid});
+            }).then(function () {
+                return operation.data.state_event === 'close' ? writeJournal({issue: issueId, step: 'closed'}) : null;
+            });
+        case 'close':
+            return closeIssue({project_id: gitLab.project.id, iid: iid}, operation.closing).then(function () {
+                return writeJournal({issue: issueId, step: 'closed'});
+            });
+        case 'delete_note':
+            return deleteIssueNote(iid, operation.note).then(function () {
+                return writeJournal({issue: issueId, note_deleted: operation.note});
+            });
+        case 'add_note':
+            data = replacePlaceholders(operation.data);
+            return addNote(iid, data).then(function (note) {
+                addPlannedReferences(issueId, iid, undefined, {id: note.id, data: data});
+                if (operation.data.mantis_id) {
+                    gitLab.migratedNotes[operation.data.mantis_id] = note.id;
+                }
+                return writeJournal({issue: issueId, note: note.id, mantis_note: operation.data.mantis_id,
+                    kind: operation.step === 'links' ? 'relationship' : operation.data.kind || 'note'});
+            });
+        case 'update_note':
+            data = replacePlaceholders(operation.data);
+            return updateNote(iid, operation.note, data).then(function () {
+                addPlannedReferences(issueId, iid, undefined, {id: operation.note, data: data});
+            });
+        case 'link':
+            return addIssueLink(iid, operation.target_iid, operation.link_type).catch(function (error) {
+                if (!operation.note) {
+                    throw error;
+                }
+                console.warn(('#' + issueId + ': ' + error.message + ', adding note instead.').yellow);
+                return addNote(iid, {body: operation.note}).then(function (note) {
+                    return writeJournal({issue: issueId, note: note.id, kind: 'relationship'});
+                });
+            });
+        default:
+            throw new Error('Unknown operation in plan: ' + operation.op);
     }
+}
 
-    if (row.hasOwnProperty('Updated') && row.Updated && row.Updated !== 'NULL') {
-        attributes.push("Updated: " + row.Updated);
+/**
+ * Replace the placeholders of references to issues and notes a plan creates (see getIssueReference) by the reference
+ * to the GitLab issue or note once it exists
+ * @param {string} text
+ * @param {boolean} final replace the placeholders of issues and notes which do not exist by links to Mantis
+ * @return {string}
+ */
+function resolvePlannedReferences(text, final)
+{
+    return text.replace(/\[[^\]]*]\((issue|note):\/\/(\d+)(?:\/(\d+))?\)/g, function (placeholder, kind, mantisId, noteId) {
+        let iid = getGitLabIid(Number(mantisId));
+        if (kind === 'issue') {
+            return iid ? '#' + iid : final ? getMantisIssueLink(mantisId) : placeholder;
+        }
+        if (iid && gitLab.migratedNotes[noteId]) {
+            return '[~' + noteId + '](' + target.getIssueUrl(iid, gitLab.migratedNotes[noteId]) + ')';
+        }
+        if (!final) {
+            return placeholder;
+        }
+        return iid ? '[~' + noteId + '](' + target.getIssueUrl(iid) + ')' : '\\~' + noteId + ' (' + getMantisIssueLink(mantisId) + ')';
+    });
+}
+
+/**
+ * Remember the description or note of a planned issue whose references could not be resolved yet, see
+ * applyPlannedReferences
+ * @param {int} issueId
+ * @param {int} iid
+ * @param {string|undefined} description
+ * @param {{id: int, data: object}} note (optional)
+ */
+function addPlannedReferences(issueId, iid, description, note)
+{
+    let isPending = function (text) {
+        return resolvePlannedReferences(text || '', true) !== (text || '');
+    };
+    let pending = gitLab.plannedReferences[issueId] || {iid: iid, description: undefined, notes: []};
+
+    isPending(description) ? pending.description = description : null;
+    note && isPending(note.data.body) ? pending.notes.push(note) : null;
+    if (pending.description !== undefined || pending.notes.length) {
+        gitLab.plannedReferences[issueId] = pending;
+    }
+}
+
+/**
+ * Update the descriptions and notes with references to issues and notes which the plan created after them, like
+ * updateReferences does after an import. References to issues which were not created link to Mantis.
+ * @param {object} plan
+ * @return {Promise<void>}
+ */
+function applyPlannedReferences(plan)
+{
+    let planIssues = _.filter(plan.issues, function (planIssue) {
+        return gitLab.plannedReferences[planIssue.mantis_id] && !_.includes(gitLab.failedIssues, planIssue.mantis_id);
+    });
+    if (!planIssues.length) {
+        return Q();
+    }
+
+    log_progress('Updating references in ' + planIssues.length + ' issue(s)...');
+    return _.reduce(planIssues, function (p, planIssue) {
+        let pending = gitLab.plannedReferences[planIssue.mantis_id];
+        // The date of the last update a closed issue got from Mantis, which the update of the notes changes
+        let close = _.find(planIssue.operations, function (operation) {
+            return operation.op === 'close' || (operation.op === 'update' && operation.data.state_event === 'close');
+        });
+        let closed = close ? (close.op === 'close' ? (close.closing || {}).date : close.data.updated_at) : null;
+
+        return p.then(function () {
+            return _.reduce(pending.notes, function (p, note) {
+                return p.then(function () {
+                    return updateNote(pending.iid, note.id, _.extend({}, note.data, {body: resolvePlannedReferences(note.data.body, true)}));
+                });
+            }, Q()).then(function () {
+                if (pending.description === undefined) {
+                    return;
+                }
+                let data = {description: resolvePlannedReferences(pending.description, true)};
+                closed && !isNaN(Date.parse(closed)) ? data.updated_at = new Date(closed).toISOString() : null;
+                return updateIssue(gitLab.project.id, pending.iid, data);
+            }).then(function () {
+                verbose ? log_verbose('#' + planIssue.mantis_id + ': Updated references.') : null;
+            }, function (error) {
+                console.error(('#' + planIssue.mantis_id + ': Failed to update references.').red, error.message);
+            });
+        });
+    }, Q());
+}
+
+/**
+ * Compare the Mantis issues with the migrated issues: title, state, assignee, milestone, labels and the number of
+ * notes and attachments. Missing issues, differences and extra issues of the project are written to verifyFile and
+ * as JSON next to it; fails if anything differs.
+ * @return {Promise<void>}
+ */
+function verifyMigration()
+{
+    let issues = [];
+
+    log_progress('Verifying ' + gitLab.mantisIssues.length + ' issue(s) in ' + target.title + '...');
+    return runConcurrently(gitLab.mantisIssues, getHttpSettings().concurrency, function (mantisIssue) {
+        return verifyIssue(mantisIssue).then(function (result) {
+            issues.push(result);
+        }, function (error) {
+            console.error(('#' + mantisIssue.Id + ': Failed to verify issue.').red, error.message);
+            issues.push({mantis_id: mantisIssue.Id, iid: getGitLabIid(mantisIssue.Id), title: mantisIssue.Summary,
+                status: 'failed', error: error.message});
+        });
+    }).then(function () {
+        // Issues of the project no Mantis issue of the export was migrated to, other than placeholders
+        let migratedIids = {};
+        _.forEach(_.keys(gitLab.mantisIssueIds), function (mantisId) {
+            let iid = getGitLabIid(mantisId);
+            iid ? migratedIids[iid] = true : null;
+        });
+        _.forEach(gitLab.journal.runs, function (run) {
+            _.forEach(_.filter(run.issues, 'placeholder'), function (issue) {
+                migratedIids[issue.iid] = true;
+            });
+        });
+        let extra = _.map(_.reject(_.sortBy(gitLab.gitlabIssues, 'iid'), function (issue) {
+            return migratedIids[issue.iid];
+        }), function (issue) {
+            return _.pick(issue, 'iid', 'title', 'state', 'web_url');
+        });
+
+        let counts = _.countBy(issues, 'status');
+        let report = {
+            created_at: new Date().toISOString(),
+            project: gitlabProjectName,
+            target: target.title,
+            input: argv.input,
+            summary: {
+                verified: issues.length,
+                ok: counts.ok || 0,
+                mismatch: counts.mismatch || 0,
+                missing: counts.missing || 0,
+                failed: counts.failed || 0,
+                extra: extra.length
+            },
+            issues: _.sortBy(issues, 'mantis_id'),
+            extra: extra
+        };
+        return writeVerifyReport(report).then(function () {
+            let differences = issues.length - report.summary.ok + extra.length;
+            log_progress(report.summary.ok + ' of ' + issues.length + ' issue(s) match, ' + report.summary.mismatch
+                + ' differ, ' + report.summary.missing + ' missing, ' + extra.length + ' extra ' + target.title + ' issue(s).');
+            if (differences) {
+                throw new Error('Verification found ' + differences + ' difference(s), see ' + verifyFile);
+            }
+        });
+    });
+}
+
+/**
+ * Compare single Mantis issue with the issue it was migrated to
+ * @param {object} mantisIssue
+ * @return {Promise<{mantis_id: int, iid: int|null, title: string, status: string, differences: object}>} status is
+ *         ok, mismatch or missing; differences has the Mantis and the migrated value of every differing field
+ */
+function verifyIssue(mantisIssue)
+{
+    let iid = getGitLabIid(mantisIssue.Id);
+    let issue = iid ? gitLab.gitlabIssues[iid] : null;
+    let result = {mantis_id: mantisIssue.Id, iid: iid, title: mantisIssue.Summary, status: 'missing', differences: {}};
+
+    if (!issue) {
+        verbose ? log_verbose('#' + mantisIssue.Id + ': Missing') : null;
+        return Q(result);
     }
 
-    let description = "_" + attributes.join(", ") + "_\n\n\n----\n";
+    let data = getIssueData(mantisIssue);
+    let assignee = getUserByMantisUsername(mantisIssue["Assigned To"]);
+    let milestone = _.find(gitLab.gitlabMilestones, {id: data.milestone_id});
+    let expected = {
+        title: data.title,
+        state: isClosed(mantisIssue) ? 'closed' : 'opened',
+        assignee: (assignee && assignee.gl_username) || null,
+        milestone: milestone ? milestone.title : data.milestone_id || null,
+        labels: _.compact(data.labels.split(',')).sort(),
+        confidential: !!data.confidential,
+        notes: (getNotes(mantisIssue) || []).length,
+        attachments: getAttachments(mantisIssue).length
+    };
+
+    return getIssueNotes(issue.iid).then(function (notes) {
+        let mantisNotes = _.filter(notes, function (note) {
+            return !note.system && isMigratedNote(note.body) && !isRelationshipNote(note.body);
+        });
+        let actual = {
+            title: issue.title,
+            state: issue.state,
+            assignee: issue.assignee ? issue.assignee.username : null,
+            milestone: issue.milestone ? issue.milestone.title : null,
+            labels: (issue.labels || []).slice().sort(),
+            confidential: !!issue.confidential,
+            notes: mantisNotes.length,
+            attachments: countUploads([issue.description].concat(_.pluck(notes, 'body')))
+        };
+
+        _.forEach(expected, function (value, field) {
+            if (!_.isEqual(value, actual[field])) {
+                result.differences[field] = {mantis: value, migrated: actual[field]};
+            }
+        });
+        result.status = _.isEmpty(result.differences) ? 'ok' : 'mismatch';
+        verbose ? log_verbose('#' + mantisIssue.Id + ': ' + result.status) : null;
+        return result;
+    });
+}
+
+/**
+ * Returns if note body is a migrated Mantis note: it has the Mantis note marker, or starts with "_via Mantis:_" like
+ * the notes of earlier versions and the relationship notes
+ * @param {string} body
+ * @return {boolean}
+ */
+function isMigratedNote(body)
+{
+    return mantisNoteMarker.test(body) || body.indexOf('_via Mantis:_') === 0;
+}
+
+/**
+ * Returns if note body is a note added for a Mantis relationship
+ * @param {string} body
+ * @return {boolean}
+ */
+function isRelationshipNote(body)
+{
+    return !mantisNoteMarker.test(body) && _.some(mantisRelationships, function (relationship) {
+        return body.indexOf('_via Mantis:_ ' + relationship.title + ' ') === 0;
+    });
+}
+
+/**
+ * Returns if note body is a note added for a Mantis history event
+ * @param {string} body
+ * @return {boolean}
+ */
+function isHistoryNote(body)
+{
+    return mantisHistoryMarker.test(body);
+}
 
-    description += row.Description + "\n\n";
+/**
+ * Count the distinct uploaded files linked in texts
+ * @param {string[]} texts
+ * @return {int}
+ */
+function countUploads(texts)
+{
+    return _.uniq(_.flatten(_.map(_.compact(texts), function (text) {
+        return text.match(/]\(\/uploads\/[^)]+\)/g) || [];
+    }))).length;
+}
 
-    if (row.hasOwnProperty('Info') && row.Info && row.Info !== 'NULL') {
-        description += "\n\n----\n_Info:_\n" + row.Info;
-    }
+/**
+ * Write the verification report to verifyFile, as HTML if its name ends with .html and as Markdown otherwise, and the
+ * report data as JSON next to it
+ * @param {object} report
+ * @return {Promise<void>}
+ */
+function writeVerifyReport(report)
+{
+    let html = /\.html?$/i.test(verifyFile);
+    let jsonFile = verifyFile.replace(/\.[^./]+$/, '') + '.json';
 
-    return description;
+    log_progress('Writing verification report to ' + verifyFile + ' and ' + jsonFile + '...');
+    return Q.all([
+        FS.write(verifyFile, html ? getVerifyReportHtml(report) : getVerifyReportMarkdown(report)),
+        FS.write(jsonFile, JSON.stringify(report, null, 2))
+    ]);
 }
 
 /**
- * Extract individual notes from Mantis data row
- * @param {object} row
- * @return {*[]|null}
+ * Compose Markdown verification report
+ * @param {object} report
+ * @return {string}
  */
-function getNotes(row)
+function getVerifyReportMarkdown(report)
 {
-    if (!row.hasOwnProperty('Notes') || !row.Notes || row.Notes === 'NULL') {
-        return null;
+    let summary = report.summary;
+    let text = "# Verification of " + report.project + "\n\n"
+        + "Created " + report.created_at + " from `" + report.input + "` against " + report.target + "\n\n"
+        + "* matching: " + summary.ok + " of " + summary.verified + " issue(s)\n"
+        + "* differing: " + summary.mismatch + " issue(s)\n"
+        + "* missing: " + summary.missing + " issue(s)\n"
+        + "* failed to verify: " + summary.failed + " issue(s)\n"
+        + "* extra " + report.target + " issues: " + summary.extra + "\n";
+
+    let missing = _.filter(report.issues, function (issue) {
+        return issue.status === 'missing' || issue.status === 'failed';
+    });
+    if (missing.length) {
+        text += "\n## Missing issues\n\n" + _.map(missing, function (issue) {
+            return "* Mantis #" + issue.mantis_id + " " + issue.title + (issue.error ? " (" + issue.error + ")" : "");
+        }).join("\n") + "\n";
     }
 
-    let regexp = /([\dTZ:-]+)(]\[)([a-z]+)(]\[)((.|\n)*)/;
-    let matches;
-    let noteData = [];
-    let noteRows = row.Notes.split("$$$$");
-    _.forEach(noteRows, function (row) {
-        matches = row.match(regexp);
-        noteData.push({
-            created_at: matches[1],
-            author: matches[3],
-            body: '_via Mantis:_ ' + matches[5],
+    let mismatched = _.filter(report.issues, {status: 'mismatch'});
+    if (mismatched.length) {
+        text += "\n## Differing issues\n";
+        _.forEach(mismatched, function (issue) {
+            text += "\n### Mantis #" + issue.mantis_id + " → #" + issue.iid + " " + issue.title + "\n\n"
+                + "| Field | Mantis | " + report.target + " |\n| --- | --- | --- |\n";
+            _.forEach(issue.differences, function (difference, field) {
+                text += "| " + field + " | `" + JSON.stringify(difference.mantis) + "` | `" + JSON.stringify(difference.migrated) + "` |\n";
+            });
         });
-    });
+    }
+
+    if (report.extra.length) {
+        text += "\n## Extra " + report.target + " issues\n\n" + _.map(report.extra, function (issue) {
+            return "* #" + issue.iid + " " + issue.title + " (" + issue.state + ")";
+        }).join("\n") + "\n";
+    }
 
-    return noteData;
+    return text;
 }
 
 /**
- * Return comma separated GitLab labels matching categories, priorities and severities from Mantis
- * @param {object} row
+ * Compose HTML verification report
+ * @param {object} report
  * @return {string}
  */
-function getLabels(row) {
-    let label;
-    let labels = (row.tags || []).slice(0);
+function getVerifyReportHtml(report)
+{
+    let summary = report.summary;
+    let list = function (items) {
+        return "<ul>\n" + _.map(items, function (item) {
+            return "<li>" + item + "</li>";
+        }).join("\n") + "\n</ul>\n";
+    };
+    let html = "<!DOCTYPE html>\n<html>\n<head><meta charset=\"utf-8\"><title>Verification of " + _.escape(report.project) + "</title></head>\n<body>\n"
+        + "<h1>Verification of " + _.escape(report.project) + "</h1>\n"
+        + "<p>Created " + report.created_at + " from <code>" + _.escape(report.input) + "</code> against " + report.target + "</p>\n"
+        + list([
+            "matching: " + summary.ok + " of " + summary.verified + " issue(s)",
+            "differing: " + summary.mismatch + " issue(s)",
+            "missing: " + summary.missing + " issue(s)",
+            "failed to verify: " + summary.failed + " issue(s)",
+            "extra " + report.target + " issues: " + summary.extra
+        ]);
 
-    if (config.category_labels.hasOwnProperty(row.CategoryId) && (label = config.category_labels[row.CategoryId])) {
-        labels.push(label);
+    let missing = _.filter(report.issues, function (issue) {
+        return issue.status === 'missing' || issue.status === 'failed';
+    });
+    if (missing.length) {
+        html += "<h2>Missing issues</h2>\n" + list(_.map(missing, function (issue) {
+            return "Mantis #" + issue.mantis_id + " " + _.escape(issue.title) + (issue.error ? " (" + _.escape(issue.error) + ")" : "");
+        }));
     }
 
-    if (config.category_labels.hasOwnProperty(row.Priority) && (label = config.priority_labels[row.Priority])) {
-        labels.push(label);
+    let mismatched = _.filter(report.issues, {status: 'mismatch'});
+    if (mismatched.length) {
+        html += "<h2>Differing issues</h2>\n";
+        _.forEach(mismatched, function (issue) {
+            html += "<h3>Mantis #" + issue.mantis_id + " → #" + issue.iid + " " + _.escape(issue.title) + "</h3>\n"
+                + "<table>\n<tr><th>Field</th><th>Mantis</th><th>" + report.target + "</th></tr>\n";
+            _.forEach(issue.differences, function (difference, field) {
+                html += "<tr><td>" + field + "</td><td><code>" + _.escape(JSON.stringify(difference.mantis))
+                    + "</code></td><td><code>" + _.escape(JSON.stringify(difference.migrated)) + "</code></td></tr>\n";
+            });
+            html += "</table>\n";
+        });
     }
 
-    if (config.category_labels.hasOwnProperty(row.Severity) && (label = config.severity_labels[row.Severity])) {
-        labels.push(label);
+    if (report.extra.length) {
+        html += "<h2>Extra " + report.target + " issues</h2>\n" + list(_.map(report.extra, function (issue) {
+            return "<a href=\"" + _.escape(issue.web_url) + "\">#" + issue.iid + "</a> " + _.escape(issue.title) + " (" + issue.state + ")";
+        }));
     }
 
-    return labels.join(",");
+    return html + "</body>\n</html>\n";
 }
 
 /**
- * Get corresponding GitLab milestone-id to passed version name from Mantis
- * @param {string} TargetVersion
- * @return {string}
+ * Write the redirects from the Mantis issue URLs (view.php?id=N) to the migrated issues to config.redirects.file, as
+ * Apache or nginx rules or as JSON or CSV map, and the script adding a back-link note to every migrated Mantis issue
+ * to config.redirects.back_link_file. Every issue created according to the journal is included. Nothing is written in
+ * dry run mode.
+ * @return {Promise<void>}
  */
-function getMilestoneId(TargetVersion) {
-    return config.version_milestones.hasOwnProperty(TargetVersion) ? config.version_milestones[TargetVersion] : '';;
+function writeRedirects()
+{
+    let settings = getRedirectSettings();
+    if (!settings.file && !settings.back_link_file) {
+        return Q();
+    }
+    if (dryRun) {
+        verbose ? log_verbose('DryRun: Skip writing redirects') : null;
+        return Q();
+    }
+
+    let issues = getMigratedIssues();
+    let written = [];
+    if (settings.file) {
+        log_progress('Writing ' + settings.format + ' redirects of ' + issues.length + ' issue(s) to ' + settings.file + '...');
+        written.push(FS.write(__dirname + '/' + settings.file, getRedirectRules(issues, settings.format)));
+    }
+    if (settings.back_link_file) {
+        log_progress('Writing back-link notes of ' + issues.length + ' issue(s) to ' + settings.back_link_file + '...');
+        written.push(FS.write(__dirname + '/' + settings.back_link_file, /\.sql$/i.test(settings.back_link_file)
+            ? getBackLinkSql(issues, settings) : getBackLinkShellScript(issues, settings)));
+    }
+    return Q.all(written);
 }
 
 /**
- * Returns if Mantis issue in "row" is a closed one
- * @param {object} row
- * @return {boolean}
+ * Get config.redirects merged with the defaults; the format defaults to the extension of the file
+ * @return {{file: string, format: string, back_link_file: string, back_link_note: string, readonly_status: int|null, mantis_user: string}}
  */
-function isClosed(row) {
-    return config.closed_statuses[row.Status];
+function getRedirectSettings()
+{
+    let settings = _.extend({
+        file: null,
+        format: null,
+        back_link_file: null,
+        back_link_note: 'Moved to ' + target.title + ': {url}',
+        readonly_status: 90,
+        mantis_user: 'administrator'
+    }, config.redirects);
+    let extension = (/\.(json|csv|nginx)$/i.exec(settings.file || '') || [null, 'apache'])[1].toLowerCase();
+    settings.format = settings.format || extension;
+    return settings;
 }
 
 /**
- * Get specific issue with issueId of given projectId from GitLab issues read/cached before
- * @param {int} projectId
- * @param {int} issueId
- * @return {object}
+ * Get the Mantis id, Mantis URL and URL of the migrated issue of every issue created according to the journal
+ * @return {{mantis_id: int, iid: int, mantis_url: string, url: string}[]}
  */
-function getIssue(projectId, issueId) {
-    return Q(gitLab.gitlabIssues[issueId]);
+function getMigratedIssues()
+{
+    let mantisUrl = (config.mantisUrl || '').replace(/\/$/, '');
+    return _.sortBy(_.compact(_.map(gitLab.journal.issues, function (entry, mantisId) {
+        if (!entry.steps.created || !entry.iid) {
+            return null;
+        }
+        return {
+            mantis_id: Number(mantisId),
+            iid: entry.iid,
+            mantis_url: mantisUrl + '/view.php?id=' + mantisId,
+            url: target.getIssueUrl(entry.iid)
+        };
+    })), 'mantis_id');
 }
 
 /**
- * The actual creation of GitLab issue in "projectId" with "data"
- * @param {int} projectId
- * @param {object} data
- * @return {Promise<Awaited<{dryRun: string, issue: (*|number), action: string}>>|Promise<unknown | void>}
+ * Compose the redirect rules for issues
+ * @param {object[]} issues
+ * @param {string} format apache, nginx, json or csv
+ * @return {string}
  */
-function insertIssue(projectId, data) {
-    let url = gitlabAPIURLBase + '/projects/' + projectId + '/issues';
+function getRedirectRules(issues, format)
+{
+    // Path of view.php on the Mantis server
+    let path = (config.mantisUrl || '').replace(/^[a-z]+:\/\/[^\/]*/i, '').replace(/^\/|\/$/g, '');
+    let viewPath = (path ? path + '/' : '') + 'view.php';
+    let header = "# Redirects of the Mantis issues migrated to " + target.title + " project " + gitlabProjectName
+        + ", written by m2gl " + new Date().toISOString() + "\n";
 
-    if (dryRun) {
-        verbose ? log_verbose('DryRun: Create issue; send POST-request to ' + url) : null;
-        return Promise.resolve({'dryRun': 'yes', 'action': 'INSERT', 'issue': data.iid});
+    switch (format) {
+        case 'apache':
+            return header + "RewriteEngine On\n" + _.map(issues, function (issue) {
+                return "RewriteCond %{QUERY_STRING} (^|&)id=" + issue.mantis_id + "(&|$)\n"
+                    + "RewriteRule ^/?" + viewPath.replace(/[.*+?^$()|[\]\\{}]/g, '\\$&') + "$ " + issue.url + "? [R=301,L]\n";
+            }).join('');
+        case 'nginx':
+            return header + "# The map belongs into the http block, the location into the server block of Mantis\n"
+                + "map $arg_id $mantis_issue_url {\n    default \"\";\n" + _.map(issues, function (issue) {
+                    return "    " + issue.mantis_id + " " + issue.url + ";\n";
+                }).join('') + "}\n\n"
+                + "location = /" + viewPath + " {\n"
+                + "    if ($mantis_issue_url) {\n        return 301 $mantis_issue_url;\n    }\n"
+                + "    return 404;\n}\n";
+        case 'json':
+            return JSON.stringify(_.map(issues, function (issue) {
+                return {mantis_id: issue.mantis_id, from: issue.mantis_url, to: issue.url};
+            }), null, 2);
+        case 'csv':
+            return "mantis_id,from,to\n" + _.map(issues, function (issue) {
+                return [issue.mantis_id, issue.mantis_url, issue.url].join(',') + "\n";
+            }).join('');
+        default:
+            throw new Error('Unknown redirect format: ' + format);
     }
+}
 
-    // Set Sudo to author-user for request if available
-    let Sudo = gitlabSudo;
-    if (data.hasOwnProperty('author') && data.author.hasOwnProperty('gl_username')) {
-        Sudo = data.author.gl_username;
-    }
+/**
+ * Compose the SQL script adding a back-link note to every migrated issue in the Mantis database and setting its
+ * status to settings.readonly_status, which Mantis treats as read-only from bug_readonly_status_threshold on
+ * @param {object[]} issues
+ * @param {object} settings
+ * @return {string}
+ */
+function getBackLinkSql(issues, settings)
+{
+    let tables = _.extend({table_prefix: 'mantis_', table_suffix: '_table'}, config.mysqldump);
+    let table = function (name) {
+        return tables.table_prefix + name + tables.table_suffix;
+    };
+    let quote = function (value) {
+        return "'" + String(value).replace(/\\/g, '\\\\').replace(/'/g, "\\'") + "'";
+    };
 
-    return superagent
-        .post(url)
-        .set({'PRIVATE-TOKEN': gitlabAdminPrivateToken, 'Sudo': Sudo, accept: 'json'})
-        .send(data)
-        .then((result) => {
-            verbose ? log_verbose('Inserted issues') : null;
-            return result.body;
-        })
-        .catch((error) => {
-                if (error) {
-                    if (verbose && error.response) {
-                        console.error(error.response);
-                    }
-                    throw new Error('Failed to insert issue into GitLab: ' + url);
-                }
-            }
-        );
+    return "-- Back-link notes of the Mantis issues migrated to " + target.title + " project " + gitlabProjectName
+        + ", written by m2gl " + new Date().toISOString() + "\n"
+        + "SET @reporter_id = (SELECT id FROM " + table('user') + " WHERE username = " + quote(settings.mantis_user) + ");\n"
+        + "SET @now = UNIX_TIMESTAMP();\n"
+        + _.map(issues, function (issue) {
+            let note = fillTemplate(settings.back_link_note, issue);
+            return "\nINSERT INTO " + table('bugnote_text') + " (note) VALUES (" + quote(note) + ");\n"
+                + "INSERT INTO " + table('bugnote') + " (bug_id, reporter_id, bugnote_text_id, view_state, note_type,"
+                + " date_submitted, last_modified) VALUES (" + issue.mantis_id + ", @reporter_id, LAST_INSERT_ID(), 10, 0, @now, @now);\n"
+                + "UPDATE " + table('bug') + " SET " + (settings.readonly_status ? "status = " + Number(settings.readonly_status) + ", " : "")
+                + "last_updated = @now WHERE id = " + issue.mantis_id + ";\n";
+        }).join('');
 }
 
 /**
- * The actual updating of GitLab issue "issueIid" in "projectId" with "data".
- * Usually this function is not called because a migration runs smoothly on first call (but maybe you want one want a
- * second run)
- * @param {int} projectId
- * @param {int} issueIid
- * @param {object} data
- * @return {Promise<unknown | void>|Promise<Awaited<{dryRun: string, issue, action: string}>>}
+ * Compose the shell script adding a back-link note to every migrated issue through the Mantis REST API and setting
+ * its status to settings.readonly_status. The API token is read from $MANTIS_TOKEN when the script runs.
+ * @param {object[]} issues
+ * @param {object} settings
+ * @return {string}
  */
-function updateIssue(projectId, issueIid, data) {
-    let url = gitlabAPIURLBase + '/projects/' + projectId + '/issues/' + issueIid;
-
-    if (dryRun) {
-        verbose ? log_verbose('DryRun: Update issue; send PUT-request to ' + url) : null;
-        return Promise.resolve({'dryRun': 'yes', 'action': 'UPDATE', 'issue': issueIid});
-    }
+function getBackLinkShellScript(issues, settings)
+{
+    let apiUrl = ((config.mantis_api || {}).url || config.mantisUrl || '').replace(/\/$/, '') + '/api/rest';
+    let quote = function (value) {
+        return "'" + String(value).replace(/'/g, "'\\''") + "'";
+    };
+    let request = function (method, path, data) {
+        return 'curl -sSf -X ' + method + ' -H "Authorization: $MANTIS_TOKEN" -H \'Content-Type: application/json\' '
+            + quote(apiUrl + path) + ' -d ' + quote(JSON.stringify(data)) + " > /dev/null\n";
+    };
 
-    return superagent
-        .put(url)
-        .set({'PRIVATE-TOKEN': gitlabAdminPrivateToken, 'Sudo': gitlabSudo, accept: 'json'})
-        .send(data)
-        .then((result) => {
-            verbose ? log_verbose('Updated issue ' + issueIid) : null;
-            return result.body;
-        })
-        .catch((error) => {
-                if (error) {
-                    throw new Error('Failed to update issue in GitLab: ' + url + " " + JSON.stringify(error));
-                }
-            }
-        );
+    return "#!/bin/sh\n"
+        + "# Back-link notes of the Mantis issues migrated to " + target.title + " project " + gitlabProjectName
+        + ", written by m2gl " + new Date().toISOString() + "\n"
+        + ": \"${MANTIS_TOKEN:?Set MANTIS_TOKEN to a Mantis API token}\"\n"
+        + "set -e\n"
+        + _.map(issues, function (issue) {
+            let note = fillTemplate(settings.back_link_note, issue);
+            return "\n" + request('POST', '/issues/' + issue.mantis_id + '/notes', {text: note, view_state: {name: 'public'}})
+                + (settings.readonly_status ? request('PATCH', '/issues/' + issue.mantis_id, {status: {id: Number(settings.readonly_status)}}) : '');
+        }).join('');
 }
 
 /**
- * Just set GitLab issue to status closed
- * @param {object} issue
- * @return {Promise<Awaited<{dryRun: string, issue: (*|number), action: string}>>|Promise<unknown | void>}
+ * Write the Mantis issues as GitLab project export archive (ndjson format) to exportFile, to be loaded with GitLab's
+ * "Import project" instead of importing them through the API. The issues are assembled like for the import; authors,
+ * assignees and acting users are exported as project members, which GitLab maps to its users by email.
+ * @return {Promise<void>}
  */
-function closeIssue(issue) {
-    let url = gitlabAPIURLBase + '/projects/' + issue.project_id + '/issues/' + issue.iid;
-    let data = {
-        state_event: 'close'
+function writeExportArchive()
+{
+    let members = {};
+    let milestones = getExportMilestones();
+    let uploads = [];
+    let issues = [];
+    let ndjson = function (records) {
+        return _.map(records, function (record) {
+            return JSON.stringify(record) + "\n";
+        }).join('');
     };
 
-    if (dryRun) {
-        log_verbose('DryRun: Close issue; send PUT-request to ' + url);
-        verbose ? log_verbose(data) : null;
-        return Promise.resolve({'dryRun': 'yes', 'action': 'CLOSE', 'issue': issue.iid});
-    }
-
-    return superagent
-        .put(url)
-        .set({'PRIVATE-TOKEN': gitlabAdminPrivateToken, 'Sudo': gitlabSudo, accept: 'json'})
-        .send(data)
-        .then((result) => {
-            verbose ? log_verbose('Closed issue ' + issue.iid) : null;
-            return result.body;
-        })
-        .catch((error) => {
-                if (error) {
-                    throw new Error('Failed to close issue in GitLab: ' + url);
-                }
+    gitLab.skippedAttachments = [];
+    log_progress('Exporting ' + gitLab.mantisIssues.length + ' Mantis issue(s) to ' + exportFile + '...');
+    return _.reduce(gitLab.mantisIssues, function (p, mantisIssue) {
+        return p.then(function () {
+            return exportIssueAttachments(mantisIssue, uploads);
+        }).then(function () {
+            let issue = getExportIssue(mantisIssue, members, milestones);
+            verbose ? log_verbose('#' + mantisIssue.Id + ': ' + issue.notes.length + ' note(s), ' + issue.label_links.length + ' label(s)') : null;
+            issues.push(issue);
+        });
+    }, Q()).then(function () {
+        let labels = _.uniq(_.flatten(_.map(issues, function (issue) {
+            return _.pluck(issue.label_links, 'label');
+        })), 'title');
+        let projectMembers = _.map(members, function (member) {
+            if (!member.email) {
+                console.warn(('No email for GitLab user ' + member.username + ', GitLab attributes their issues and notes to the importing user').yellow);
             }
-        );
+            return {access_level: 30, source_type: 'Project', notification_level: 3, user_id: member.id,
+                user: {id: member.id, username: member.username, public_email: member.email || null}};
+        });
+        let files = [
+            {name: 'VERSION', content: '0.2.4'},
+            {name: 'tree/project.json', content: JSON.stringify({description: 'Issues migrated from Mantis'})},
+            {name: 'tree/project/issues.ndjson', content: ndjson(issues)},
+            {name: 'tree/project/labels.ndjson', content: ndjson(labels)},
+            {name: 'tree/project/milestones.ndjson', content: ndjson(_.uniq(_.values(milestones), 'title'))},
+            {name: 'tree/project/project_members.ndjson', content: ndjson(projectMembers)}
+        ].concat(uploads);
+
+        log_progress('Writing ' + issues.length + ' issue(s), ' + labels.length + ' label(s), ' + projectMembers.length
+            + ' member(s) and ' + uploads.length + ' upload(s) to ' + exportFile + '...');
+        if (dryRun) {
+            verbose ? log_verbose('DryRun: Write archive with ' + _.pluck(files, 'name').join(', ')) : null;
+            return Promise.resolve({'dryRun': 'yes', 'action': 'EXPORT', 'file': exportFile});
+        }
+        return writeTarArchive(exportFile, files);
+    }).then(reportSkippedAttachments);
 }
 
 /**
- * Keep function for any remove jobs to come
- * @deprecated Insertion of "skip issues" to force specific issues-ids not needed anymore, so no more "skip issues" to delete
- * @return {Promise<Awaited<unknown>[]>|Promise<void>}
+ * Assemble the export of mantisIssue: the issue data with its labels, milestone and assignee, the notes, history and
+ * relationships as notes, and the status changes of the history as state events
+ * @param {object} mantisIssue
+ * @param {object} members project members by GitLab username, extended by the users of the issue
+ * @param {object} milestones exported milestones by Mantis version
+ * @return {object}
  */
-function deleteSkippedIssues()
+function getExportIssue(mantisIssue, members, milestones)
 {
-    if (!removeSkipped) {
-        return Promise.resolve();
-    }
+    let data = getIssueData(mantisIssue);
+    let applyEvents = _.extend({apply_events: true}, config.history).apply_events;
+    let updatedAt = mantisIssue.Updated && mantisIssue.Updated !== 'NULL' ? mantisIssue.Updated : data.created_at;
+    let userId = function (username) {
+        return getExportUserId(username, members);
+    };
+    let note = function (body, username, createdAt, internal) {
+        let user = getUserByMantisUsername(username);
+        return {note: body, noteable_type: 'Issue', author_id: userId(username), created_at: createdAt,
+            updated_at: createdAt, system: false, internal: !!internal, author: {name: (user && user.name) || username || 'Unknown'}, events: []};
+    };
 
-    let promises = [];
-    _.forEach(gitLab.gitlabIssues, function (issue) {
-        if (issue.title.indexOf('Skipped Mantis Issue') === 0) {
-            promises.push(deleteIssue(issue.iid));
+    let notes = _.map(getNotes(mantisIssue) || [], function (mantisNote) {
+        return note(mantisNote.body, mantisNote.author, mantisNote.created_at, mantisNote.internal);
+    });
+    let stateEvents = [];
+    let state = 'opened';
+    _.forEach(getHistory(mantisIssue), function (event) {
+        let historyNote = getHistoryNote(mantisIssue, event);
+        historyNote ? notes.push(note(historyNote.body, event.user, event.date, historyNote.internal)) : null;
+        if (applyEvents && event.type === '0' && event.field === 'status' && isClosedStatus(event.new_value) !== (state === 'closed')) {
+            state = isClosedStatus(event.new_value) ? 'closed' : 'opened';
+            stateEvents.push({user_id: userId(event.user), created_at: event.date, state: state === 'closed' ? 'closed' : 'reopened'});
         }
     });
-    return Promise.all(promises).then((values) => { return values;});
+    // The issue ends in the state of its current Mantis status, even if the history is incomplete
+    if (!!isClosed(mantisIssue) !== (state === 'closed')) {
+        stateEvents.push({user_id: userId(null), created_at: updatedAt, state: isClosed(mantisIssue) ? 'closed' : 'reopened'});
+    }
+    _.forEach(getRelationships(mantisIssue), function (relationship) {
+        notes.push(note(getRelationshipNote(relationship), null, updatedAt));
+    });
+
+    let assignee = getUserByMantisUsername(mantisIssue['Assigned To']);
+    let milestone = milestones[mantisIssue['TargetVersion'] || mantisIssue['FixedInVersion']];
+    return {
+        iid: data.iid,
+        title: data.title,
+        description: data.description,
+        state: isClosed(mantisIssue) ? 'closed' : 'opened',
+        created_at: data.created_at,
+        updated_at: updatedAt,
+        closed_at: isClosed(mantisIssue) ? _.last(stateEvents).created_at : null,
+        author_id: userId(mantisIssue['Reporter']),
+        confidential: !!data.confidential,
+        discussion_locked: null,
+        due_date: data.due_date || null,
+        weight: undefined === data.weight ? null : data.weight,
+        milestone: milestone,
+        label_links: _.map(_.compact(data.labels.split(',')), function (label) {
+            let settings = getLabelSettings(label);
+            return {target_type: 'Issue', label: {title: label, color: settings.color, description: settings.description || null, type: 'ProjectLabel'}};
+        }),
+        issue_assignees: assignee && assignee.gl_username && mantisIssue['Assigned To'] ? [{user_id: userId(mantisIssue['Assigned To'])}] : [],
+        notes: _.sortBy(notes, 'created_at'),
+        resource_state_events: stateEvents,
+        events: [],
+        award_emoji: [],
+        timelogs: []
+    };
 }
 
 /**
- *
- * @param {int} issueIid
- * @return {Promise<unknown | void>}
+ * Get the id of the exported project member for the GitLab user Mantis username maps to, adding the member on first use
+ * @param {string} username Mantis username
+ * @param {object} members project members by GitLab username
+ * @return {int|null} null for users without GitLab user, GitLab attributes them to the importing user
  */
-function deleteIssue(issueIid)
+function getExportUserId(username, members)
 {
-    let url = gitlabAPIURLBase + '/projects/' + gitLab.project.id + '/issues/' + issueIid;
-
-    if (dryRun) {
-        verbose ? log_verbose('DryRun: Delete issue; send DELETE-request to ' + url) : null;
-        return Promise.resolve({'dryRun': 'yes', 'action': 'DELETE', 'issue': issueIid});
+    let user = getUserByMantisUsername(username);
+    if (!user || !user.gl_username) {
+        return null;
     }
 
-    return superagent
-        .delete(url)
-        .set({'PRIVATE-TOKEN': gitlabAdminPrivateToken, 'Sudo': gitlabSudo, accept: 'json'})
-        .then((result) => {
-            verbose ? log_verbose('Removed issue ' + issueIid) : null;
-            return result.body;
-        })
-        .catch((error) => {
-                if (error) {
-                    throw new Error('Failed to remove issue in GitLab: ' + url);
-                }
-            }
-        );
+    let member = members[user.gl_username] = members[user.gl_username] || {id: _.size(members) + 1, username: user.gl_username};
+    member.email = member.email || user.email || (username && gitLab.mantisUsers[username] || {}).email || null;
+    return member.id;
 }
 
 /**
- * @param {int} issueIid
- * @param {boolean} onlyMantisNotes (optional) defaults to TRUE; only remove notes from Mantis migration (=notes
- *                                  starting with "_via Mantis:_")
- * @return {Promise<unknown | {func: string, error: *}>}
+ * Get the milestones of the export: one for every target and fixed-in version, titled like config.version_milestones
+ * or the version, closed for released and obsolete versions
+ * @return {object} milestones by Mantis version
  */
-function deleteAllIssueNotes(issueIid, onlyMantisNotes)
+function getExportMilestones()
 {
-    onlyMantisNotes = 'undefined' !== typeof onlyMantisNotes && onlyMantisNotes;
-    let url = gitlabAPIURLBase + '/projects/' + gitLab.project.id + '/issues/' + issueIid + '/notes';
+    let versions = _.uniq(_.filter(_.flatten(_.map(gitLab.mantisIssues, function (row) {
+        return [row.TargetVersion, row.FixedInVersion];
+    })), function (version) {
+        return version && version !== 'NULL';
+    })).sort();
+    let titles = {};
 
-    verbose ? log_verbose('Remove notes from issue ' + issueIid + ', with onlyMantisNotes='+onlyMantisNotes+'...') : log_progress('Remove notes from issue ' + issueIid + '...');
-    if (dryRun) {
-        verbose ? log_verbose('DryRun: Read notes to issue ' + issueIid + '; send GET-request to ' + url) : null;
-    }
-
-    return superagent
-        .get(url)
-        .set({'PRIVATE-TOKEN': gitlabAdminPrivateToken, 'Sudo': gitlabSudo, accept: 'json'})
-        .then((result) => {
-            _.forEach(result.body, function (note) {
-                if (!onlyMantisNotes || (onlyMantisNotes && note.body.indexOf('_via Mantis:_') === 0)) {
-                    return deleteIssueNote(issueIid, note.id);
-                }
-            });
-        })
-        .catch((error) => {
-            verbose ? log_verbose('Cannot get list of notes from gitlab: ' + url + ' (error code: ' + error.status + ')') : null;
-            return {'error': error, 'func': 'deleteAllIssueNotes'};
-        });
+    return _.zipObject(versions, _.map(versions, function (version) {
+        let mantisVersion = gitLab.mantisVersions[version] || {};
+        let title = config.version_milestones[version];
+        if ('number' === typeof title) {
+            console.warn(('Milestone id ' + title + ' of version ' + version + ' cannot be exported, using the version as title').yellow);
+        }
+        title = 'string' === typeof title ? title : version;
+        titles[title] = titles[title] || {
+            iid: _.size(titles) + 1,
+            title: title,
+            description: mantisVersion.description && mantisVersion.description !== 'NULL' ? mantisVersion.description : null,
+            // Mantis stores 1 (1970-01-01) as date of versions without date
+            due_date: mantisVersion.date && mantisVersion.date > '1970-01-02' ? mantisVersion.date.substr(0, 10) : null,
+            state: isTrue(mantisVersion.released) || isTrue(mantisVersion.obsolete) ? 'closed' : 'active'
+        };
+        return titles[title];
+    }));
 }
 
 /**
- * Remove single note from issueIid
- * @param {int} issueIid
- * @param {int} noteId
- * @return {Promise<unknown | boolean>|Promise<Awaited<{note, dryRun: string, issue, action: string}>>}
+ * Add the files attached to mantisIssue to the uploads of the archive, skipping missing files and files exceeding
+ * the size limit - assigns mantisIssue.attachments
+ * @param {object} mantisIssue
+ * @param {{name: string, content: Buffer|undefined, path: string|undefined, size: int}[]} uploads files of the
+ *        archive, files on disk are read when the archive is written
+ * @return {Promise<object[]>} the exported attachments with their Markdown link
  */
-function deleteIssueNote(issueIid, noteId)
+function exportIssueAttachments(mantisIssue, uploads)
 {
-    let url = gitlabAPIURLBase + '/projects/' + gitLab.project.id + '/issues/' + issueIid + '/notes/' + noteId;
-    if (dryRun) {
-        verbose ? log_verbose('DryRun: Delete note ' + noteId + ' of issue ' + issueIid + '; send DELETE-request to ' + url) : null;
-        return Promise.resolve({'dryRun': 'yes', 'action': 'DELETE', 'issue': issueIid, 'note': noteId});
+    let maxSize = (config.attachments || {}).max_size || 10 * 1024 * 1024;
+    if (!attachmentsDir && !_.some(getAttachments(mantisIssue), 'content')) {
+        return Q(mantisIssue.attachments = []);
     }
 
-    return superagent
-        .delete(url)
-        .set({'PRIVATE-TOKEN': gitlabAdminPrivateToken, 'Sudo': gitlabSudo, accept: 'json'})
-        .then((result) => {
-            verbose ? log_verbose('Removed note ' + issueIid + '/' + noteId) : null;
-            return result.status;
-        })
-        .catch((error) => {
-                if (403 === error.status) {
-                    // verbose ? log_verbose('Deleting note ' + issueIid + '/' + noteId + ' forbidden') : null;
-                    return false;
-                }
-                if (error) {
-                    throw new Error('Failed to remove note of issue in GitLab: ' + url);
+    return findAttachmentFiles(mantisIssue).then(function (attachments) {
+        return _.reduce(attachments, function (p, attachment) {
+            return p.then(function (exported) {
+                if (!attachment.path && !attachment.content) {
+                    skipAttachment(mantisIssue.Id, attachment, 'file not found');
+                    return exported;
                 }
-            }
-        );
+                let size = attachment.content ? Q(attachment.content.length) : FS.stat(attachment.path).then(function (stat) {
+                    return stat.size;
+                });
+                return size.then(function (size) {
+                    if (size > maxSize) {
+                        skipAttachment(mantisIssue.Id, attachment, 'file size ' + size + ' exceeds limit of ' + maxSize);
+                        return exported;
+                    }
+                    // GitLab keeps uploads in directories named by a secret, links are relative to the project
+                    let secret = crypto.createHash('md5').update(mantisIssue.Id + ':' + (attachment.mantis_id || attachment.filename)).digest('hex');
+                    let filename = attachment.filename.replace(/[^\w.-]+/g, '_').slice(-100);
+                    attachment.url = '/uploads/' + secret + '/' + filename;
+                    attachment.markdown = (/\.(png|jpe?g|gif|bmp|svg|webp)$/i.test(filename) ? '!' : '')
+                        + '[' + attachment.filename + '](' + attachment.url + ')';
+                    uploads.push(_.extend({name: 'uploads/' + secret + '/' + filename, size: size},
+                        attachment.content ? {content: attachment.content} : {path: attachment.path}));
+                    return exported.concat(attachment);
+                });
+            });
+        }, Q([]));
+    }).then(function (exported) {
+        return mantisIssue.attachments = exported;
+    });
 }
 
 /**
- * Refresh notes on issue (remove and add). Remove [All|Only the previous from Mantis imported (default)] notes
- * before attaching notes of given mantisIssue.
- * @param {int} issueId
- * @param {object} mantisIssue
+ * Write files as gzip compressed tar archive (ustar format) to file. The archive is compressed while it is written,
+ * files given by path are read from disk one at a time.
+ * @param {string} file
+ * @param {{name: string, content: Buffer|string|undefined, path: string|undefined, size: int|undefined}[]} files
+ * @return {Promise<void>}
  */
-function replaceIssueNotes(issueId, mantisIssue)
+function writeTarArchive(file, files)
 {
-    return deleteAllIssueNotes(issueId, true).then((result) => {
-        let mantisNotes = getNotes(mantisIssue);
-        let promises = [];
-        if (mantisNotes && mantisNotes.length) {
-            verbose ? log_verbose('Add ' + mantisNotes.length + ' note(s) to issue ' + issueId) : log_progress('Add ' + getNotes(mantisIssue).length + ' note(s) to issue ' + issueId);
-            _.forEach(mantisNotes, function (row) {
-                _.extend({author: getUserByMantisUsername(row.author)}, row);
-                promises.push(addNote(issueId, row));
-            });
-            return Promise.all(promises).then((values) => {
-                return values;
-            });
-        }
+    let mtime = Math.floor(Date.now() / 1000);
+    let gzip = zlib.createGzip();
+    let output = fs.createWriteStream(file);
+    let written = Q.defer();
+    let write = function (chunk) {
+        let drained = Q.defer();
+        gzip.write(chunk) ? drained.resolve() : gzip.once('drain', drained.resolve);
+        return drained.promise;
+    };
+    let copy = function (path) {
+        let copied = Q.defer();
+        let input = fs.createReadStream(path);
+        input.on('error', copied.reject);
+        input.on('end', copied.resolve);
+        input.pipe(gzip, {end: false});
+        return copied.promise;
+    };
 
-        return Promise.resolve({result: 'no notes to migrate'});
+    gzip.on('error', written.reject);
+    output.on('error', written.reject);
+    output.on('finish', written.resolve);
+    gzip.pipe(output);
+
+    _.reduce(files, function (p, file) {
+        return p.then(function () {
+            let content = file.path ? null : Buffer.isBuffer(file.content) ? file.content : Buffer.from(file.content, 'utf8');
+            let size = content ? content.length : file.size;
+            return write(getTarHeader(file.name, size, mtime)).then(function () {
+                return content ? write(content) : copy(file.path);
+            }).then(function () {
+                return write(Buffer.alloc((512 - size % 512) % 512));
+            });
+        });
+    }, Q()).then(function () {
+        gzip.end(Buffer.alloc(1024));
+    }, function (error) {
+        gzip.destroy();
+        output.destroy();
+        written.reject(error);
     });
+
+    return written.promise;
 }
 
 /**
- * Attach note to issueIid
- * @param {int} issueIid
- * @param {object} noteData
- * @return {Promise<unknown | void>|Promise<Awaited<{dryRun: string, issue, action: string}>>}
+ * Compose the tar header (ustar format) of a file
+ * @param {string} name
+ * @param {int} size
+ * @param {int} mtime seconds since 1970
+ * @return {Buffer}
  */
-function addNote(issueIid, noteData)
+function getTarHeader(name, size, mtime)
 {
-    let url = gitlabAPIURLBase + '/projects/' + gitLab.project.id + '/issues/' + issueIid + '/notes';
-    if (dryRun) {
-        verbose ? log_verbose('DryRun: Add note to issue ' + issueIid + '; send POST-request to ' + url) : null;
-        verbose ? log_verbose(noteData) : null;
-        return Promise.resolve({'dryRun': 'yes', 'action': 'POST', 'issue': issueIid});
-    }
+    let header = Buffer.alloc(512);
+    let prefix = '';
+    let octal = function (value, length) {
+        return _.padLeft(value.toString(8), length - 1, '0') + '\0';
+    };
 
-    // Set Sudo to author-user for request if available
-    let Sudo = gitlabSudo;
-    if (noteData.hasOwnProperty('author')) {
-        Sudo = noteData.author;
+    // Longer names are split at a slash into prefix and name
+    if (name.length > 100) {
+        let index = _.find(_.range(name.length - 101, Math.min(name.length, 156)), function (index) {
+            return name[index] === '/';
+        });
+        if (undefined === index) {
+            throw new Error('File name too long for archive: ' + name);
+        }
+        prefix = name.substr(0, index);
+        name = name.substr(index + 1);
     }
 
-    return superagent
-        .post(url)
-        .set({'PRIVATE-TOKEN': gitlabAdminPrivateToken, 'Sudo': Sudo, accept: 'json'})
-        .send(noteData)
-        .then((result) => {
-            verbose ? log_verbose('Inserted note to issue '+ issueIid + '/' + result.body.id) : null;
-            return result.body;
-        })
-        .catch((error) => {
-                if (error) {
-                    if (verbose && error.response) {
-                        console.error(error.response);
-                    }
-                    throw new Error('Failed to insert note to issue into GitLab: ' + url);
-                }
-            }
-        );
-}
+    header.write(name, 0, 100);
+    header.write(octal(420, 8), 100);
+    header.write(octal(0, 8), 108);
+    header.write(octal(0, 8), 116);
+    header.write(octal(size, 12), 124);
+    header.write(octal(mtime, 12), 136);
+    header.write('        ', 148);
+    header.write('0', 156);
+    header.write('ustar\u000000', 257);
+    header.write(prefix, 345, 155);
 
+    let checksum = _.reduce(header, function (sum, byte) {
+        return sum + byte;
+    }, 0);
+    header.write(_.padLeft(checksum.toString(8), 6, '0') + '\0 ', 148);
+    return header;
+}
 
 function log_progress(message) {
     if (dryRun) message = 'DRYRUN: ' + message;
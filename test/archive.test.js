@@ -0,0 +1,62 @@
+/**
+ * Write a GitLab project export archive (--export) with files of different sizes and long names and read it back,
+ * with the tar reader of the tests and with the tar command.
+ * Run with "npm test".
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const childProcess = require('child_process');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const helpers = require('./helpers');
+
+test('export archive holds the attachments read from disk, of any size and with long names', function (t) {
+    let work = helpers.createWorkDir();
+    let longName = 'long-' + 'x'.repeat(110) + '.txt';
+    let contents = {
+        'empty.txt': Buffer.alloc(0),
+        'block.bin': crypto.randomBytes(512),
+        // Larger than the buffers of the streams, so writing waits for them to drain
+        'large.bin': crypto.randomBytes(300000)
+    };
+    contents[longName] = Buffer.from('long');
+
+    fs.mkdirSync(path.join(work.dir, 'attachments', '1'), {recursive: true});
+    Object.keys(contents).forEach(function (name) {
+        fs.writeFileSync(path.join(work.dir, 'attachments', '1', name), contents[name]);
+    });
+    let rows = [{
+        Id: 1, Summary: 'Issue 1', Category: 'General', Status: 'new', Created: '2020-01-01 10:00',
+        Updated: '2020-01-01 10:00', Reporter: 'bob', Description: 'Description 1'
+    }];
+    let input = ['-i', helpers.writeCsv(work, 'issues.csv', rows), '-a', work.file('attachments'), '-E', work.file('export.tar.gz')];
+
+    return helpers.runM2gl(['-c', 'test/fixtures/config.json', '-j', work.file('journal.jsonl')].concat(input)).then(function (result) {
+        assert.equal(result.code, 0, result.output);
+        let archive = fs.readFileSync(path.join(work.dir, 'export.tar.gz'));
+        let files = helpers.readTarArchive(zlib.gunzipSync(archive));
+        let uploads = {};
+        Object.keys(files).filter(function (name) {
+            return name.indexOf('uploads/') === 0;
+        }).forEach(function (name) {
+            uploads[path.basename(name)] = files[name];
+        });
+
+        // Names are cut to their last 100 characters, the directory goes into the prefix of the header
+        assert.deepEqual(Object.keys(uploads).sort(), [longName.slice(-100), 'block.bin', 'empty.txt', 'large.bin'].sort());
+        assert.deepEqual(uploads[longName.slice(-100)], contents[longName]);
+        ['empty.txt', 'block.bin', 'large.bin'].forEach(function (name) {
+            assert.deepEqual(uploads[name], contents[name], name);
+        });
+        assert.ok(files['tree/project/issues.ndjson'].length > 0);
+
+        let tar = childProcess.spawnSync('tar', ['-tzf', path.join(work.dir, 'export.tar.gz')], {encoding: 'utf8'});
+        if (tar.error) {
+            return t.skip('tar command not available');
+        }
+        assert.equal(tar.status, 0, tar.stderr);
+        assert.deepEqual(tar.stdout.trim().split("\n").sort(), Object.keys(files).sort());
+    }).finally(work.remove);
+});
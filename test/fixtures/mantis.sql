@@ -0,0 +1,83 @@
+-- MySQL dump 10.13  Distrib 8.0, for Linux (x86_64)
+/*!40101 SET NAMES utf8mb4 */;
+DROP TABLE IF EXISTS `mantis_bug_table`;
+CREATE TABLE `mantis_bug_table` (
+  `id` int(10) unsigned NOT NULL AUTO_INCREMENT,
+  `project_id` int(10) unsigned NOT NULL DEFAULT '0',
+  `reporter_id` int(10) unsigned NOT NULL DEFAULT '0',
+  `handler_id` int(10) unsigned NOT NULL DEFAULT '0',
+  `priority` smallint(6) NOT NULL DEFAULT '30',
+  `severity` smallint(6) NOT NULL DEFAULT '50',
+  `status` smallint(6) NOT NULL DEFAULT '10',
+  `bug_text_id` int(10) unsigned NOT NULL DEFAULT '0',
+  `summary` varchar(128) NOT NULL DEFAULT '',
+  `target_version` varchar(64) NOT NULL DEFAULT '',
+  `category_id` int(10) unsigned NOT NULL DEFAULT '1',
+  `date_submitted` int(10) unsigned NOT NULL DEFAULT '1',
+  `last_updated` int(10) unsigned NOT NULL DEFAULT '1',
+  PRIMARY KEY (`id`)
+) ENGINE=InnoDB;
+INSERT INTO `mantis_bug_table` VALUES (3,1,1,2,40,60,90,3,'Fïrst bug; with \'quotes\'','1.0',1,1577872800,1577959200),(4,1,2,0,20,50,10,4,'Second),(bug','',2,1578045600,1578045600),(9,2,1,0,20,50,10,9,'Other project','',1,1578045600,1578045600);
+CREATE TABLE `mantis_bug_text_table` (
+  `id` int(10) unsigned NOT NULL AUTO_INCREMENT,
+  `description` longtext NOT NULL,
+  `steps_to_reproduce` longtext NOT NULL,
+  `additional_information` longtext NOT NULL,
+  PRIMARY KEY (`id`)
+);
+INSERT INTO `mantis_bug_text_table` VALUES (3,'Desc line1\nline2 $$$$ not a separator','',''),(4,'Second','',''),(9,'x','','');
+CREATE TABLE `mantis_config_table` (
+  `config_id` varchar(64) NOT NULL,
+  `value` longtext NOT NULL
+);
+INSERT INTO `mantis_config_table` VALUES ('not read','(1,2)');
+CREATE TABLE `mantis_bugnote_table` (
+  `id` int(10) unsigned NOT NULL AUTO_INCREMENT,
+  `bug_id` int(10) unsigned NOT NULL DEFAULT '0',
+  `reporter_id` int(10) unsigned NOT NULL DEFAULT '0',
+  `bugnote_text_id` int(10) unsigned NOT NULL DEFAULT '0',
+  `view_state` smallint(6) NOT NULL DEFAULT '10',
+  `date_submitted` int(10) unsigned NOT NULL DEFAULT '1',
+  `last_modified` int(10) unsigned NOT NULL DEFAULT '1'
+);
+INSERT INTO `mantis_bugnote_table` (`id`, `bug_id`, `reporter_id`, `bugnote_text_id`, `view_state`, `date_submitted`, `last_modified`) VALUES (55,3,2,55,10,1577876400,1577876400),(56,3,1,56,10,1577880000,1577880000);
+CREATE TABLE `mantis_bugnote_text_table` (
+  `id` int(10) unsigned NOT NULL AUTO_INCREMENT,
+  `note` longtext NOT NULL
+);
+INSERT INTO `mantis_bugnote_text_table` VALUES (55,'note with ][ and $$$$'),(56,'second note');
+CREATE TABLE `mantis_user_table` (
+  `id` int(10) unsigned NOT NULL AUTO_INCREMENT,
+  `username` varchar(191) NOT NULL DEFAULT '',
+  `realname` varchar(191) NOT NULL DEFAULT '',
+  `email` varchar(191) NOT NULL DEFAULT ''
+);
+INSERT INTO `mantis_user_table` VALUES (1,'bob','Bob','bob@example.com'),(2,'alice','Alice','alice@example.com');
+CREATE TABLE `mantis_category_table` (
+  `id` int(10) unsigned NOT NULL AUTO_INCREMENT,
+  `project_id` int(10) unsigned NOT NULL DEFAULT '0',
+  `name` varchar(128) NOT NULL DEFAULT ''
+);
+INSERT INTO `mantis_category_table` VALUES (1,0,'General'),(2,1,'UI');
+CREATE TABLE `mantis_project_table` (
+  `id` int(10) unsigned NOT NULL AUTO_INCREMENT,
+  `name` varchar(128) NOT NULL DEFAULT ''
+);
+INSERT INTO `mantis_project_table` VALUES (1,'Main'),(2,'Other');
+CREATE TABLE `mantis_bug_relationship_table` (
+  `id` int(10) unsigned NOT NULL AUTO_INCREMENT,
+  `source_bug_id` int(10) unsigned NOT NULL DEFAULT '0',
+  `destination_bug_id` int(10) unsigned NOT NULL DEFAULT '0',
+  `relationship_type` smallint(6) NOT NULL DEFAULT '0'
+);
+INSERT INTO `mantis_bug_relationship_table` VALUES (1,3,4,1);
+CREATE TABLE `mantis_bug_file_table` (
+  `id` int(10) unsigned NOT NULL AUTO_INCREMENT,
+  `bug_id` int(10) unsigned NOT NULL DEFAULT '0',
+  `diskfile` varchar(250) NOT NULL DEFAULT '',
+  `filename` varchar(250) NOT NULL DEFAULT '',
+  `filesize` int(11) NOT NULL DEFAULT '0',
+  `content` longblob,
+  `bugnote_id` int(10) unsigned DEFAULT '0'
+);
+INSERT INTO `mantis_bug_file_table` VALUES (7,3,'abc123','log.txt',5,_binary 'hello',0),(8,3,'def456','img.bin',3,0x00FF10,56),(10,4,'ghi789','hex.bin',2,_binary 0xCAFE,0);
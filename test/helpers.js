@@ -0,0 +1,594 @@
+/**
+ * Helpers of the tests: run m2gl as command, read its export archive and serve a GitLab API stub
+ */
+const assert = require('node:assert/strict');
+const childProcess = require('child_process');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+
+const root = path.join(__dirname, '..');
+const fixtures = path.join(__dirname, 'fixtures');
+
+/**
+ * Run m2gl with args; file arguments are relative to the m2gl directory like in the command line
+ * @param {string[]} args
+ * @return {Promise<{code: int, output: string}>}
+ */
+function runM2gl(args)
+{
+    return new Promise(function (resolve) {
+        childProcess.execFile(process.execPath, [path.join(root, 'm2gl.js')].concat(args), {cwd: root, timeout: 60000},
+            function (error, stdout, stderr) {
+                resolve({code: error ? error.code || 1 : 0, output: stdout + stderr});
+            });
+    });
+}
+
+/**
+ * Create a temporary directory for the files of a test
+ * @return {{dir: string, file: function(string): string, write: function(string, *): string, read: function(string): string, remove: function()}}
+ *         file returns the path of a file of the directory as m2gl argument, write writes a file (objects as JSON)
+ *         and returns it as m2gl argument
+ */
+function createWorkDir()
+{
+    let dir = fs.mkdtempSync(path.join(os.tmpdir(), 'm2gl-test-'));
+    let file = function (name) {
+        return path.relative(root, path.join(dir, name));
+    };
+
+    return {
+        dir: dir,
+        file: file,
+        write: function (name, content) {
+            fs.writeFileSync(path.join(dir, name), 'string' === typeof content || Buffer.isBuffer(content)
+                ? content : JSON.stringify(content, null, 2));
+            return file(name);
+        },
+        read: function (name) {
+            return fs.readFileSync(path.join(dir, name), 'utf8');
+        },
+        remove: function () {
+            fs.rmSync(dir, {recursive: true, force: true});
+        }
+    };
+}
+
+/**
+ * Read the entries of a journal file
+ * @param {string} content
+ * @return {object[]}
+ */
+function parseJournal(content)
+{
+    return content.split("\n").filter(Boolean).map(function (line) {
+        return JSON.parse(line);
+    });
+}
+
+/**
+ * Export the issues read from input with config to an archive and read it back
+ * @param {string[]} input arguments selecting the input, e.g. ['-i', 'test/fixtures/mantis.sql']
+ * @param {object} config
+ * @return {Promise<{issues: object[], files: object, output: string}>} the exported issues, the content of every
+ *         archive file by name and the output of m2gl
+ */
+function exportIssues(input, config)
+{
+    let work = createWorkDir();
+    let configFile = work.write('config.json', config);
+
+    return runM2gl(['-c', configFile, '-E', work.file('export.tar.gz'), '-j', work.file('journal.jsonl')].concat(input)).then(function (result) {
+        assert.equal(result.code, 0, result.output);
+        let files = readTarArchive(zlib.gunzipSync(fs.readFileSync(path.join(work.dir, 'export.tar.gz'))));
+        return {
+            issues: files['tree/project/issues.ndjson'].toString('utf8').trim().split("\n").map(function (line) {
+                return JSON.parse(line);
+            }),
+            files: files,
+            output: result.output
+        };
+    }).finally(work.remove);
+}
+
+/**
+ * Unpack a tar archive (ustar format)
+ * @param {Buffer} data
+ * @return {object} file contents by name
+ */
+function readTarArchive(data)
+{
+    let files = {};
+    let text = function (start, length) {
+        return data.toString('utf8', start, start + length).replace(/\0.*$/, '');
+    };
+
+    for (let offset = 0; offset + 512 <= data.length && data[offset]; ) {
+        let prefix = text(offset + 345, 155);
+        let name = (prefix ? prefix + '/' : '') + text(offset, 100);
+        let size = parseInt(text(offset + 124, 12), 8);
+        files[name] = data.subarray(offset + 512, offset + 512 + size);
+        offset += 512 + Math.ceil(size / 512) * 512;
+    }
+    return files;
+}
+
+/**
+ * Get the content of the uploaded file linked as filename in Markdown text
+ * @param {object} files archive files by name
+ * @param {string} markdown
+ * @param {string} filename
+ * @return {Buffer|undefined}
+ */
+function getUpload(files, markdown, filename)
+{
+    let link = markdown.match(new RegExp('\\]\\(/(uploads/[^)]+/' + filename.replace('.', '\\.') + ')\\)'));
+    return link ? files[link[1]] : undefined;
+}
+
+/**
+ * Read the config file of the fixtures
+ * @return {object}
+ */
+function readConfig()
+{
+    return JSON.parse(fs.readFileSync(path.join(fixtures, 'config.json'), 'utf8'));
+}
+
+/**
+ * Write a CSV file of Mantis issues
+ * @param {object} work see createWorkDir
+ * @param {string} name
+ * @param {object[]} rows with the same columns each
+ * @return {string} the file as m2gl argument
+ */
+function writeCsv(work, name, rows)
+{
+    let quote = function (value) {
+        value = null === value || undefined === value ? '' : String(value);
+        return /[",\n]/.test(value) ? '"' + value.replace(/"/g, '""') + '"' : value;
+    };
+    let columns = Object.keys(rows[0]);
+    return work.write(name, [columns.join(',')].concat(rows.map(function (row) {
+        return columns.map(function (column) {
+            return quote(row[column]);
+        }).join(',');
+    })).join("\n") + "\n");
+}
+
+/**
+ * Get the arguments to migrate into the GitLab stub with config, keeping config, journal and upload cache in the work
+ * directory
+ * @param {object} gitLab see startGitLab
+ * @param {object} work see createWorkDir
+ * @param {object} config
+ * @return {string[]}
+ */
+function getImportArgs(gitLab, work, config)
+{
+    config = Object.assign({}, config, {attachments: Object.assign({cache_file: work.file('uploads.json')}, config.attachments)});
+    return ['-c', work.write('config.json', config), '-j', work.file('journal.jsonl')].concat(gitLab.args);
+}
+
+/**
+ * Serve the Mantis REST API of project "Main" (id 1) with issues (as returned by GET /api/rest/issues) and token
+ * "secret"; issue 1 has the file a.txt
+ * @param {object[]} issues
+ * @return {Promise<{url: string, requests: string[], close: function()}>}
+ */
+function startMantis(issues)
+{
+    let requests = [];
+    let server = http.createServer(function (request, response) {
+        let url = new URL(request.url, 'http://localhost');
+        let send = function (status, body) {
+            response.writeHead(status, {'content-type': 'application/json'});
+            response.end(JSON.stringify(body));
+        };
+        requests.push(url.pathname + url.search);
+
+        if (request.headers.authorization !== 'secret') {
+            return send(401, {message: 'API token not found'});
+        }
+        if (url.pathname === '/api/rest/projects') {
+            return send(200, {projects: [{id: 1, name: 'Main', versions: []}]});
+        }
+        if (url.pathname === '/api/rest/issues') {
+            let size = Number(url.searchParams.get('page_size'));
+            let page = Number(url.searchParams.get('page'));
+            return send(200, {issues: issues.slice((page - 1) * size, page * size)});
+        }
+        if (url.pathname === '/api/rest/issues/1/files') {
+            return send(200, {files: [{id: 20, filename: 'a.txt', content: Buffer.from('abc').toString('base64')}]});
+        }
+        send(404, {});
+    });
+
+    return new Promise(function (resolve) {
+        server.listen(0, '127.0.0.1', resolve);
+    }).then(function () {
+        return {
+            url: 'http://127.0.0.1:' + server.address().port,
+            requests: requests,
+            close: function () {
+                server.close();
+            }
+        };
+    });
+}
+
+/**
+ * Serve the parts of the GitLab API m2gl uses for project "corp/proj" (id 7) with the members bob and alice. The
+ * state can be changed by the test; options.fail may return a status to answer a request with instead (see
+ * startServer), options.clock is the time in ms the clock of the stub is ahead.
+ * @param {{fail: function(object): int|object|null, clock: int}} options
+ * @return {Promise<{url: string, args: string[], state: object, requests: object[], close: function()}>}
+ */
+function startGitLab(options)
+{
+    options = options || {};
+    let state = {
+        project: {id: 7, path_with_namespace: 'corp/proj', path: 'proj', name: 'proj', web_url: 'http://gitlab.example.com/corp/proj'},
+        members: [
+            {id: 1, username: 'bob', name: 'Bob', email: 'bob@example.com', state: 'active'},
+            {id: 2, username: 'alice', name: 'Alice', email: 'alice@example.com', state: 'active'}
+        ],
+        milestones: [],
+        labels: [],
+        issues: [],
+        notes: {},
+        links: {},
+        uploads: [],
+        files: {},
+        ids: 100
+    };
+    let requests = [];
+    let now = function () {
+        return new Date(Date.now() + (options.clock || 0)).toISOString();
+    };
+    let issueOf = function (iid) {
+        return state.issues.find(function (issue) {
+            return issue.iid === Number(iid);
+        });
+    };
+    let withRelations = function (issue) {
+        issue.assignee = state.members.find(function (member) {
+            return member.id === Number(issue.assignee_id);
+        }) || null;
+        issue.milestone = state.milestones.find(function (milestone) {
+            return milestone.id === Number(issue.milestone_id);
+        }) || null;
+        return issue;
+    };
+
+    let handle = function (request, data, send, page) {
+        let url = new URL(request.url, 'http://localhost');
+        let route = url.pathname.replace(/^\/api\/v4\/projects\/(7|corp%2Fproj)/, '/project');
+        let method = request.method;
+        let match;
+
+        if (route === '/project') {
+            return send(200, state.project);
+        }
+        if (route === '/project/members/all') {
+            return page(state.members);
+        }
+        if (route === '/users') {
+            return page(state.members.filter(function (member) {
+                let search = url.searchParams.get('username') || url.searchParams.get('search') || '';
+                return member.username === search || member.email === search;
+            }));
+        }
+        if (route === '/project/milestones') {
+            if (method === 'GET') {
+                return page(state.milestones);
+            }
+            let milestone = Object.assign({id: ++state.ids, iid: state.milestones.length + 1, state: 'active'}, data);
+            state.milestones.push(milestone);
+            return send(201, milestone);
+        }
+        if ((match = route.match(/^\/project\/milestones\/(\d+)$/))) {
+            let milestone = state.milestones.find(function (milestone) {
+                return milestone.id === Number(match[1]);
+            });
+            if (method === 'DELETE') {
+                state.milestones.splice(state.milestones.indexOf(milestone), 1);
+                return send(204, {});
+            }
+            data.state_event === 'close' ? milestone.state = 'closed' : null;
+            return send(200, milestone);
+        }
+        if (route === '/project/labels') {
+            if (method === 'GET') {
+                return page(state.labels);
+            }
+            let label = Object.assign({id: ++state.ids}, data);
+            state.labels.push(label);
+            return send(201, label);
+        }
+        if ((match = route.match(/^\/project\/labels\/(.+)$/))) {
+            state.labels = state.labels.filter(function (label) {
+                return label.name !== decodeURIComponent(match[1]) && String(label.id) !== match[1];
+            });
+            return send(204, {});
+        }
+        if (route === '/project/uploads') {
+            let name = 'file' + (state.uploads.length + 1);
+            state.uploads.push(name);
+            state.files[name] = data.multipart;
+            return send(201, {alt: name, url: '/uploads/secret/' + name, markdown: '[' + name + '](/uploads/secret/' + name + ')'});
+        }
+        if (route.indexOf('/project/uploads/') === 0) {
+            return send(204, {});
+        }
+        if (route === '/project/issues') {
+            if (method === 'GET') {
+                return page(state.issues);
+            }
+            let iid = data.iid ? Number(data.iid) : state.issues.reduce(function (max, issue) {
+                return Math.max(max, issue.iid);
+            }, 0) + 1;
+            let issue = Object.assign({}, data, {
+                id: ++state.ids, iid: iid, project_id: 7, state: 'opened', author: {username: request.headers.sudo},
+                labels: data.labels ? String(data.labels).split(',').filter(Boolean) : [], user_notes_count: 0,
+                web_url: 'http://gitlab.example.com/corp/proj/-/issues/' + iid, updated_at: now()
+            });
+            state.issues.push(withRelations(issue));
+            return send(201, issue);
+        }
+        if ((match = route.match(/^\/project\/issues\/(\d+)\/links$/))) {
+            let links = state.links[match[1]] = state.links[match[1]] || [];
+            if (method === 'GET') {
+                return send(200, links);
+            }
+            let target = issueOf(data.target_issue_iid);
+            links.push(Object.assign({}, target, {issue_link_id: ++state.ids, link_type: data.link_type}));
+            return send(201, {source_issue: issueOf(match[1]), target_issue: target, link_type: data.link_type});
+        }
+        if ((match = route.match(/^\/project\/issues\/(\d+)\/notes$/))) {
+            let notes = state.notes[match[1]] = state.notes[match[1]] || [];
+            if (method === 'GET') {
+                return page(notes);
+            }
+            let note = Object.assign({id: ++state.ids, author: {username: request.headers.sudo}, system: false}, data);
+            notes.push(note);
+            issueOf(match[1]) ? issueOf(match[1]).updated_at = now() : null;
+            return send(201, note);
+        }
+        if ((match = route.match(/^\/project\/issues\/(\d+)\/notes\/(\d+)$/))) {
+            let notes = state.notes[match[1]] || [];
+            let note = notes.find(function (note) {
+                return note.id === Number(match[2]);
+            });
+            if (!note) {
+                return send(404, {message: '404 Not found'});
+            }
+            if (method === 'DELETE') {
+                notes.splice(notes.indexOf(note), 1);
+                return send(204, {});
+            }
+            note.body = data.body;
+            return send(200, note);
+        }
+        if ((match = route.match(/^\/project\/issues\/(\d+)$/))) {
+            let issue = issueOf(match[1]);
+            if (!issue) {
+                return send(404, {message: '404 Issue Not Found'});
+            }
+            if (method === 'GET') {
+                return send(200, issue);
+            }
+            if (method === 'DELETE') {
+                state.issues.splice(state.issues.indexOf(issue), 1);
+                return send(204, {});
+            }
+            Object.assign(issue, data, {updated_at: data.updated_at || now()});
+            data.labels !== undefined ? issue.labels = String(data.labels).split(',').filter(Boolean) : null;
+            data.state_event === 'close' ? issue.state = 'closed' : null;
+            data.state_event === 'reopen' ? issue.state = 'opened' : null;
+            return send(200, withRelations(issue));
+        }
+        send(404, {message: 'No stub for ' + method + ' ' + route});
+    };
+
+    return startServer(requests, options, function (list, query) {
+        let perPage = Number(query.get('per_page') || 20);
+        let number = Math.max(1, Number(query.get('page') || 1));
+        let headers = {'x-total-pages': String(Math.max(1, Math.ceil(list.length / perPage))), 'x-page': String(number)};
+        number * perPage < list.length ? headers['x-next-page'] = String(number + 1) : null;
+        return {items: list.slice((number - 1) * perPage, number * perPage), headers: headers};
+    }, handle).then(function (server) {
+        return {
+            url: server.url,
+            args: ['-g', server.url, '-p', 'corp/proj', '-t', 'token', '-s', 'bob'],
+            state: state,
+            requests: requests,
+            close: server.close
+        };
+    });
+}
+
+/**
+ * Serve an API stub: parse the JSON or form data of every request, record it in requests and pass it to handle, unless
+ * options.fail returns a status to answer with instead. The failure asks to retry at once (Retry-After: 0) unless
+ * options.fail returns {status, headers} with other headers. Requests are recorded with the time they arrived.
+ * @param {object[]} requests
+ * @param {{fail: function(object): int|{status: int, headers: object}|null}} options
+ * @param {function(object[], URLSearchParams): {items: object[], headers: object}} paginate gets a page of a list
+ * @param {function(object, object, function, function)} handle gets the request, its data, send(status, result,
+ *        headers) and page(list) sending a page of list
+ * @return {Promise<{url: string, close: function()}>}
+ */
+function startServer(requests, options, paginate, handle)
+{
+    let server = http.createServer(function (request, response) {
+        let chunks = [];
+        request.on('data', function (chunk) {
+            chunks.push(chunk);
+        });
+        request.on('end', function () {
+            let body = Buffer.concat(chunks).toString('utf8');
+            let type = request.headers['content-type'] || '';
+            let data = {};
+            if (body && type.indexOf('json') !== -1) {
+                data = JSON.parse(body);
+            } else if (body && type.indexOf('urlencoded') !== -1) {
+                data = Object.fromEntries(new URLSearchParams(body));
+            } else if (body && type.indexOf('multipart') !== -1) {
+                data = {multipart: Buffer.concat(chunks)};
+            }
+            let send = function (status, result, headers) {
+                response.writeHead(status, Object.assign({'content-type': 'application/json'}, headers));
+                response.end(JSON.stringify(result));
+            };
+            let page = function (list) {
+                let result = paginate(list, new URL(request.url, 'http://localhost').searchParams);
+                send(200, result.items, result.headers);
+            };
+
+            requests.push({method: request.method, url: request.url, sudo: request.headers.sudo, data: data, at: Date.now()});
+            let failure = options.fail ? options.fail(requests[requests.length - 1]) : null;
+            if (failure) {
+                failure = 'number' === typeof failure ? {status: failure, headers: {'retry-after': '0'}} : failure;
+                return send(failure.status, {message: 'failed by test'}, failure.headers);
+            }
+            handle(request, data, send, page);
+        });
+    });
+
+    return new Promise(function (resolve) {
+        server.listen(0, '127.0.0.1', resolve);
+    }).then(function () {
+        return {
+            url: 'http://127.0.0.1:' + server.address().port,
+            close: function () {
+                server.close();
+            }
+        };
+    });
+}
+
+/**
+ * Serve the parts of the Gitea API m2gl uses for repository "corp/proj" (id 7) with the assignees bob and alice. The
+ * state can be changed by the test.
+ * @return {Promise<{url: string, args: string[], state: object, requests: object[], close: function()}>}
+ */
+function startGitea()
+{
+    let state = {
+        repo: {id: 7, name: 'proj', full_name: 'corp/proj', html_url: 'http://gitea.example.com/corp/proj'},
+        users: [{id: 1, login: 'bob', full_name: 'Bob', email: 'bob@example.com'},
+            {id: 2, login: 'alice', full_name: 'Alice', email: 'alice@example.com'}],
+        milestones: [],
+        labels: [],
+        issues: [],
+        comments: [],
+        ids: 100
+    };
+    let requests = [];
+    let issueOf = function (number) {
+        return state.issues.find(function (issue) {
+            return issue.number === Number(number);
+        });
+    };
+    let edit = function (issue, data) {
+        ['title', 'body', 'milestone', 'due_date', 'state'].forEach(function (field) {
+            data[field] !== undefined ? issue[field] = data[field] : null;
+        });
+        data.assignees ? issue.assignees = state.users.filter(function (user) {
+            return data.assignees.indexOf(user.login) !== -1;
+        }) : null;
+        issue.updated_at = new Date().toISOString();
+        return issue;
+    };
+
+    let handle = function (request, data, send, page) {
+        let route = new URL(request.url, 'http://localhost').pathname.replace(/^\/api\/v1\/repos\/corp\/proj/, '/repo');
+        let method = request.method;
+        let match;
+
+        if (route === '/repo') {
+            return send(200, state.repo);
+        }
+        if (route === '/repo/assignees') {
+            return send(200, state.users);
+        }
+        if (route === '/repo/milestones') {
+            return page(state.milestones);
+        }
+        if (route === '/repo/labels') {
+            if (method === 'GET') {
+                return page(state.labels);
+            }
+            let label = Object.assign({id: ++state.ids}, data);
+            state.labels.push(label);
+            return send(201, label);
+        }
+        if (route === '/repo/issues') {
+            if (method === 'GET') {
+                return page(state.issues);
+            }
+            let issue = edit({id: ++state.ids, number: state.issues.length + 1, state: 'open', labels: [], assignees: [],
+                user: state.users.find(function (user) { return user.login === request.headers.sudo; }),
+                created_at: new Date().toISOString()}, data);
+            state.issues.push(issue);
+            return send(201, issue);
+        }
+        if ((match = route.match(/^\/repo\/issues\/(\d+)$/)) && method === 'PATCH') {
+            return send(201, edit(issueOf(match[1]), data));
+        }
+        if ((match = route.match(/^\/repo\/issues\/(\d+)\/labels$/))) {
+            issueOf(match[1]).labels = state.labels.filter(function (label) {
+                return data.labels.indexOf(label.id) !== -1;
+            });
+            return send(200, issueOf(match[1]).labels);
+        }
+        if ((match = route.match(/^\/repo\/issues\/(\d+)\/comments$/))) {
+            let comments = state.comments.filter(function (comment) {
+                return comment.issue === Number(match[1]);
+            });
+            if (method === 'GET') {
+                return page(comments);
+            }
+            let comment = {id: ++state.ids, issue: Number(match[1]), body: data.body, created_at: new Date().toISOString(),
+                user: state.users.find(function (user) { return user.login === request.headers.sudo; })};
+            state.comments.push(comment);
+            return send(201, comment);
+        }
+        send(404, {message: 'No stub for ' + method + ' ' + route});
+    };
+
+    return startServer(requests, {}, function (list, query) {
+        let limit = Number(query.get('limit') || 50);
+        let number = Math.max(1, Number(query.get('page') || 1));
+        return {items: list.slice((number - 1) * limit, number * limit), headers: {'x-total-count': String(list.length)}};
+    }, handle).then(function (server) {
+        return {
+            url: server.url,
+            args: ['-T', 'gitea', '-g', server.url, '-p', 'corp/proj', '-t', 'token', '-s', 'bob'],
+            state: state,
+            requests: requests,
+            close: server.close
+        };
+    });
+}
+
+module.exports = {
+    root: root,
+    fixtures: fixtures,
+    runM2gl: runM2gl,
+    createWorkDir: createWorkDir,
+    parseJournal: parseJournal,
+    exportIssues: exportIssues,
+    readTarArchive: readTarArchive,
+    getUpload: getUpload,
+    readConfig: readConfig,
+    writeCsv: writeCsv,
+    getImportArgs: getImportArgs,
+    startMantis: startMantis,
+    startGitLab: startGitLab,
+    startGitea: startGitea
+};
@@ -0,0 +1,93 @@
+/**
+ * Let requests to a GitLab API stub fail and check which are retried, how long m2gl waits in between and when it gives
+ * up.
+ * Run with "npm test".
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const helpers = require('./helpers');
+
+const rows = [{
+    Id: 1, Summary: 'Issue 1', Category: 'General', Status: 'new', Created: '2020-01-01 10:00',
+    Updated: '2020-01-01 10:00', Reporter: 'bob', Description: 'Description 1'
+}];
+
+/**
+ * Import rows into a GitLab stub failing the requests fail returns a status for
+ * @param {function(object): int|object|null} fail see helpers.startGitLab
+ * @param {object} http (optional) the http section of the config
+ * @return {Promise<{code: int, output: string, gitLab: object}>}
+ */
+function importFailing(fail, http)
+{
+    let work = helpers.createWorkDir();
+    let config = Object.assign(helpers.readConfig(), http ? {http: http} : {});
+    let gitLab;
+
+    return helpers.startGitLab({fail: fail}).then(function (server) {
+        gitLab = server;
+        let args = helpers.getImportArgs(gitLab, work, config).concat(['-i', helpers.writeCsv(work, 'issues.csv', rows)]);
+        return helpers.runM2gl(args);
+    }).then(function (result) {
+        return {code: result.code, output: result.output, gitLab: gitLab};
+    }).finally(function () {
+        gitLab && gitLab.close();
+        work.remove();
+    });
+}
+
+/**
+ * Get the requests of method to the project (not to its lists) or to its issue list
+ * @param {object} gitLab see helpers.startGitLab
+ * @param {string} method
+ * @param {string} path "" for the project, "/issues" for the issues
+ * @return {object[]}
+ */
+function getRequests(gitLab, method, path)
+{
+    let pattern = new RegExp('^/api/v4/projects/(7|corp%2Fproj)' + path + '(\\?|$)');
+    return gitLab.requests.filter(function (request) {
+        return request.method === method && pattern.test(request.url);
+    });
+}
+
+test('transient errors are retried until the request succeeds', function () {
+    let failures = {GET: [503, 502], POST: [429]};
+
+    return importFailing(function (request) {
+        let project = /^\/api\/v4\/projects\/corp%2Fproj$/.test(request.url);
+        let issues = /^\/api\/v4\/projects\/7\/issues$/.test(request.url) && request.method === 'POST';
+        return project || issues ? failures[request.method].shift() : null;
+    }).then(function (result) {
+        assert.equal(result.code, 0, result.output);
+        assert.match(result.output, /GET \S+ failed \(503\), retrying in 0s \[1\/5]/);
+        assert.match(result.output, /GET \S+ failed \(502\), retrying in 0s \[2\/5]/);
+        assert.match(result.output, /POST \S+ failed \(429\), retrying in 0s \[1\/5]/);
+        assert.equal(getRequests(result.gitLab, 'POST', '/issues').length, 2);
+        assert.equal(result.gitLab.state.issues.length, 1);
+    });
+});
+
+test('requests which change data are not retried on errors GitLab may have processed them with', function () {
+    return importFailing(function (request) {
+        return request.method === 'POST' && /\/issues$/.test(request.url) ? 502 : null;
+    }).then(function (result) {
+        assert.match(result.output, /1: Failed to import\./);
+        assert.doesNotMatch(result.output, /retrying/);
+        assert.equal(getRequests(result.gitLab, 'POST', '/issues').length, 1);
+    });
+});
+
+test('retries back off exponentially and give up after the configured number of retries', function () {
+    return importFailing(function (request) {
+        // Without Retry-After header
+        return /^\/api\/v4\/projects\/corp%2Fproj$/.test(request.url) ? {status: 503, headers: {}} : null;
+    }, {retries: 2, retry_delay: 200}).then(function (result) {
+        assert.notEqual(result.code, 0);
+        assert.match(result.output, /failed \(503\), retrying in 0s \[1\/2]/);
+        let attempts = getRequests(result.gitLab, 'GET', '');
+        assert.equal(attempts.length, 3);
+        assert.ok(attempts[1].at - attempts[0].at >= 200, 'first delay ' + (attempts[1].at - attempts[0].at));
+        assert.ok(attempts[2].at - attempts[1].at >= 400, 'second delay ' + (attempts[2].at - attempts[1].at));
+    });
+});
@@ -0,0 +1,74 @@
+/**
+ * Import the fixtures into a GitLab API stub and check the requests of m2gl and its journal.
+ * Run with "npm test".
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const helpers = require('./helpers');
+
+test('import does not upload the attachments stored in the database again on a re-run', function () {
+    let work = helpers.createWorkDir();
+    let gitLab;
+
+    return helpers.startGitLab().then(function (server) {
+        gitLab = server;
+        let args = helpers.getImportArgs(gitLab, work, helpers.readConfig()).concat(['-i', 'test/fixtures/mantis.sql']);
+
+        return helpers.runM2gl(args).then(function (result) {
+            assert.equal(result.code, 0, result.output);
+            assert.deepEqual(gitLab.state.uploads, ['file1', 'file2', 'file3']);
+            return helpers.runM2gl(args);
+        }).then(function (result) {
+            assert.equal(result.code, 0, result.output);
+            assert.match(result.output, /#3: Updated successfully/);
+            assert.deepEqual(gitLab.state.uploads, ['file1', 'file2', 'file3']);
+            assert.deepEqual(Object.keys(JSON.parse(work.read('uploads.json'))), ['7:3:7', '7:3:8', '7:4:10']);
+            assert.match(gitLab.state.issues[0].description, /\(\/uploads\/secret\/file1\)/);
+        });
+    }).finally(function () {
+        gitLab && gitLab.close();
+        work.remove();
+    });
+});
+
+test('import fails an issue whose history notes cannot be removed instead of replaying its history again', function () {
+    let first = helpers.createWorkDir();
+    let second = helpers.createWorkDir();
+    let failing = false;
+    let sent = 0;
+    let rows = [{
+        Id: 1, Summary: 'Issue 1', Category: 'General', Status: 'assigned', Created: '2020-01-01 10:00',
+        Updated: '2020-01-02 10:00', Reporter: 'bob', 'Assigned To': 'alice', Description: 'Description',
+        History: '2020-01-02 10:00][bob][0][status][10][50$$$$2020-01-02 10:00][bob][0][handler_id][][alice'
+    }];
+    let gitLab;
+
+    return helpers.startGitLab({
+        fail: function (request) {
+            return failing && request.method === 'DELETE' ? 400 : null;
+        }
+    }).then(function (server) {
+        gitLab = server;
+        let input = ['-i', helpers.writeCsv(first, 'issues.csv', rows)];
+
+        return helpers.runM2gl(helpers.getImportArgs(gitLab, first, helpers.readConfig()).concat(input)).then(function (result) {
+            assert.equal(result.code, 0, result.output);
+            assert.equal(gitLab.state.notes[1].length, 2);
+            failing = true;
+            sent = gitLab.requests.length;
+            // Without the journal of the first run the notes are found by their marker
+            return helpers.runM2gl(helpers.getImportArgs(gitLab, second, helpers.readConfig()).concat(input));
+        }).then(function (result) {
+            assert.match(result.output, /1: Failed to import\..*Failed to remove note/);
+            assert.equal(gitLab.state.notes[1].length, 2);
+            // Neither the notes are added again nor the events of the history applied again
+            assert.deepEqual(gitLab.requests.slice(sent).filter(function (request) {
+                return request.method === 'POST' || (request.method === 'PUT' && request.data.updated_at);
+            }), []);
+        });
+    }).finally(function () {
+        gitLab && gitLab.close();
+        first.remove();
+        second.remove();
+    });
+});
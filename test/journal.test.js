@@ -0,0 +1,75 @@
+/**
+ * Interrupt an import into a GitLab API stub and resume it (--resume) with the journal of the first run.
+ * Run with "npm test".
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const helpers = require('./helpers');
+
+/**
+ * Get a row of the CSV export of Mantis issues with one note
+ * @param {int} id
+ * @return {object}
+ */
+function getCsvRow(id)
+{
+    return {
+        Id: id, Summary: 'Issue ' + id, Category: 'General', Status: 'new', Created: '2020-01-01 10:00',
+        Updated: '2020-01-01 10:00', Reporter: 'bob', Description: 'Description ' + id,
+        Notes: (10 + id) + '][2020-01-02T10:00:00Z][alice][Note of ' + id
+    };
+}
+
+test('resume skips the imported issues and finishes the failed one despite a truncated journal line', function () {
+    let work = helpers.createWorkDir();
+    let failing = true;
+    let sent = 0;
+    let gitLab;
+
+    return helpers.startGitLab({
+        fail: function (request) {
+            return failing && request.method === 'POST' && /\/issues\/2\/notes$/.test(request.url) ? 400 : null;
+        }
+    }).then(function (server) {
+        gitLab = server;
+        let args = helpers.getImportArgs(gitLab, work, helpers.readConfig())
+            .concat(['-i', helpers.writeCsv(work, 'issues.csv', [getCsvRow(1), getCsvRow(2)])]);
+
+        return helpers.runM2gl(args).then(function (result) {
+            assert.match(result.output, /2: Failed to import\./);
+            assert.match(result.output, /Failed to import 1 issue\(s\): #2 - re-run with --resume to retry/);
+            let entries = helpers.parseJournal(work.read('journal.jsonl'));
+            assert.ok(entries.some(function (entry) {
+                return entry.issue === 2 && entry.step === 'created';
+            }));
+            assert.ok(entries.some(function (entry) {
+                return entry.issue === 2 && entry.failed;
+            }));
+
+            // A run killed while writing leaves a truncated last line
+            work.write('journal.jsonl', work.read('journal.jsonl') + '{"issue":2,"st');
+            failing = false;
+            sent = gitLab.requests.length;
+            return helpers.runM2gl(args.concat(['-r']));
+        }).then(function (result) {
+            assert.equal(result.code, 0, result.output);
+            assert.match(result.output, /Ignoring truncated last line of journal file/);
+            assert.match(result.output, /Resuming migration, 2 issue\(s\) found in journal/);
+            assert.equal(gitLab.state.issues.length, 2);
+            assert.equal(gitLab.state.notes[1].length, 1);
+            assert.equal(gitLab.state.notes[2].length, 1);
+            assert.match(gitLab.state.notes[2][0].body, /Note of 2/);
+            assert.deepEqual(gitLab.requests.slice(sent).filter(function (request) {
+                return request.method !== 'GET' && !/\/issues\/2\//.test(request.url);
+            }), []);
+
+            let entries = helpers.parseJournal(work.read('journal.jsonl'));
+            assert.ok(entries.some(function (entry) {
+                return entry.issue === 2 && entry.step === 'notes';
+            }));
+        });
+    }).finally(function () {
+        gitLab && gitLab.close();
+        work.remove();
+    });
+});
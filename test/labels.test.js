@@ -0,0 +1,94 @@
+/**
+ * Map Mantis issues to labels by the label sections and the label rules of the config and check the labels of the
+ * export archive (--export).
+ * Run with "npm test".
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const helpers = require('./helpers');
+
+/**
+ * Get a row of the CSV export of Mantis issues
+ * @param {int} id
+ * @param {object} values overriding the defaults
+ * @return {object}
+ */
+function getCsvRow(id, values)
+{
+    return Object.assign({
+        Id: id, Summary: 'Issue ' + id, Category: 'General', Priority: 'normal', Severity: 'minor', Status: 'new',
+        Resolution: 'open', Created: '2020-01-01 10:00', Updated: '2020-01-01 10:00', Reporter: 'bob',
+        Description: 'Description ' + id, Tags: ''
+    }, values);
+}
+
+/**
+ * Export rows with the label rules of config and get the labels of every exported issue
+ * @param {object[]} rows
+ * @param {object} config merged into the config of the fixtures
+ * @return {Promise<string[][]>}
+ */
+function exportLabels(rows, config)
+{
+    let work = helpers.createWorkDir();
+    let input = ['-i', helpers.writeCsv(work, 'issues.csv', rows)];
+
+    return helpers.exportIssues(input, Object.assign(helpers.readConfig(), config)).then(function (result) {
+        return result.issues.map(function (issue) {
+            return issue.label_links.map(function (link) {
+                return link.label.title;
+            });
+        });
+    }).finally(work.remove);
+}
+
+test('label rules match by value, list and regular expression and fill the templates after the label sections', function () {
+    let rows = [
+        getCsvRow(1, {Severity: 'crash', Priority: 'urgent', Summary: '[ui] Button missing'}),
+        getCsvRow(2, {Severity: 'crash', Priority: 'low', Resolution: 'duplicate'}),
+        getCsvRow(3, {Status: 'feedback', Summary: '[API] Timeout'})
+    ];
+    let config = {priority_labels: {'50': 'priority:urgent'}, label_rules: [
+        {match: {Severity: 'crash', Priority: ['urgent', 'immediate']}, labels: 'P0'},
+        {match: {Status: 'feedback'}, labels: 'workflow::feedback'},
+        {match: {Resolution: {regex: '^(duplicate|unable to reproduce)$'}}, labels: 'resolution::{1}'},
+        {match: {Summary: {regex: '^\\[(?<area>UI|API)\\]', flags: 'i'}}, labels: ['area::{area}', 'sev:{Severity}']}
+    ]};
+
+    return exportLabels(rows, config).then(function (labels) {
+        assert.deepEqual(labels, [
+            ['priority:urgent', 'P0', 'area::ui', 'sev:crash'],
+            ['resolution::duplicate'],
+            ['workflow::feedback', 'area::API', 'sev:minor']
+        ]);
+    });
+});
+
+test('label rules match enums by number or name, every tag on its own and stop on request', function () {
+    let rows = [
+        getCsvRow(1, {Priority: '40', Tags: 'backend, internal, ui'}),
+        getCsvRow(2, {Priority: 'high', Tags: 'backend'}),
+        getCsvRow(3, {Status: 'closed', Tags: 'frontend'})
+    ];
+    let config = {label_rules: [
+        {match: {Priority: 'high'}, labels: 'priority::high'},
+        {match: {Status: 90}, labels: 'done', stop: true},
+        {match: {tags: {regex: '^(?!internal$)'}}, labels: 'tag:{tags}'},
+        // Only the first label of a scope is kept
+        {match: {}, labels: ['priority::normal', 'everywhere']}
+    ]};
+
+    return exportLabels(rows, config).then(function (labels) {
+        assert.deepEqual(labels, [
+            ['priority::high', 'tag:backend', 'tag:ui', 'everywhere'],
+            ['priority::high', 'tag:backend', 'everywhere'],
+            ['done']
+        ]);
+    });
+});
+
+test('without label rules every Mantis tag becomes a label', function () {
+    return exportLabels([getCsvRow(1, {Tags: 'backend,ui'})], {}).then(function (labels) {
+        assert.deepEqual(labels, [['backend', 'ui']]);
+    });
+});
@@ -0,0 +1,90 @@
+/**
+ * Convert the BBCode formatting and the issue and note references of Mantis texts, in an export archive (--export) and
+ * in an import into a GitLab API stub.
+ * Run with "npm test".
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const helpers = require('./helpers');
+
+/**
+ * Get a row of the CSV export of Mantis issues
+ * @param {int} id
+ * @param {object} values overriding the defaults
+ * @return {object}
+ */
+function getCsvRow(id, values)
+{
+    return Object.assign({
+        Id: id, Summary: 'Issue ' + id, Category: 'General', Status: 'new', Created: '2020-01-01 10:00',
+        Updated: '2020-01-01 10:00', Reporter: 'bob', Description: 'Description ' + id, Notes: ''
+    }, values);
+}
+
+test('export converts BBCode to Markdown and keeps code blocks and URLs verbatim', function () {
+    let work = helpers.createWorkDir();
+    let rows = [
+        getCsvRow(1, {
+            Description: "[b]bold[/b] [i]italic[/i] [s]gone[/s] [url=http://example.com/a]site[/url]\n"
+                + "[list][*]one[*]two[/list]\n"
+                + "[quote=alice][quote]inner[/quote]outer[/quote]\n"
+                + "[code=js]if (a[b]) { x = #2; }[/code]\n"
+                + "See http://example.com/#2"
+        }),
+        getCsvRow(2)
+    ];
+
+    return helpers.exportIssues(['-i', helpers.writeCsv(work, 'issues.csv', rows)], helpers.readConfig()).then(function (result) {
+        let description = result.issues[0].description;
+        assert.ok(description.includes('**bold** *italic* ~~gone~~ [site](http://example.com/a)\n'), description);
+        assert.ok(description.includes('\n* one\n* two\n'), description);
+        assert.ok(description.includes('\n> **alice wrote:**\n> > inner\n> outer\n'), description);
+        assert.ok(description.includes('\n```js\nif (a[b]) { x = #2; }\n```\n'), description);
+        assert.ok(description.includes('See http://example.com/#2\n'), description);
+    }).finally(work.remove);
+});
+
+test('export converts the references to Mantis issues and notes and escapes other GitLab references', function () {
+    let work = helpers.createWorkDir();
+    let rows = [
+        getCsvRow(1, {Description: 'See #2, #99 and ~12 but not !5, %1.0 or \\#2'}),
+        getCsvRow(2, {Notes: '12][2020-01-02T10:00:00Z][alice][Answer'})
+    ];
+
+    return helpers.exportIssues(['-i', helpers.writeCsv(work, 'issues.csv', rows)], helpers.readConfig()).then(function (result) {
+        let description = result.issues[0].description;
+        assert.ok(description.includes('See #2, [Mantis #99](http://mantis.example.com/view.php?id=99) and \\~12 (#2) but not '
+            + '\\!5, \\%1.0 or \\#2\n'), description);
+    }).finally(work.remove);
+});
+
+test('import links the references to issues and notes created after the referencing issue', function () {
+    let work = helpers.createWorkDir();
+    let rows = [
+        getCsvRow(1, {Description: 'See #2 and ~12'}),
+        getCsvRow(2, {Notes: '12][2020-01-02T10:00:00Z][alice][Answer to #1'})
+    ];
+    let gitLab;
+
+    return helpers.startGitLab().then(function (server) {
+        gitLab = server;
+        // Existing issues take the numbers 1 and 2, the Mantis issues become #3 and #4
+        gitLab.state.issues.push({id: 1, iid: 1, title: 'Existing 1', state: 'opened'}, {id: 2, iid: 2, title: 'Existing 2', state: 'opened'});
+        let args = helpers.getImportArgs(gitLab, work, helpers.readConfig())
+            .concat(['-i', helpers.writeCsv(work, 'issues.csv', rows), '-I', 'assign']);
+        return helpers.runM2gl(args);
+    }).then(function (result) {
+        assert.equal(result.code, 0, result.output);
+        let issue = gitLab.state.issues.find(function (issue) {
+            return issue.title === 'Issue 1';
+        });
+        let note = gitLab.state.notes[4][0];
+        assert.equal(issue.iid, 3);
+        assert.ok(issue.description.includes('See #4 and [~12](http://gitlab.example.com/corp/proj/-/issues/4#note_'
+            + note.id + ')\n'), issue.description);
+        assert.ok(note.body.includes('Answer to #3\n'), note.body);
+    }).finally(function () {
+        gitLab && gitLab.close();
+        work.remove();
+    });
+});
@@ -0,0 +1,138 @@
+/**
+ * Write a plan of the import into a GitLab API stub (--plan), apply it (--apply) and check the issues of the stub.
+ * Run with "npm test".
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const helpers = require('./helpers');
+
+/**
+ * Plan the import of rows with config and apply the plan
+ * @param {object[]} rows
+ * @param {object} config
+ * @param {string[]} args further arguments of both runs
+ * @param {function} startTarget (optional) starts the API stub to import into, defaults to helpers.startGitLab
+ * @return {Promise<{output: string, gitLab: object, plan: object}>} the output of the apply run
+ */
+function planAndApply(rows, config, args, startTarget)
+{
+    let work = helpers.createWorkDir();
+    let gitLab;
+    let plan;
+
+    return (startTarget || helpers.startGitLab)().then(function (server) {
+        gitLab = server;
+        args = helpers.getImportArgs(gitLab, work, config).concat(args);
+
+        return helpers.runM2gl(args.concat(['-i', helpers.writeCsv(work, 'issues.csv', rows), '-P', work.file('plan.json')])).then(function (result) {
+            assert.equal(result.code, 0, result.output);
+            assert.deepEqual(gitLab.state.issues, []);
+            plan = JSON.parse(work.read('plan.json'));
+            return helpers.runM2gl(args.concat(['-A', work.file('plan.json')]));
+        }).then(function (result) {
+            assert.equal(result.code, 0, result.output);
+            return {output: result.output, gitLab: gitLab, plan: plan};
+        });
+    }).finally(function () {
+        gitLab && gitLab.close();
+        work.remove();
+    });
+}
+
+/**
+ * Get a row of the CSV export of Mantis issues
+ * @param {int} id
+ * @param {object} values overriding the defaults
+ * @return {object}
+ */
+function getCsvRow(id, values)
+{
+    return Object.assign({
+        Id: id, Summary: 'Issue ' + id, Category: 'General', Status: 'new', Created: '2020-01-01 10:00',
+        Updated: '2020-01-01 10:00', Reporter: 'bob', Description: 'Description ' + id, Notes: ''
+    }, values);
+}
+
+test('apply resolves the references to issues and notes created by the plan', function () {
+    let rows = [
+        getCsvRow(1, {Description: 'See #2', Notes: '11][2020-01-02T10:00:00Z][alice][Answered in ~12'}),
+        getCsvRow(2, {Notes: '12][2020-01-02T11:00:00Z][alice][Answer to ~11 of #1'})
+    ];
+
+    return planAndApply(rows, helpers.readConfig(), ['-I', 'assign']).then(function (result) {
+        let state = result.gitLab.state;
+        let noteUrl = function (iid) {
+            return 'http://gitlab.example.com/corp/proj/-/issues/' + iid + '#note_' + state.notes[iid][0].id;
+        };
+        assert.match(result.plan.issues[0].operations[0].data.description, /See \[#2\]\(issue:\/\/2\)/);
+        assert.match(result.output, /Updating references in 1 issue\(s\)/);
+        assert.match(state.issues[0].description, /See #2\n/);
+        let bodies = [state.notes[1][0].body, state.notes[2][0].body];
+        assert.ok(bodies[0].includes(' Answered in [~12](' + noteUrl(2) + ')\n'), bodies[0]);
+        assert.ok(bodies[1].includes(' Answer to [~11](' + noteUrl(1) + ') of #1\n'), bodies[1]);
+    });
+});
+
+test('apply adds notes of users who are no project members as the importing user', function () {
+    let config = helpers.readConfig();
+    config.users.carol = {gl_username: 'carol'};
+    let rows = [getCsvRow(1, {Notes: '11][2020-01-02T10:00:00Z][carol][By carol$$$$12][2020-01-02T11:00:00Z][alice][By alice'})];
+
+    return planAndApply(rows, config, []).then(function (result) {
+        let notes = result.gitLab.requests.filter(function (request) {
+            return request.method === 'POST' && /\/notes$/.test(request.url);
+        });
+        assert.deepEqual(notes.map(function (request) { return request.sudo; }), ['bob', 'alice']);
+        assert.match(notes[0].data.body, /^_Originally by carol_\n\n.*By carol/);
+        assert.doesNotMatch(notes[1].data.body, /Originally/);
+    });
+});
+
+test('apply assigns the issues created in Gitea', function () {
+    let rows = [getCsvRow(1, {'Assigned To': 'alice'}), getCsvRow(2)];
+
+    return planAndApply(rows, helpers.readConfig(), [], helpers.startGitea).then(function (result) {
+        let logins = function (issue) {
+            return issue.assignees.map(function (user) { return user.login; });
+        };
+        assert.doesNotMatch(result.output, /left unassigned/);
+        assert.deepEqual(result.gitLab.state.issues.map(logins), [['alice'], ['bob']]);
+    });
+});
+
+test('apply uploads the files stored in the Mantis database by reading the dump again', function () {
+    let work = helpers.createWorkDir();
+    let gitLab;
+
+    return helpers.startGitLab().then(function (server) {
+        gitLab = server;
+        let args = helpers.getImportArgs(gitLab, work, helpers.readConfig());
+
+        return helpers.runM2gl(args.concat(['-i', 'test/fixtures/mantis.sql', '-P', work.file('plan.json')])).then(function (result) {
+            assert.equal(result.code, 0, result.output);
+            let plan = work.read('plan.json');
+            let upload = JSON.parse(plan).issues[1].operations.find(function (operation) {
+                return operation.op === 'upload';
+            });
+            assert.deepEqual([upload.filename, upload.stored, upload.content], ['hex.bin', 'input', undefined]);
+            assert.ok(!plan.includes(Buffer.from([0xca, 0xfe]).toString('base64')));
+            return helpers.runM2gl(args.concat(['-A', work.file('plan.json')]));
+        }).then(function (result) {
+            assert.notEqual(result.code, 0);
+            assert.match(result.output, /uploads files stored in the Mantis input, apply it with the input it was created from: -i test\/fixtures\/mantis\.sql/);
+            assert.deepEqual(gitLab.state.uploads, []);
+            return helpers.runM2gl(args.concat(['-i', 'test/fixtures/mantis.sql', '-A', work.file('plan.json')]));
+        }).then(function (result) {
+            assert.equal(result.code, 0, result.output);
+            let content = Buffer.from([0xca, 0xfe]);
+            let names = gitLab.state.uploads.filter(function (name) {
+                return gitLab.state.files[name].includes(content);
+            });
+            assert.equal(names.length, 1);
+            assert.ok(gitLab.state.issues[1].description.includes('(/uploads/secret/' + names[0] + ')'));
+        });
+    }).finally(function () {
+        gitLab && gitLab.close();
+        work.remove();
+    });
+});
@@ -0,0 +1,143 @@
+/**
+ * Read the fixtures with every reader of m2gl and check the issues of the export archive (--export) written from them.
+ * Run with "npm test".
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const helpers = require('./helpers');
+
+const exportIssues = helpers.exportIssues;
+const getUpload = helpers.getUpload;
+const readConfig = helpers.readConfig;
+
+test('mysqldump reader rebuilds the issues of the selected project', function () {
+    return exportIssues(['-i', 'test/fixtures/mantis.sql'], readConfig()).then(function (result) {
+        let issues = result.issues;
+        assert.deepEqual(issues.map(function (issue) { return issue.iid; }), [3, 4]);
+        assert.equal(issues[0].title, "Fïrst bug; with 'quotes'");
+        assert.equal(issues[1].title, 'Second),(bug');
+        assert.match(issues[0].description, /Desc line1\nline2 \$\$\$\$ not a separator/);
+        assert.equal(issues[0].state, 'closed');
+        assert.equal(issues[0].milestone.title, '1.0');
+        assert.deepEqual(issues[0].label_links.map(function (link) { return link.label.title; }), ['area:General']);
+
+        let notes = issues[0].notes.map(function (note) { return note.note; });
+        assert.match(notes[0], /note with \]\[ and \$\$\$\$/);
+        assert.match(notes[1], /second note/);
+        assert.match(notes[2], /Related to #4/);
+        assert.equal(issues[0].notes[0].created_at, '2020-01-01T11:00:00Z');
+
+        assert.equal(getUpload(result.files, issues[0].description, 'log.txt').toString(), 'hello');
+        assert.deepEqual([...getUpload(result.files, notes[1], 'img.bin')], [0x00, 0xff, 0x10]);
+        assert.deepEqual([...getUpload(result.files, issues[1].description, 'hex.bin')], [0xca, 0xfe]);
+    });
+});
+
+test('mysqldump reader needs the project of a dump with several projects', function () {
+    let config = readConfig();
+    delete config.mysqldump;
+
+    let work = helpers.createWorkDir();
+
+    return helpers.runM2gl(['-c', work.write('config.json', config), '-i', 'test/fixtures/mantis.sql', '--validate']).then(function (result) {
+        assert.notEqual(result.code, 0);
+        assert.match(result.output, /issues of several Mantis projects \(Main, Other\), select the one to migrate with mysqldump\.project/);
+    }).finally(work.remove);
+});
+
+test('mysqldump reader fails on INSERT statements without table columns', function () {
+    let work = helpers.createWorkDir();
+    let dump = work.write('mantis.sql', "INSERT INTO `mantis_bug_table` VALUES (1,'x');\n");
+
+    return helpers.runM2gl(['-c', 'test/fixtures/config.json', '-i', dump, '--validate']).then(function (result) {
+        assert.notEqual(result.code, 0);
+        assert.match(result.output, /Missing CREATE TABLE statement of mantis_bug_table/);
+    }).finally(work.remove);
+});
+
+test('XML reader reads issues, notes and attachments of the export', function () {
+    return exportIssues(['-i', 'test/fixtures/mantis.xml'], readConfig()).then(function (result) {
+        let issues = result.issues;
+        assert.deepEqual(issues.map(function (issue) { return issue.title; }), ['Fïrst & <bug>', 'Second']);
+        assert.match(issues[0].description, /Desc with <tag>/);
+        assert.equal(issues[0].state, 'closed');
+        assert.equal(issues[1].state, 'opened');
+        assert.equal(issues[0].notes.length, 1);
+        assert.match(issues[0].notes[0].note, /note € one/);
+        assert.equal(getUpload(result.files, issues[0].description, 'log.txt').toString(), 'hello');
+    });
+});
+
+/**
+ * Get issue id of the Mantis REST API: issue 1 has a note, a file and a relationship, issue 2 is closed
+ * @param {int} id
+ * @return {object}
+ */
+function getRestIssue(id)
+{
+    let user = function (id, name) {
+        return {id: id, name: name, real_name: name, email: name + '@example.com'};
+    };
+    return {
+        id: id, summary: 'Rest ' + id, description: 'Description ' + id, project: {id: 1, name: 'Main'},
+        category: {id: 1, name: 'General'}, reporter: user(1, 'bob'), handler: id === 1 ? user(2, 'alice') : undefined,
+        status: {id: id === 2 ? 90 : 10, name: id === 2 ? 'closed' : 'new'}, priority: {id: 30, name: 'normal'},
+        severity: {id: 50, name: 'minor'}, created_at: '2020-01-0' + id + 'T10:00:00+00:00',
+        updated_at: '2020-01-0' + id + 'T12:00:00+00:00',
+        notes: id === 1 ? [{id: 10, reporter: user(2, 'alice'), text: 'rest note', view_state: {id: 10, name: 'public'},
+            created_at: '2020-01-01T11:00:00+00:00', updated_at: '2020-01-01T11:00:00+00:00'}] : [],
+        attachments: id === 1 ? [{id: 20, filename: 'a.txt', size: 3}] : [],
+        relationships: id === 1 ? [{id: 1, type: {id: 1, name: 'related-to'}, issue: {id: 2}}] : []
+    };
+}
+
+test('REST reader pages through the issues of the project and downloads their files', function () {
+    let issues = [1, 2, 3].map(getRestIssue);
+    let mantis;
+
+    return helpers.startMantis(issues).then(function (server) {
+        mantis = server;
+        let config = readConfig();
+        config.mantis_api = {url: mantis.url, token: 'secret', project: 'Main', page_size: 2};
+        return exportIssues(['-F', 'rest'], config);
+    }).then(function (result) {
+        let issues = result.issues;
+        assert.deepEqual(issues.map(function (issue) { return issue.title; }), ['Rest 1', 'Rest 2', 'Rest 3']);
+        assert.deepEqual(issues.map(function (issue) { return issue.state; }), ['opened', 'closed', 'opened']);
+        assert.match(issues[0].notes[0].note, /rest note/);
+        assert.match(issues[0].notes[1].note, /Related to #2/);
+        assert.equal(getUpload(result.files, issues[0].description, 'a.txt').toString(), 'abc');
+        assert.deepEqual(mantis.requests.filter(function (request) { return /^\/api\/rest\/issues\?/.test(request); }), [
+            '/api/rest/issues?project_id=1&page_size=2&page=1',
+            '/api/rest/issues?project_id=1&page_size=2&page=2'
+        ]);
+    }).finally(function () {
+        mantis && mantis.close();
+    });
+});
+
+test('REST reader issues match the numbers of the Mantis enumerations in the config', function () {
+    let mantis;
+
+    return helpers.startMantis([1, 2].map(getRestIssue)).then(function (server) {
+        mantis = server;
+        let config = readConfig();
+        config.mantis_api = {url: mantis.url, token: 'secret', project: 'Main'};
+        config.priority_labels = {'30': 'priority:normal'};
+        config.severity_labels = {'50': 'severity:minor'};
+        config.closed_statuses = {'10': false, '90': true};
+        return exportIssues(['-F', 'rest'], config).then(function (result) {
+            assert.deepEqual(result.issues.map(function (issue) { return issue.state; }), ['opened', 'closed']);
+            assert.deepEqual(result.issues[0].label_links.map(function (link) { return link.label.title; }).sort(),
+                ['area:General', 'priority:normal', 'severity:minor']);
+
+            let work = helpers.createWorkDir();
+            return helpers.runM2gl(['-c', work.write('config.json', config), '-F', 'rest', '--validate']).then(function (result) {
+                assert.equal(result.code, 0, result.output);
+                assert.doesNotMatch(result.output, /(Unmapped|Unused) (priorit|severit|status|closed)/);
+            }).finally(work.remove);
+        });
+    }).finally(function () {
+        mantis && mantis.close();
+    });
+});
@@ -0,0 +1,60 @@
+/**
+ * Roll back an import into a GitLab API stub (--rollback) and check which issues are removed and which are kept.
+ * Run with "npm test".
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const helpers = require('./helpers');
+
+/**
+ * Import two issues, the first referencing the second, then roll the import back after changeGitLab changed the
+ * GitLab stub
+ * @param {object} options of the GitLab stub, see startGitLab
+ * @param {function(object)} changeGitLab gets the state of the GitLab stub
+ * @return {Promise<{output: string, gitLab: object}>} the output of the rollback
+ */
+function importAndRollback(options, changeGitLab)
+{
+    let work = helpers.createWorkDir();
+    let rows = [1, 2].map(function (id) {
+        return {
+            Id: id, Summary: 'Issue ' + id, Category: 'General', Status: 'new', Created: '2020-01-01 10:00',
+            Updated: '2020-01-01 10:00', Reporter: 'bob', Description: id === 1 ? 'See #2' : 'Description'
+        };
+    });
+    let gitLab;
+
+    return helpers.startGitLab(options).then(function (server) {
+        gitLab = server;
+        let args = helpers.getImportArgs(gitLab, work, helpers.readConfig());
+
+        return helpers.runM2gl(args.concat(['-i', helpers.writeCsv(work, 'issues.csv', rows), '-I', 'assign'])).then(function (result) {
+            assert.equal(result.code, 0, result.output);
+            assert.equal(gitLab.state.issues.length, 2);
+            changeGitLab(gitLab.state);
+            let runId = helpers.parseJournal(work.read('journal.jsonl'))[0].run;
+            return helpers.runM2gl(args.concat(['-b', runId]));
+        }).then(function (result) {
+            assert.equal(result.code, 0, result.output);
+            return {output: result.output, gitLab: gitLab};
+        });
+    }).finally(function () {
+        gitLab && gitLab.close();
+        work.remove();
+    });
+}
+
+test('rollback removes the issues of the run whose references it updated, whatever the clock of GitLab', function () {
+    return importAndRollback({clock: 5 * 60000}, function () {}).then(function (result) {
+        assert.deepEqual(result.gitLab.state.issues, []);
+    });
+});
+
+test('rollback keeps the issues of the run edited in GitLab afterwards', function () {
+    return importAndRollback({}, function (state) {
+        state.issues[1].title = 'Edited in GitLab';
+        state.issues[1].updated_at = new Date(Date.parse(state.issues[1].updated_at) + 1000).toISOString();
+    }).then(function (result) {
+        assert.deepEqual(result.gitLab.state.issues.map(function (issue) { return issue.title; }), ['Edited in GitLab']);
+    });
+});
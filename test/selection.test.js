@@ -0,0 +1,135 @@
+/**
+ * Select the Mantis issues to migrate (--ids, --idsFile, --status, --category, --reporter, --handler, --version,
+ * --created, --updated and --filter) and check the issues of the export archive (--export) and the journal of an
+ * import into a GitLab API stub.
+ * Run with "npm test".
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const helpers = require('./helpers');
+
+const rows = [
+    getCsvRow(1, {Status: 'new', Priority: 'low', Created: '2019-12-31 23:59'}),
+    getCsvRow(2, {Status: 'assigned', 'Assigned To': 'alice', Priority: 'high', Created: '2020-01-01 00:00'}),
+    getCsvRow(3, {Status: 'resolved', Category: 'Backend', TargetVersion: '1.0', Summary: '[spam] Buy now'}),
+    getCsvRow(4, {Status: 'closed', Reporter: 'alice', FixedInVersion: '1.1', Updated: '2021-06-30 12:00'}),
+    getCsvRow(5, {Status: 'feedback', Priority: 'urgent', Created: '2020-12-31 23:00'})
+];
+
+/**
+ * Get a row of the CSV export of Mantis issues
+ * @param {int} id
+ * @param {object} values overriding the defaults
+ * @return {object}
+ */
+function getCsvRow(id, values)
+{
+    return Object.assign({
+        Id: id, Summary: 'Issue ' + id, Category: 'General', Priority: 'normal', Severity: 'minor', Status: 'new',
+        Created: '2020-06-01 10:00', Updated: '2020-06-01 10:00', Reporter: 'bob', 'Assigned To': '',
+        TargetVersion: '', FixedInVersion: '', Description: 'Description ' + id
+    }, values);
+}
+
+/**
+ * Export the rows selected by the options and get the Mantis ids of the exported issues
+ * @param {string[]} options
+ * @return {Promise<{ids: int[], output: string}>}
+ */
+function exportSelection(options)
+{
+    let work = helpers.createWorkDir();
+    let input = ['-i', helpers.writeCsv(work, 'issues.csv', rows)].concat(options);
+
+    return helpers.exportIssues(input, helpers.readConfig()).then(function (result) {
+        return {ids: result.issues.map(function (issue) { return issue.iid; }), output: result.output};
+    }).finally(work.remove);
+}
+
+test('selection options select by id, column value and date window', function () {
+    let selections = [
+        [['--ids', '2,4-5'], [2, 4, 5]],
+        [['--from', '3'], [3, 4, 5]],
+        [['--status', 'new,80'], [1, 3]],
+        [['--category', 'Backend'], [3]],
+        [['--reporter', 'alice'], [4]],
+        [['--handler', 'alice'], [2]],
+        [['--version', '1.0,1.1'], [3, 4]],
+        [['--created', '2020-01-01..2020-12-31'], [2, 3, 4, 5]],
+        [['--created', '..2019-12-31'], [1]],
+        [['--updated', '2021-01-01..'], [4]],
+        [['--status', 'new,assigned,feedback', '--created', '2020-01-01..'], [2, 5]]
+    ];
+
+    return selections.reduce(function (previous, selection) {
+        return previous.then(function () {
+            return exportSelection(selection[0]).then(function (result) {
+                assert.deepEqual(result.ids, selection[1], selection[0].join(' '));
+            });
+        });
+    }, Promise.resolve());
+});
+
+test('filter expressions compare values, regular expressions and levels', function () {
+    let selections = [
+        [['--filter', 'Status=new,feedback'], [1, 5]],
+        [['--filter', 'Category!=General'], [3]],
+        [['--filter', 'Summary~^\\[SPAM\\]'], [3]],
+        [['--filter', 'Summary!~^\\[spam\\]', '--filter', 'Priority>=high'], [2, 5]],
+        [['--filter', 'Status>=resolved'], [3, 4]],
+        [['--filter', 'Priority<30'], [1]],
+        [['--filter', 'Created<2020-01-01'], [1]]
+    ];
+
+    return selections.reduce(function (previous, selection) {
+        return previous.then(function () {
+            return exportSelection(selection[0]).then(function (result) {
+                assert.deepEqual(result.ids, selection[1], selection[0].join(' '));
+            });
+        });
+    }, Promise.resolve());
+});
+
+test('selection reads the ids of a file and fails on invalid options', function () {
+    let work = helpers.createWorkDir();
+    let idsFile = work.write('failed.txt', '#1\n#4\n');
+
+    return exportSelection(['--idsFile', idsFile]).then(function (result) {
+        assert.deepEqual(result.ids, [1, 4]);
+        assert.match(result.output, /Selected 2 of 5 Mantis issue\(s\): --idsFile /);
+        return exportSelection(['--ids', '2,x']);
+    }).then(function () {
+        assert.fail('invalid --ids accepted');
+    }, function (error) {
+        assert.match(error.message, /Invalid issue id "x" in --ids/);
+        return helpers.runM2gl(['-c', 'test/fixtures/config.json', '-i', helpers.writeCsv(work, 'issues.csv', rows),
+            '--created', '2020-01-01', '--validate']);
+    }).then(function (result) {
+        assert.notEqual(result.code, 0);
+        assert.match(result.output, /Invalid date window "2020-01-01" for --created/);
+    }).finally(work.remove);
+});
+
+test('import records the selection with the run in the journal', function () {
+    let work = helpers.createWorkDir();
+    let gitLab;
+
+    return helpers.startGitLab().then(function (server) {
+        gitLab = server;
+        let args = helpers.getImportArgs(gitLab, work, helpers.readConfig())
+            .concat(['-i', helpers.writeCsv(work, 'issues.csv', rows), '--status', 'new,feedback']);
+        return helpers.runM2gl(args);
+    }).then(function (result) {
+        assert.equal(result.code, 0, result.output);
+        assert.deepEqual(gitLab.state.issues.map(function (issue) { return issue.title; }), ['Issue 1', 'Issue 5']);
+        let entries = helpers.parseJournal(work.read('journal.jsonl'));
+        assert.deepEqual(entries.filter(function (entry) {
+            return entry.selection;
+        }).map(function (entry) {
+            return entry.selection;
+        }), [{filters: ['--status new,feedback'], ids: [1, 5]}]);
+    }).finally(function () {
+        gitLab && gitLab.close();
+        work.remove();
+    });
+});
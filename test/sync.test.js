@@ -0,0 +1,96 @@
+/**
+ * Sync issues changed in Mantis into a GitLab API stub (--sync) and check which are updated and which are reported as
+ * conflict.
+ * Run with "npm test".
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const helpers = require('./helpers');
+
+/**
+ * Get a row of the CSV export of Mantis issues
+ * @param {int} id
+ * @param {object} values overriding the defaults
+ * @return {object}
+ */
+function getCsvRow(id, values)
+{
+    return Object.assign({
+        Id: id, Summary: 'Issue ' + id, Category: 'General', Priority: 'normal', Severity: 'minor', Status: 'new',
+        Created: '2020-01-01 10:00', Updated: '2020-01-01 10:00', Reporter: 'bob', 'Assigned To': '',
+        Description: 'Description ' + id
+    }, values);
+}
+
+/**
+ * Get the Mantis date of the CSV export of the next minute, a change after the import
+ * @return {string}
+ */
+function getLaterDate()
+{
+    return new Date(Date.now() + 60000).toISOString().replace('T', ' ').substring(0, 16);
+}
+
+/**
+ * Import rows, then sync them changed by changeRows after changeGitLab changed the GitLab stub
+ * @param {object[]} rows
+ * @param {function(object[]): object[]} changeRows
+ * @param {function(object)} changeGitLab gets the state of the GitLab stub
+ * @return {Promise<{output: string, gitLab: object}>} the output of the sync
+ */
+function importAndSync(rows, changeRows, changeGitLab)
+{
+    let work = helpers.createWorkDir();
+    let gitLab;
+
+    return helpers.startGitLab().then(function (server) {
+        gitLab = server;
+        // New iids, references to issues created later are updated after the import
+        let args = helpers.getImportArgs(gitLab, work, helpers.readConfig()).concat(['-I', 'assign']);
+
+        return helpers.runM2gl(args.concat(['-i', helpers.writeCsv(work, 'issues.csv', rows)])).then(function (result) {
+            assert.equal(result.code, 0, result.output);
+            changeGitLab(gitLab.state);
+            let input = helpers.writeCsv(work, 'issues.csv', changeRows(rows));
+            return helpers.runM2gl(args.concat(['-i', input, '--sync']));
+        }).then(function (result) {
+            assert.equal(result.code, 0, result.output);
+            return {output: result.output, gitLab: gitLab};
+        });
+    }).finally(function () {
+        gitLab && gitLab.close();
+        work.remove();
+    });
+}
+
+test('sync updates issues whose references were updated by the previous run', function () {
+    let rows = [getCsvRow(1, {Description: 'See #2'}), getCsvRow(2)];
+
+    return importAndSync(rows, function (rows) {
+        return [Object.assign({}, rows[0], {Summary: 'Issue 1 changed', Updated: getLaterDate()}), rows[1]];
+    }, function (state) {
+        assert.match(state.issues[0].description, /See #2\n/);
+    }).then(function (result) {
+        assert.doesNotMatch(result.output, /Changed in Mantis and in GitLab/);
+        assert.match(result.output, /#1: Synced successfully/);
+        assert.equal(result.gitLab.state.issues[0].title, 'Issue 1 changed');
+    });
+});
+
+test('sync reports issues changed in GitLab since the last sync as conflict', function () {
+    let rows = [getCsvRow(1), getCsvRow(2)];
+
+    return importAndSync(rows, function (rows) {
+        return rows.map(function (row) {
+            return Object.assign({}, row, {Summary: row.Summary + ' changed', Updated: getLaterDate()});
+        });
+    }, function (state) {
+        // Edited in GitLab a second after the migration, the clocks of GitLab and Mantis do not matter
+        state.issues[1].title = 'Edited in GitLab';
+        state.issues[1].updated_at = new Date(Date.parse(state.issues[1].updated_at) + 1000).toISOString();
+    }).then(function (result) {
+        assert.match(result.output, /#2: Changed in Mantis and in GitLab/);
+        assert.match(result.output, /Skipped 1 issue\(s\) changed in GitLab since their last sync: #2/);
+        assert.deepEqual(result.gitLab.state.issues.map(function (issue) { return issue.title; }), ['Issue 1 changed', 'Edited in GitLab']);
+    });
+});